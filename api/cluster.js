@@ -0,0 +1,109 @@
+/**
+ * Cluster Entry Point
+ *
+ * Runs one signaling server worker per CPU core on a single host:
+ *   npm run start:cluster   (CLUSTER_WORKERS overrides the worker count)
+ *
+ * The primary process:
+ * - owns the HTTP port and hands every connection to a worker, always the same
+ *   worker for the same Socket.IO client (sticky sessions - long-polling needs them)
+ * - relays Socket.IO messages between workers (cluster adapter)
+ * - keeps the shared user directory and call sessions for all workers
+ * - restarts workers that crash, and forgets the users who were connected to them
+ * - hands every worker the same token signing secret, so a login token issued by
+ *   one worker is accepted by all of them (see services/authTokens)
+ *
+ * Each worker runs index.js, which notices it is a cluster worker and
+ * switches to the cluster adapter (see services/scaling).
+ */
+
+const cluster = require('cluster');
+const crypto = require('crypto');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { setupMaster } = require('@socket.io/sticky');
+const { setupPrimary } = require('@socket.io/cluster-adapter');
+const { serveClusterState } = require('./services/stateBackends');
+const createUserDirectory = require('./services/userDirectory');
+const createCallSessionStore = require('./services/callSessions');
+
+const workerCount = Number(process.env.CLUSTER_WORKERS) || os.cpus().length;
+const port = process.env.PORT || 3001;
+const host = process.env.HOST || '0.0.0.0';
+
+const server = http.createServer();
+
+// Sticky sessions: route each client to the worker that holds its socket
+setupMaster(server, { loadBalancingMethod: 'least-connection' });
+
+// Relay adapter messages between workers, and keep the shared state
+setupPrimary();
+// The directory's socket index tells which worker each registered socket is connected to
+const { backend: sharedState, takeWorkerFields } = serveClusterState({ trackedHashes: [createUserDirectory.SOCKETS_HASH] });
+const userDirectory = createUserDirectory({ backend: sharedState });
+const callSessions = createCallSessionStore({ backend: sharedState });
+
+/**
+ * Forget the sockets of a worker that is gone
+ * A crashed worker never got to unregister them - its users would stay online
+ * (and busy, if they were in a call) until the primary restarts.
+ */
+const purgeWorkerSockets = async (worker) => {
+  const socketIds = takeWorkerFields(worker, createUserDirectory.SOCKETS_HASH);
+  for (const socketId of socketIds) {
+    const session = await callSessions.getBySocket(socketId);
+    if (session) {
+      await callSessions.end(session.id, 'disconnected');
+    }
+    await userDirectory.unregister(socketId);
+  }
+  if (socketIds.length > 0) {
+    console.log(`[CLUSTER] Removed ${socketIds.length} socket(s) of worker ${worker.process.pid} from the shared state`);
+  }
+};
+
+cluster.setupPrimary({ exec: path.join(__dirname, 'index.js') });
+
+// Every worker must sign and verify tokens with the same secret. Without a configured
+// one, the primary picks a random secret once (tokens still don't survive a restart)
+if (!process.env.AUTH_TOKEN_SECRET) {
+  console.warn('[CLUSTER] AUTH_TOKEN_SECRET is not set - sharing a random secret with the workers (tokens will not survive a restart)');
+}
+const workerEnv = { AUTH_TOKEN_SECRET: process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex') };
+
+for (let i = 0; i < workerCount; i++) {
+  cluster.fork(workerEnv);
+}
+
+let shuttingDown = false;
+
+cluster.on('exit', (worker, code, signal) => {
+  if (shuttingDown) {
+    return;
+  }
+  purgeWorkerSockets(worker).catch((error) => {
+    console.error(`[CLUSTER] Could not clean up after worker ${worker.process.pid}:`, error.message);
+  });
+  if (worker.exitedAfterDisconnect) {
+    return;
+  }
+  console.warn(`[CLUSTER] Worker ${worker.process.pid} died (${signal || code}) - starting a new one`);
+  cluster.fork(workerEnv);
+});
+
+server.listen(port, host, () => {
+  console.log(`[CLUSTER] Primary ${process.pid} listening on ${host}:${port} with ${workerCount} worker(s)`);
+});
+
+const shutdown = (signal) => {
+  console.log(`\n[CLUSTER] ${signal} received, stopping workers...`);
+  shuttingDown = true;
+  server.close();
+  for (const worker of Object.values(cluster.workers)) {
+    worker.process.kill(signal);
+  }
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
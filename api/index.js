@@ -12,11 +12,21 @@
  * Server Responsibilities:
  * 1. Maintain WebSocket connections with clients
  * 2. Relay WebRTC signaling messages (offers/answers) between peers
- * 3. Handle user connections/disconnections
+ *    - 1:1 calls between two sockets
+ *    - Multi-party rooms, where every member connects to every other member (mesh)
+ * 3. Handle user connections/disconnections (a client that reconnects keeps its identity and call)
+ * 4. Authenticate users (login endpoints + signed tokens checked on every socket)
+ * 5. Protect itself from abuse (payload validation, rate limits, temporary IP bans)
+ * 6. Expose metrics and health checks for monitoring (/metrics, /health/live, /health/ready)
+ * 7. Give operators an admin console: live sockets and calls, force-disconnect,
+ *    and a live feed of the signaling traffic (/api/admin + the '/admin' namespace)
+ * 
+ * Runs as a single process by default, or as several instances sharing users
+ * and calls through a Socket.IO adapter (see services/scaling and cluster.js).
  * 
  * What this server does NOT do:
  * - Does NOT handle actual video/audio streams (that's peer-to-peer)
- * - Does NOT store or process media data
+ * - Does NOT process media data (it only stores recordings users choose to upload)
  * - Does NOT act as a media server
  */
 
@@ -27,6 +37,28 @@ const bodyParser = require('body-parser');
 const http = require('http');
 const socketIO = require('socket.io');
 const videoCallSocketHandler = require('./sockets/videoCallSocketHandler');
+const roomSocketHandler = require('./sockets/roomSocketHandler');
+const adminSocketHandler = require('./sockets/adminSocketHandler');
+const signalingGuard = require('./sockets/signalingGuard');
+const createBanList = require('./services/banList');
+const createUserDirectory = require('./services/userDirectory');
+const createPresence = require('./services/presence');
+const createCallSessionStore = require('./services/callSessions');
+const createSignalingSessionStore = require('./services/signalingSessions');
+const createRoomRosterStore = require('./services/roomRosters');
+const createCallHistoryStore = require('./services/callHistory');
+const createRecordingStore = require('./services/recordingStore');
+const createUserStore = require('./services/userStore');
+const createAuthRoutes = require('./routes/authRoutes');
+const createCallRoutes = require('./routes/callRoutes');
+const createRecordingRoutes = require('./routes/recordingRoutes');
+const createAdminRoutes = require('./routes/adminRoutes');
+const createHealthRoutes = require('./routes/healthRoutes');
+const createIceServerRoutes = require('./routes/iceServerRoutes');
+const createIceServerProvider = require('./services/iceServers');
+const createMetrics = require('./services/metrics');
+const createScaling = require('./services/scaling');
+const { authenticateSocket } = require('./middleware/auth');
 const path = require('path');
 
 // Create Express app and HTTP server
@@ -46,7 +78,10 @@ const io = socketIO(server, {
   connectionStateRecovery: {
     maxDisconnectionDuration: 2 * 60 * 1000, // 2 minutes
     skipMiddlewares: true
-  }
+  },
+  // Signaling messages are small (an SDP is a few KB) - refuse anything huge
+  // before it is even parsed. Per-field limits live in sockets/eventSchemas.
+  maxHttpBufferSize: Number(process.env.SOCKET_MAX_MESSAGE_BYTES) || 64 * 1024
 });
 
 // Middleware configuration
@@ -61,36 +96,92 @@ app.use(bodyParser.json());
 // Parse URL-encoded request bodies
 app.use(bodyParser.urlencoded({ extended: true }));
 
-// Health check endpoint
-// app.get('/', (req, res) => {
-//   res.json({
-//     status: 'online',
-//     service: 'WebRTC Signaling Server',
-//     connectedClients: io.engine.clientsCount,
-//     timestamp: new Date().toISOString()
-//   });
-// });
+// Local account store (JSON file) used by the login endpoints
+const userStore = createUserStore();
+
+// Call detail records (JSON-lines file) written when calls end
+const callHistory = createCallHistoryStore();
+
+// Uploaded call recordings (files on disk), deleted after the retention period
+const recordingStore = createRecordingStore();
+
+// Single process, cluster worker or Redis-backed instance (SOCKET_ADAPTER)
+// Decides where the directory and call sessions below are stored
+const scaling = createScaling();
+
+// Who is calling whom (ringing/connected calls)
+const callSessions = createCallSessionStore({ backend: scaling.backend });
+
+// Session tokens that let a client keep its handle and call across reconnects
+const signalingSessions = createSignalingSessionStore({ backend: scaling.backend });
+
+// STUN/TURN servers with short-lived TURN credentials for our coturn server
+const iceServerProvider = createIceServerProvider();
+
+// Prometheus metrics (served at /metrics)
+const metrics = createMetrics({ io, callSessions });
+
+// Ready for traffic once listening, and no longer while shutting down
+let acceptingTraffic = false;
+
+// Authentication endpoints (login/register/me)
+// Registered before the SPA catch-all below so they are not swallowed by it
+app.use('/api/auth', createAuthRoutes({ userStore }));
+
+// Call history for the logged-in user
+app.use('/api/calls', createCallRoutes({ callHistory }));
+
+// Chunked upload, listing and download of call recordings
+app.use('/api/recordings', createRecordingRoutes({ recordingStore, callSessions, callHistory }));
+
+// ICE servers (STUN + ephemeral TURN credentials) for the logged-in user
+app.use('/api/ice-servers', createIceServerRoutes({ iceServerProvider }));
+
+// Monitoring: /metrics, /health/live, /health/ready and /status
+app.use(createHealthRoutes({ io, metrics, isReady: () => acceptingTraffic }));
+
+// Shared handle -> socket ID directory (lets users call each other by name)
+const userDirectory = createUserDirectory({ backend: scaling.backend });
+
+// Online status (available/busy/in-call/do-not-disturb), broadcast as it changes
+const presence = createPresence({ io, userDirectory, callSessions });
 
+// Who is in which multi-party room
+const roomRosters = createRoomRosterStore({ backend: scaling.backend });
+
+// IPs temporarily banned for sending too many rejected events
+const banList = createBanList({
+  maxStrikes: Number(process.env.BAN_MAX_STRIKES) || 10,
+  strikeWindowMs: Number(process.env.BAN_STRIKE_WINDOW_MS) || 60 * 1000,
+  banDurationMs: Number(process.env.BAN_DURATION_MS) || 10 * 60 * 1000
+});
+
+// Validate and rate-limit every incoming event (registered first so banned
+// IPs are refused before authentication and bad events never reach handlers)
+signalingGuard(io, { banList, metrics });
+
+// Reject sockets that don't present a valid login token
+// (runs once per connection, before any handler sees the socket)
+io.use(authenticateSocket);
+
+// Initialize WebRTC signaling handlers
+const { terminateCall } = videoCallSocketHandler(io, { userDirectory, callSessions, callHistory, metrics, presence, signalingSessions }); // 1:1 calls
+roomSocketHandler(io, { roomRosters }); // Multi-party mesh rooms
+
+// Live feed of the signaling traffic for operators ('/admin' namespace)
+const adminFeed = adminSocketHandler(io);
+
+// Admin console: sockets, calls, force-disconnect (operators listed in ADMIN_USERS only)
+// Mounted here because it needs the call handler above
+app.use('/api/admin', createAdminRoutes({ io, callSessions, terminateCall, adminFeed }));
+
+// Serve the React app; every other path returns index.html (client-side routing)
+// Must stay LAST - routes registered after this are never reached
 app.use(express.static(path.join(__dirname, 'build')));
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'build', 'index.html'));
 });
 
-// Server status endpoint (for monitoring)
-app.get('/status', (req, res) => {
-  res.json({
-    server: 'WebRTC Signaling Server',
-    status: 'running',
-    uptime: process.uptime(),
-    connectedClients: io.engine.clientsCount,
-    memory: process.memoryUsage(),
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Initialize WebRTC signaling handler
-videoCallSocketHandler(io);
-
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('[SERVER] Error:', err);
@@ -100,27 +191,53 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Apply the recording retention policy at startup and then every hour
+const sweepRecordings = () => {
+  recordingStore.sweep().catch((error) => {
+    console.error('[RECORDINGS] Retention sweep failed:', error.message);
+  });
+};
+sweepRecordings();
+setInterval(sweepRecordings, 60 * 60 * 1000).unref();
+
 // Start the server
 const port = process.env.PORT || 3001;
 const host = process.env.HOST || '0.0.0.0';
 
-server.listen(port, host, () => {
-  console.log('='.repeat(50));
-  console.log('🚀 WebRTC Signaling Server Started');
-  console.log('='.repeat(50));
-  console.log(`📍 Server running on: http://${host === '0.0.0.0' ? 'localhost' : host}:${port}`);
-  console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`📡 Socket.IO ready for connections`);
-  console.log('='.repeat(50));
-  console.log('\n💡 Educational Note:');
-  console.log('   This server only handles SIGNALING (connection setup).');
-  console.log('   Actual video/audio streams flow directly between peers (P2P).');
-  console.log('='.repeat(50) + '\n');
-});
+// Install the Socket.IO adapter (connects to Redis if needed) before taking traffic
+scaling.attach(io)
+  .then(() => {
+    // Cluster workers don't listen themselves - the primary hands them connections
+    if (scaling.mode === 'cluster') {
+      acceptingTraffic = true;
+      console.log(`[SERVER] Worker ${process.pid} ready (cluster mode)`);
+      return;
+    }
+
+    server.listen(port, host, () => {
+      acceptingTraffic = true;
+      console.log('='.repeat(50));
+      console.log('🚀 WebRTC Signaling Server Started');
+      console.log('='.repeat(50));
+      console.log(`📍 Server running on: http://${host === '0.0.0.0' ? 'localhost' : host}:${port}`);
+      console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`📡 Socket.IO ready for connections (${scaling.mode} adapter)`);
+      console.log('='.repeat(50));
+      console.log('\n💡 Educational Note:');
+      console.log('   This server only handles SIGNALING (connection setup).');
+      console.log('   Actual video/audio streams flow directly between peers (P2P).');
+      console.log('='.repeat(50) + '\n');
+    });
+  })
+  .catch((error) => {
+    console.error('[SERVER] Could not start:', error.message);
+    process.exit(1);
+  });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('\n[SERVER] SIGTERM received, shutting down gracefully...');
+  acceptingTraffic = false;
   server.close(() => {
     console.log('[SERVER] Server closed');
     process.exit(0);
@@ -129,6 +246,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('\n[SERVER] SIGINT received, shutting down gracefully...');
+  acceptingTraffic = false;
   server.close(() => {
     console.log('[SERVER] Server closed');
     process.exit(0);
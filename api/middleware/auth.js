@@ -0,0 +1,110 @@
+/**
+ * Authentication Middleware
+ *
+ * Two flavours of the same check:
+ * - requireAuth: Express middleware for REST routes (token in the Authorization header)
+ * - authenticateSocket: Socket.IO middleware for the signaling connection (token in the handshake)
+ *
+ * Both attach the verified user, so handlers never have to trust identity
+ * fields sent by the client.
+ *
+ * The admin console (see routes/adminRoutes) additionally requires the user to be
+ * an operator: requireAdmin and authenticateAdminSocket. Operators are listed by
+ * username in ADMIN_USERS (comma-separated) - nobody is an operator by default.
+ */
+
+const { verifyToken } = require('../services/authTokens');
+
+const ADMIN_USERNAMES = new Set(
+  (process.env.ADMIN_USERS || '')
+    .split(',')
+    .map((username) => username.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+/**
+ * Whether a user may use the admin console
+ *
+ * @param {Object} user - { username, ... }
+ * @returns {boolean}
+ */
+const isAdmin = (user) => Boolean(user && ADMIN_USERNAMES.has(user.username.toLowerCase()));
+
+/**
+ * Read a bearer token from an "Authorization: Bearer <token>" header
+ */
+const getBearerToken = (header) => {
+  if (typeof header !== 'string') {
+    return null;
+  }
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Express middleware - rejects requests without a valid token
+ * On success the user is available as req.user
+ */
+const requireAuth = (req, res, next) => {
+  const user = verifyToken(getBearerToken(req.headers.authorization));
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  req.user = user;
+  next();
+};
+
+/**
+ * Socket.IO middleware - rejects connections without a valid token
+ *
+ * The client passes the token as io(url, { auth: { token } }).
+ * On success the user is available as socket.data.user for every handler.
+ * Rejected clients receive a 'connect_error' with the error message.
+ */
+const authenticateSocket = (socket, next) => {
+  const user = verifyToken(socket.handshake.auth?.token);
+  if (!user) {
+    console.warn(`[AUTH] Rejected unauthenticated socket from ${socket.handshake.address}`);
+    return next(new Error('Authentication required'));
+  }
+  socket.data.user = user;
+  next();
+};
+
+/**
+ * Express middleware - like requireAuth, but only lets operators through
+ */
+const requireAdmin = (req, res, next) => {
+  requireAuth(req, res, () => {
+    if (!isAdmin(req.user)) {
+      console.warn(`[AUTH] Refused admin request from '${req.user.username}'`);
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  });
+};
+
+/**
+ * Socket.IO middleware for the admin namespace - like authenticateSocket, but only for operators
+ */
+const authenticateAdminSocket = (socket, next) => {
+  authenticateSocket(socket, (error) => {
+    if (error) {
+      return next(error);
+    }
+    if (!isAdmin(socket.data.user)) {
+      console.warn(`[AUTH] Refused admin socket from '${socket.data.user.username}'`);
+      return next(new Error('Admin access required'));
+    }
+    next();
+  });
+};
+
+module.exports = {
+  getBearerToken,
+  isAdmin,
+  requireAuth,
+  requireAdmin,
+  authenticateSocket,
+  authenticateAdminSocket
+};
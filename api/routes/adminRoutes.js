@@ -0,0 +1,113 @@
+/**
+ * Admin Routes
+ *
+ * What operators see and do in the admin console (client route /admin):
+ *
+ * GET  /api/admin/sockets                  Connected sockets: user, IP, user agent, connect time, call
+ * GET  /api/admin/calls                    Active (ringing and connected) calls
+ * POST /api/admin/sockets/:id/disconnect   Force-disconnect a socket (its call ends for the other party)
+ * POST /api/admin/calls/:id/end            End a call - both parties get 'callEnded' (reason 'admin')
+ *
+ * Every route requires an operator's token (see middleware/auth - requireAdmin).
+ * The live event feed is not here: it is streamed over the '/admin' Socket.IO
+ * namespace (see sockets/adminSocketHandler).
+ *
+ * Sockets are fetched through the Socket.IO adapter and calls from the shared
+ * call sessions, so the console shows every server instance.
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../middleware/auth');
+const { getClientIp } = require('../sockets/signalingGuard');
+
+/**
+ * @param {Object} options
+ * @param {Object} options.io - Socket.IO server instance
+ * @param {Object} options.callSessions - Active call sessions (see services/callSessions)
+ * @param {Function} options.terminateCall - Ends a call and tells both parties (see sockets/videoCallSocketHandler)
+ * @param {Object} options.adminFeed - Live event feed (see sockets/adminSocketHandler)
+ * @returns {express.Router}
+ */
+const createAdminRoutes = ({ io, callSessions, terminateCall, adminFeed }) => {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  router.get('/sockets', async (req, res, next) => {
+    try {
+      const [sockets, calls] = await Promise.all([io.fetchSockets(), callSessions.list()]);
+
+      // socket ID -> the call it is part of
+      const callsBySocket = new Map();
+      for (const call of calls) {
+        callsBySocket.set(call.caller.socketId, call);
+        callsBySocket.set(call.callee.socketId, call);
+      }
+
+      res.json({
+        sockets: sockets
+          .map((socket) => {
+            const call = callsBySocket.get(socket.id);
+            return {
+              id: socket.id,
+              username: socket.data.user?.username || null,
+              displayName: socket.data.user?.displayName || null,
+              ip: getClientIp(socket),
+              userAgent: socket.handshake.headers['user-agent'] || null,
+              connectedAt: new Date(socket.handshake.issued).toISOString(),
+              call: call ? { id: call.id, state: call.state } : null
+            };
+          })
+          .sort((a, b) => a.connectedAt.localeCompare(b.connectedAt))
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/calls', async (req, res, next) => {
+    try {
+      const calls = await callSessions.list();
+      res.json({ calls: calls.sort((a, b) => a.createdAt.localeCompare(b.createdAt)) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/sockets/:id/disconnect', async (req, res, next) => {
+    try {
+      // Every socket is in a room named after its ID
+      const socket = (await io.in(req.params.id).fetchSockets()).find(({ id }) => id === req.params.id);
+      if (!socket) {
+        return res.status(404).json({ error: 'Socket not found' });
+      }
+
+      // A server-side disconnect: the client does not reconnect by itself, and
+      // its call ends right away (no reconnect grace period)
+      socket.disconnect(true);
+      console.log(`[ADMIN] '${req.user.username}' disconnected ${socket.id} ('${socket.data.user?.username}')`);
+      adminFeed.publish('admin', { username: req.user.username, action: 'disconnect', socketId: socket.id });
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/calls/:id/end', async (req, res, next) => {
+    try {
+      const session = await terminateCall(req.params.id, 'admin');
+      if (!session) {
+        return res.status(404).json({ error: 'Call not found or already ended' });
+      }
+
+      console.log(`[ADMIN] '${req.user.username}' ended call ${session.id}`);
+      adminFeed.publish('admin', { username: req.user.username, action: 'endCall', callId: session.id });
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAdminRoutes;
@@ -0,0 +1,69 @@
+/**
+ * Authentication Routes
+ *
+ * POST /api/auth/register - Create an account and log in
+ * POST /api/auth/login    - Exchange username/password for a token
+ * GET  /api/auth/me       - Return the user behind the current token
+ *
+ * The returned user says whether it may open the admin console (isAdmin).
+ *
+ * The returned token must be sent:
+ * - on REST calls as "Authorization: Bearer <token>"
+ * - on the Socket.IO connection as io(url, { auth: { token } })
+ */
+
+const express = require('express');
+const { createToken } = require('../services/authTokens');
+const { isAdmin, requireAuth } = require('../middleware/auth');
+
+// The account as the client sees it
+const describeUser = (user) => ({ ...user, isAdmin: isAdmin(user) });
+
+/**
+ * @param {Object} options
+ * @param {Object} options.userStore - Account store (see services/userStore)
+ * @returns {express.Router}
+ */
+const createAuthRoutes = ({ userStore }) => {
+  const router = express.Router();
+
+  router.post('/register', async (req, res, next) => {
+    try {
+      const { username, password, displayName } = req.body || {};
+      const { user, error } = await userStore.createUser({ username, password, displayName });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      res.status(201).json({ token: createToken(user), user: describeUser(user) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/login', async (req, res, next) => {
+    try {
+      const { username, password } = req.body || {};
+      const user = await userStore.verifyCredentials(username, password);
+      if (!user) {
+        // Same message for unknown user and wrong password - don't reveal which usernames exist
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+      console.log(`[AUTH] '${user.username}' logged in`);
+      res.json({ token: createToken(user), user: describeUser(user) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/me', requireAuth, (req, res) => {
+    const user = userStore.getUser(req.user.username);
+    if (!user) {
+      return res.status(401).json({ error: 'Account no longer exists' });
+    }
+    res.json({ user: describeUser(user) });
+  });
+
+  return router;
+};
+
+module.exports = createAuthRoutes;
@@ -0,0 +1,62 @@
+/**
+ * Call History Routes
+ *
+ * GET /api/calls - The logged-in user's call detail records, most recently ended first
+ *
+ * Query parameters (all optional):
+ * - with:       only calls with this handle
+ * - direction:  'incoming' or 'outgoing'
+ * - endReason:  'hangup', 'disconnected', 'declined', 'cancelled', 'timeout', 'busy' or 'admin' (ended by an operator)
+ * - since/until: ISO dates bounding when the call started
+ * - limit/offset: paging (limit defaults to 20 - also when invalid or not positive - and is capped at 100)
+ *
+ * Users only ever see calls they took part in.
+ */
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+
+const DIRECTIONS = ['incoming', 'outgoing'];
+const END_REASONS = ['hangup', 'disconnected', 'declined', 'cancelled', 'timeout', 'busy', 'admin'];
+
+/**
+ * @param {Object} options
+ * @param {Object} options.callHistory - Call record store (see services/callHistory)
+ * @returns {express.Router}
+ */
+const createCallRoutes = ({ callHistory }) => {
+  const router = express.Router();
+
+  router.get('/', requireAuth, async (req, res, next) => {
+    const { with: peer, direction, endReason, since, until, limit, offset } = req.query;
+
+    if (direction && !DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ error: `direction must be one of: ${DIRECTIONS.join(', ')}` });
+    }
+    if (endReason && !END_REASONS.includes(endReason)) {
+      return res.status(400).json({ error: `endReason must be one of: ${END_REASONS.join(', ')}` });
+    }
+    if ([since, until].some((date) => date && Number.isNaN(Date.parse(date)))) {
+      return res.status(400).json({ error: 'since and until must be ISO dates' });
+    }
+
+    try {
+      res.json(await callHistory.query({
+        participant: req.user.username,
+        peer,
+        direction,
+        endReason,
+        since,
+        until,
+        limit,
+        offset
+      }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createCallRoutes;
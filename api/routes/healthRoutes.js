@@ -0,0 +1,61 @@
+/**
+ * Monitoring Routes
+ *
+ * GET /metrics      - Prometheus metrics (see services/metrics)
+ * GET /health/live  - Liveness: the process is up and serving HTTP (always 200)
+ * GET /health/ready - Readiness: 200 while the server accepts traffic, 503 while
+ *                     starting up or shutting down (load balancers stop sending users)
+ * GET /status       - Human-readable summary (uptime, clients, memory)
+ *
+ * These routes must be registered BEFORE the SPA catch-all (app.get('*')),
+ * otherwise the catch-all answers them with index.html.
+ */
+
+const express = require('express');
+
+/**
+ * @param {Object} options
+ * @param {Object} options.io - Socket.IO server instance
+ * @param {Object} options.metrics - Metrics registry (see services/metrics)
+ * @param {Function} options.isReady - Returns true while the server should receive traffic
+ * @returns {express.Router}
+ */
+const createHealthRoutes = ({ io, metrics, isReady }) => {
+  const router = express.Router();
+
+  router.get('/metrics', async (req, res, next) => {
+    try {
+      res.set('Content-Type', metrics.contentType);
+      res.send(await metrics.render());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/health/live', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  router.get('/health/ready', (req, res) => {
+    if (!isReady()) {
+      return res.status(503).json({ status: 'not ready' });
+    }
+    res.json({ status: 'ready' });
+  });
+
+  // Server status endpoint (for monitoring)
+  router.get('/status', (req, res) => {
+    res.json({
+      server: 'WebRTC Signaling Server',
+      status: 'running',
+      uptime: process.uptime(),
+      connectedClients: io.engine.clientsCount,
+      memory: process.memoryUsage(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return router;
+};
+
+module.exports = createHealthRoutes;
@@ -0,0 +1,31 @@
+/**
+ * ICE Server Routes
+ *
+ * GET /api/ice-servers - STUN/TURN servers for the logged-in user
+ *
+ * Response: { iceServers: [{ urls, username?, credential? }], ttl }
+ * The TURN credentials expire after `ttl` seconds, so clients fetch this
+ * again before setting up a new peer connection.
+ */
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+
+/**
+ * @param {Object} options
+ * @param {Object} options.iceServerProvider - Issues ICE servers (see services/iceServers)
+ * @returns {express.Router}
+ */
+const createIceServerRoutes = ({ iceServerProvider }) => {
+  const router = express.Router();
+
+  router.get('/', requireAuth, (req, res) => {
+    // Credentials must never be cached by the browser or a proxy
+    res.set('Cache-Control', 'no-store');
+    res.json(iceServerProvider.getIceServers(req.user.username));
+  });
+
+  return router;
+};
+
+module.exports = createIceServerRoutes;
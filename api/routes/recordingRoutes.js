@@ -0,0 +1,248 @@
+/**
+ * Call Recording Routes
+ *
+ * Resumable, chunked uploads of call recordings made in the browser:
+ *
+ * POST   /api/recordings                 Start an upload: { callId, fileName, mimeType, size }
+ * PUT    /api/recordings/:id/chunks?offset=N
+ *                                        Upload the next chunk (raw bytes, application/octet-stream)
+ * GET    /api/recordings/:id             Metadata - receivedBytes says where to resume
+ * GET    /api/recordings                 Recordings of the user's calls (?callId= for one call)
+ * GET    /api/recordings/:id/download    The media, with HTTP Range support (seeking, resumed downloads)
+ * DELETE /api/recordings/:id             Delete (only the user who uploaded it)
+ *
+ * A recording belongs to a call session: only the two people in that call
+ * can upload recordings of it, list them and download them. Old recordings
+ * are deleted automatically (see services/recordingStore).
+ *
+ * Starting an upload is refused with 413 when it would take the user over their
+ * storage quota, and with 429 while they already have too many unfinished uploads.
+ */
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+
+// Largest chunk accepted in one request
+const MAX_CHUNK_BYTES = Number(process.env.RECORDING_MAX_CHUNK_BYTES) || 8 * 1024 * 1024;
+
+// Largest recording accepted
+const MAX_RECORDING_BYTES = Number(process.env.RECORDING_MAX_BYTES) || 2 * 1024 * 1024 * 1024;
+
+const ALLOWED_MIME_TYPES = ['video/webm', 'audio/webm'];
+
+const same = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Parse "Range: bytes=start-end" for a file of the given size
+ *
+ * @returns {Object|null|false} { start, end } (inclusive), null without a Range header, false if unsatisfiable
+ */
+const parseRange = (header, size) => {
+  if (!header) {
+    return null;
+  }
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return false;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  return start <= end && start < size ? { start, end } : false;
+};
+
+/**
+ * @param {Object} options
+ * @param {Object} options.recordingStore - Recording storage (see services/recordingStore)
+ * @param {Object} options.callSessions - Live call sessions (see services/callSessions)
+ * @param {Object} options.callHistory - Ended calls (see services/callHistory)
+ * @returns {express.Router}
+ */
+const createRecordingRoutes = ({ recordingStore, callSessions, callHistory }) => {
+  const router = express.Router();
+
+  /**
+   * Handles of both sides of a call, whether it is still running or already ended
+   *
+   * @returns {Promise<Array<string>|null>} null if there is no such call
+   */
+  const getCallParticipants = async (callId) => {
+    const session = await callSessions.get(callId);
+    if (session) {
+      return [session.caller.handle, session.callee.handle];
+    }
+    const record = await callHistory.get(callId);
+    return record ? [record.callerHandle, record.calleeHandle] : null;
+  };
+
+  const isParticipant = (recording, user) => recording.participants.some((handle) => same(handle, user.username));
+
+  /**
+   * Load the recording named in the URL, or answer 404 if the user may not see it
+   */
+  const loadRecording = async (req, res, next) => {
+    try {
+      const recording = await recordingStore.get(req.params.id);
+      // Same answer for "does not exist" and "not yours" - don't reveal which recordings exist
+      if (!recording || !isParticipant(recording, req.user)) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+      req.recording = recording;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  router.post('/', requireAuth, async (req, res, next) => {
+    try {
+      const { callId, fileName, mimeType, size } = req.body || {};
+
+      if (typeof callId !== 'string' || !callId) {
+        return res.status(400).json({ error: 'callId is required' });
+      }
+      // An empty recording has nothing to upload - and would count against neither quota
+      if (!Number.isInteger(size) || size < 1 || size > MAX_RECORDING_BYTES) {
+        return res.status(400).json({ error: `size must be a whole number of bytes from 1 to ${MAX_RECORDING_BYTES}` });
+      }
+      const baseMimeType = typeof mimeType === 'string' ? mimeType.split(';')[0].trim() : '';
+      if (!ALLOWED_MIME_TYPES.includes(baseMimeType)) {
+        return res.status(400).json({ error: `mimeType must be one of: ${ALLOWED_MIME_TYPES.join(', ')}` });
+      }
+
+      const participants = await getCallParticipants(callId);
+      if (!participants || !participants.some((handle) => same(handle, req.user.username))) {
+        return res.status(404).json({ error: 'Call not found' });
+      }
+
+      const { recording, error, code } = await recordingStore.create({
+        callId,
+        uploadedBy: req.user.username,
+        participants,
+        // Only used as the download name - keep it short and free of path/header characters
+        fileName: (typeof fileName === 'string' && fileName.replace(/[^\w.-]/g, '_').slice(0, 100)) || `${callId}.webm`,
+        mimeType: baseMimeType,
+        size
+      });
+      if (code === 'QUOTA_EXCEEDED') {
+        return res.status(413).json({ error });
+      }
+      if (code === 'TOO_MANY_UPLOADS') {
+        return res.status(429).json({ error });
+      }
+      res.status(201).json({ recording });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.put(
+    '/:id/chunks',
+    requireAuth,
+    loadRecording,
+    express.raw({ type: 'application/octet-stream', limit: MAX_CHUNK_BYTES }),
+    async (req, res, next) => {
+      try {
+        if (!same(req.recording.uploadedBy, req.user.username)) {
+          return res.status(403).json({ error: 'Only the uploader can add to this recording' });
+        }
+        const offset = Number(req.query.offset);
+        if (!Number.isInteger(offset) || offset < 0) {
+          return res.status(400).json({ error: 'offset must be a whole number of bytes' });
+        }
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+          return res.status(400).json({ error: 'Send the chunk as application/octet-stream' });
+        }
+
+        const { recording, error, code } = await recordingStore.appendChunk(req.recording.id, offset, req.body);
+        if (code === 'NOT_FOUND') {
+          return res.status(404).json({ error });
+        }
+        if (code === 'OFFSET_MISMATCH') {
+          // The client resumes from receivedBytes
+          return res.status(409).json({ error, recording });
+        }
+        if (code === 'TOO_LARGE') {
+          return res.status(413).json({ error, recording });
+        }
+        res.json({ recording });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  router.get('/', requireAuth, async (req, res, next) => {
+    try {
+      const { callId } = req.query;
+      const recordings = await recordingStore.list({
+        participant: req.user.username,
+        callId: typeof callId === 'string' ? callId : undefined
+      });
+      res.json({ recordings, retentionDays: recordingStore.retentionDays });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id', requireAuth, loadRecording, (req, res) => {
+    res.json({ recording: req.recording });
+  });
+
+  router.get('/:id/download', requireAuth, loadRecording, (req, res) => {
+    const { recording } = req;
+    if (recording.status !== 'complete') {
+      return res.status(409).json({ error: 'Upload is not complete yet' });
+    }
+
+    const range = parseRange(req.headers.range, recording.size);
+    if (range === false) {
+      res.setHeader('Content-Range', `bytes */${recording.size}`);
+      return res.status(416).end();
+    }
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Content-Type', recording.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${recording.fileName}"`);
+
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${recording.size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+      res.setHeader('Content-Length', recording.size);
+    }
+
+    const stream = recordingStore.createReadStream(recording.id, range || undefined);
+    stream.on('error', (error) => {
+      console.error('[RECORDINGS] Could not read recording:', error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  });
+
+  router.delete('/:id', requireAuth, loadRecording, async (req, res, next) => {
+    try {
+      if (!same(req.recording.uploadedBy, req.user.username)) {
+        return res.status(403).json({ error: 'Only the uploader can delete this recording' });
+      }
+      await recordingStore.remove(req.recording.id);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createRecordingRoutes;
+module.exports.parseRange = parseRange;
@@ -0,0 +1,60 @@
+/**
+ * Auth Tokens
+ *
+ * Issues and verifies signed JSON Web Tokens (JWT).
+ *
+ * A token proves "the server logged this user in" without any server-side
+ * session: the payload (username, display name) is signed with a secret that
+ * only the server knows, so clients cannot edit it without breaking the signature.
+ *
+ * Configuration:
+ * - AUTH_TOKEN_SECRET: signing secret (set it in production!)
+ * - AUTH_TOKEN_TTL: token lifetime, e.g. '12h' (default) or '30m'
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '12h';
+
+// Without a configured secret, fall back to a random one.
+// Tokens then stop working whenever the server restarts.
+const TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || (() => {
+  console.warn('[AUTH] AUTH_TOKEN_SECRET is not set - using a random secret (tokens will not survive a restart)');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+/**
+ * Sign a token for a logged-in user
+ *
+ * @param {Object} user - Public user ({ username, displayName })
+ * @returns {string} Signed token
+ */
+const createToken = ({ username, displayName }) => jwt.sign(
+  { displayName },
+  TOKEN_SECRET,
+  { subject: username, expiresIn: TOKEN_TTL }
+);
+
+/**
+ * Verify a token and extract the user it was issued for
+ *
+ * @param {string} token - Token sent by the client
+ * @returns {Object|null} { username, displayName }, or null if the token is missing, forged or expired
+ */
+const verifyToken = (token) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+  try {
+    const { sub, displayName } = jwt.verify(token, TOKEN_SECRET);
+    return { username: sub, displayName };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createToken,
+  verifyToken
+};
@@ -0,0 +1,96 @@
+/**
+ * Temporary Ban List
+ *
+ * Counts "strikes" (rate-limit hits, invalid payloads) per key - usually an
+ * IP address. A key that collects too many strikes in a short time is banned
+ * for a while; the ban expires on its own.
+ *
+ * Strikes only count within `strikeWindowMs`, so an honest client that trips
+ * a limit once in a while is never banned.
+ */
+
+/**
+ * @param {Object} options
+ * @param {number} options.maxStrikes - Strikes within the window that trigger a ban
+ * @param {number} options.strikeWindowMs - How long a strike counts
+ * @param {number} options.banDurationMs - How long a ban lasts
+ */
+const createBanList = ({ maxStrikes, strikeWindowMs, banDurationMs }) => {
+  // key -> timestamps (ms) of recent strikes
+  const strikes = new Map();
+  // key -> time (ms) the ban ends
+  const bans = new Map();
+
+  /**
+   * @returns {boolean} Whether the key is currently banned
+   */
+  const isBanned = (key) => {
+    const until = bans.get(key);
+    if (until && until > Date.now()) {
+      return true;
+    }
+    bans.delete(key);
+    return false;
+  };
+
+  /**
+   * Record a strike against a key
+   *
+   * @param {string} key - Offender (usually an IP address)
+   * @returns {boolean} true if this strike got the key banned
+   */
+  const addStrike = (key) => {
+    const now = Date.now();
+    const recent = (strikes.get(key) || []).filter((time) => now - time < strikeWindowMs);
+    recent.push(now);
+
+    if (recent.length >= maxStrikes) {
+      strikes.delete(key);
+      bans.set(key, now + banDurationMs);
+      return true;
+    }
+
+    strikes.set(key, recent);
+    return false;
+  };
+
+  /**
+   * @returns {Array<{ key: string, until: string }>} Active bans
+   */
+  const list = () => Array.from(bans.entries())
+    .filter(([key]) => isBanned(key))
+    .map(([key, until]) => ({ key, until: new Date(until).toISOString() }));
+
+  /**
+   * Lift a ban early
+   */
+  const unban = (key) => {
+    bans.delete(key);
+    strikes.delete(key);
+  };
+
+  // Forget stale strikes and expired bans now and then
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    strikes.forEach((times, key) => {
+      if (now - times[times.length - 1] >= strikeWindowMs) {
+        strikes.delete(key);
+      }
+    });
+    bans.forEach((until, key) => {
+      if (until <= now) {
+        bans.delete(key);
+      }
+    });
+  }, strikeWindowMs);
+  sweepTimer.unref();
+
+  return {
+    isBanned,
+    addStrike,
+    list,
+    unban
+  };
+};
+
+module.exports = createBanList;
@@ -0,0 +1,258 @@
+/**
+ * Call History (Call Detail Records)
+ *
+ * Keeps one record per call attempt after it ends, so users can see who they
+ * talked to and for how long.
+ *
+ * Records are appended to a JSON-lines file (one JSON object per line).
+ * Appending is cheap, a crash can at worst lose the last line, and the file
+ * can be inspected with ordinary text tools.
+ *
+ * Only the most recent records (by end time) are kept in memory and can be
+ * queried - the file keeps all of them.
+ *
+ * Record fields:
+ * - id, callerHandle, calleeHandle, callerName, calleeName
+ * - startedAt (ringing started), answeredAt (null if never answered), endedAt
+ * - durationSeconds (talk time: answered → ended, 0 if never answered)
+ * - endReason ('hangup', 'disconnected', 'declined', 'cancelled', 'timeout', 'busy', 'admin')
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_HISTORY_PATH = path.join(__dirname, '..', 'data', 'calls.jsonl');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// How many records are kept in memory (CALL_HISTORY_MAX_RECORDS overrides it)
+const DEFAULT_MAX_RECORDS = 10000;
+
+/**
+ * Page size to use for a requested limit: anything that is not a positive whole number
+ * (missing, 0, negative, 'abc', ...) gets the default
+ */
+const toPageSize = (limit) => {
+  const requested = Number(limit);
+  return Number.isInteger(requested) && requested > 0 ? Math.min(requested, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+};
+
+/**
+ * Turn an ended call session into a call detail record
+ */
+const toRecord = (session) => {
+  const durationMs = session.answeredAt
+    ? new Date(session.endedAt) - new Date(session.answeredAt)
+    : 0;
+
+  return {
+    id: session.id,
+    callerHandle: session.caller.handle,
+    calleeHandle: session.callee.handle,
+    callerName: session.caller.name,
+    calleeName: session.callee.name,
+    startedAt: session.createdAt,
+    answeredAt: session.answeredAt,
+    endedAt: session.endedAt,
+    durationSeconds: Math.max(0, Math.round(durationMs / 1000)),
+    endReason: session.endReason
+  };
+};
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Where to keep the JSON-lines file
+ * @param {number} [options.maxRecords] - How many of the most recent records to keep in memory
+ */
+const createCallHistoryStore = ({
+  filePath = process.env.CALL_HISTORY_PATH || DEFAULT_HISTORY_PATH,
+  maxRecords = Number(process.env.CALL_HISTORY_MAX_RECORDS) || DEFAULT_MAX_RECORDS
+} = {}) => {
+  // The most recent records, oldest (by end time) first (kept in sync with the file)
+  const records = [];
+  // IDs of the records above, so a record is never added twice
+  const knownIds = new Set();
+  // How many bytes of the file we have read so far
+  let readOffset = 0;
+  // The read in progress, if any - callers that arrive meanwhile wait for it instead of reading again
+  let pendingRead = null;
+
+  /**
+   * Forget the oldest records beyond maxRecords
+   */
+  const trim = () => {
+    if (records.length > maxRecords) {
+      records.splice(0, records.length - maxRecords).forEach((entry) => knownIds.delete(entry.id));
+    }
+  };
+
+  /**
+   * Read records appended to the file since we last looked
+   * Other server instances on this host (see services/scaling) append to the same file;
+   * our own records are already in memory and are skipped by ID.
+   *
+   * @returns {Promise<number>} How many new records were added
+   */
+  const readNewRecords = async () => {
+    let size;
+    try {
+      size = (await fs.promises.stat(filePath)).size;
+    } catch (error) {
+      return 0; // No file yet
+    }
+    if (size <= readOffset) {
+      return 0;
+    }
+
+    const buffer = Buffer.alloc(size - readOffset);
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      await handle.read(buffer, 0, buffer.length, readOffset);
+    } finally {
+      await handle.close();
+    }
+
+    // Only consume complete lines - a line still being written is picked up next time
+    const complete = buffer.lastIndexOf('\n') + 1;
+    readOffset += complete;
+
+    let added = 0;
+    buffer.toString('utf8', 0, complete).split('\n').forEach((line) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        const entry = JSON.parse(line);
+        if (!knownIds.has(entry.id)) {
+          knownIds.add(entry.id);
+          records.push(entry);
+          added++;
+        }
+      } catch (error) {
+        // A torn last line after a crash - skip it
+        console.warn('[CALLS] Skipping unreadable call record line');
+      }
+    });
+
+    // Records from other instances may arrive out of order - keep the list sorted by end time
+    if (added > 0) {
+      records.sort((a, b) => a.endedAt.localeCompare(b.endedAt));
+      trim();
+    }
+    return added;
+  };
+
+  /**
+   * Catch up with the file, sharing a read that is already in progress
+   */
+  const refresh = () => {
+    if (!pendingRead) {
+      pendingRead = readNewRecords().finally(() => {
+        pendingRead = null;
+      });
+    }
+    return pendingRead;
+  };
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  refresh()
+    .then(() => console.log(`[CALLS] Loaded ${records.length} call record(s) from ${filePath}`))
+    .catch((error) => console.error(`[CALLS] Could not read ${filePath}:`, error.message));
+
+  // Append-only stream - writes are queued in order without blocking the event loop
+  const output = fs.createWriteStream(filePath, { flags: 'a' });
+  output.on('error', (error) => console.error('[CALLS] Could not write call record:', error.message));
+
+  /**
+   * Store the record for a call that just ended
+   *
+   * @param {Object} session - Ended call session (see services/callSessions)
+   * @returns {Object} The stored record
+   */
+  const record = (session) => {
+    const entry = toRecord(session);
+    knownIds.add(entry.id);
+    records.push(entry);
+    trim();
+    output.write(`${JSON.stringify(entry)}\n`);
+    return entry;
+  };
+
+  /**
+   * Find call records, most recently ended first
+   *
+   * @param {Object} [filters]
+   * @param {string} [filters.participant] - Only calls this handle took part in
+   * @param {string} [filters.peer] - Only calls with this other handle (combine with participant)
+   * @param {string} [filters.direction] - 'outgoing' or 'incoming', relative to participant
+   * @param {string} [filters.endReason] - Only calls that ended this way
+   * @param {string} [filters.since] - Only calls started at or after this ISO date
+   * @param {string} [filters.until] - Only calls started before this ISO date
+   * @param {number} [filters.limit] - Page size (max 100; default 20, also for invalid or non-positive values)
+   * @param {number} [filters.offset] - Number of matching records to skip
+   * @returns {Promise<{ total: number, limit: number, offset: number, calls: Array<Object> }>}
+   */
+  const query = async ({ participant, peer, direction, endReason, since, until, limit, offset } = {}) => {
+    const same = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const untilTime = until ? new Date(until).getTime() : null;
+
+    await refresh();
+
+    const matches = records.filter((entry) => {
+      const isCaller = same(entry.callerHandle, participant);
+      const isCallee = same(entry.calleeHandle, participant);
+      if (participant && !isCaller && !isCallee) {
+        return false;
+      }
+      if (direction === 'outgoing' && !isCaller) {
+        return false;
+      }
+      if (direction === 'incoming' && !isCallee) {
+        return false;
+      }
+      if (peer && !(isCaller ? same(entry.calleeHandle, peer) : same(entry.callerHandle, peer))) {
+        return false;
+      }
+      if (endReason && entry.endReason !== endReason) {
+        return false;
+      }
+      const startedTime = new Date(entry.startedAt).getTime();
+      if (sinceTime !== null && !(startedTime >= sinceTime)) {
+        return false;
+      }
+      if (untilTime !== null && !(startedTime < untilTime)) {
+        return false;
+      }
+      return true;
+    });
+
+    const pageSize = toPageSize(limit);
+    const start = Math.max(Number(offset) || 0, 0);
+
+    return {
+      total: matches.length,
+      limit: pageSize,
+      offset: start,
+      calls: matches.reverse().slice(start, start + pageSize)
+    };
+  };
+
+  /**
+   * @param {string} id - Call session ID
+   * @returns {Promise<Object|null>} The call's record, or null if it has not ended (or never existed)
+   */
+  const get = async (id) => {
+    await refresh();
+    return records.find((entry) => entry.id === id) || null;
+  };
+
+  return {
+    record,
+    query,
+    get
+  };
+};
+
+module.exports = createCallHistoryStore;
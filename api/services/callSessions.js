@@ -0,0 +1,242 @@
+/**
+ * Call Session Store
+ *
+ * Remembers who is calling whom, so the server can answer questions like
+ * "is this user already in a call?" and tell the caller what happened to a call.
+ *
+ * Every 1:1 call is a small state machine:
+ *
+ *   ringing ──answer──▶ connected ──hang up / disconnect──▶ ended
+ *      │
+ *      └── decline / cancel / ring timeout / disconnect ──▶ ended
+ *
+ * A socket can be part of at most one active (ringing or connected) call.
+ *
+ * Sessions live in a shared state backend (see services/stateBackends), so a
+ * call between users on different server instances works - all methods that
+ * touch stored sessions are async.
+ *
+ * Updates are read-modify-write, so one can race end() (a hang-up arriving
+ * with an answer, say). end() leaves a short-lived marker for the call, and an
+ * update that finds it undoes its write - otherwise the ended call would be
+ * written back and its users would stay busy.
+ */
+
+const crypto = require('crypto');
+const { createMemoryBackend } = require('./stateBackends');
+
+const CALL_STATES = Object.freeze({
+  RINGING: 'ringing',
+  CONNECTED: 'connected',
+  ENDED: 'ended'
+});
+
+// Backend hashes:
+// call ID -> JSON session (active sessions only)
+const SESSIONS_HASH = 'calls:sessions';
+// socket ID -> call ID of the socket's active session
+const SOCKETS_HASH = 'calls:sockets';
+// call ID -> when it ended (recently ended sessions, see saveIfActive)
+const ENDED_HASH = 'calls:ended';
+
+// How long an ended call's marker is kept - far longer than any single update takes
+const ENDED_MARKER_TTL_MS = 60 * 1000;
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.backend] - Shared state backend (defaults to this process's memory)
+ */
+const createCallSessionStore = ({ backend = createMemoryBackend() } = {}) => {
+  const save = (session) => backend.hset(SESSIONS_HASH, session.id, JSON.stringify(session));
+
+  const hasEnded = async (callId) => Boolean(await backend.hget(ENDED_HASH, callId));
+
+  /**
+   * Save an updated session unless end() got to it first
+   *
+   * The marker is checked again after writing: if end() ran in between, our
+   * write may have brought the session back, so it is removed again.
+   *
+   * @returns {Promise<boolean>} Whether the session is still active
+   */
+  const saveIfActive = async (session) => {
+    if (await hasEnded(session.id)) {
+      return false;
+    }
+    await save(session);
+    if (await hasEnded(session.id)) {
+      await backend.hdel(SESSIONS_HASH, session.id);
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Forget markers of calls that ended long ago
+   */
+  const pruneEndedMarkers = async () => {
+    const cutoff = Date.now() - ENDED_MARKER_TTL_MS;
+    for (const [callId, endedAt] of Object.entries(await backend.hgetall(ENDED_HASH))) {
+      if (Number(endedAt) < cutoff) {
+        await backend.hdel(ENDED_HASH, callId);
+      }
+    }
+  };
+
+  /**
+   * Start a new call in the 'ringing' state
+   *
+   * Both sockets are claimed with hsetnx: if two calls to the same user start at
+   * once, only one of them gets the user - the other is rolled back.
+   *
+   * @param {Object} caller - { socketId, handle, name }
+   * @param {Object} callee - { socketId, handle, name }
+   * @returns {Promise<Object|null>} The new session, or null if either socket is already in a call
+   */
+  const create = async (caller, callee) => {
+    const session = {
+      id: crypto.randomUUID(),
+      caller,
+      callee,
+      state: CALL_STATES.RINGING,
+      createdAt: new Date().toISOString(),
+      answeredAt: null,
+      endedAt: null,
+      endReason: null
+    };
+    await save(session);
+
+    const callerClaimed = await backend.hsetnx(SOCKETS_HASH, caller.socketId, session.id);
+    if (callerClaimed && await backend.hsetnx(SOCKETS_HASH, callee.socketId, session.id)) {
+      return session;
+    }
+
+    // Lost the race - undo what we claimed
+    if (callerClaimed) {
+      await backend.hdel(SOCKETS_HASH, caller.socketId);
+    }
+    await backend.hdel(SESSIONS_HASH, session.id);
+    return null;
+  };
+
+  /**
+   * @returns {Promise<Object|null>} The active session with that ID
+   */
+  const get = async (callId) => {
+    const value = await backend.hget(SESSIONS_HASH, callId);
+    return value ? JSON.parse(value) : null;
+  };
+
+  /**
+   * @returns {Promise<Object|null>} The active session a socket is part of
+   */
+  const getBySocket = async (socketId) => {
+    const callId = await backend.hget(SOCKETS_HASH, socketId);
+    return callId ? get(callId) : null;
+  };
+
+  /**
+   * @returns {Promise<boolean>} Whether the socket is ringing or in a call
+   */
+  const isBusy = async (socketId) => Boolean(await getBySocket(socketId));
+
+  /**
+   * Socket ID of the other party in a session
+   */
+  const getOtherParty = (session, socketId) => (
+    session.caller.socketId === socketId ? session.callee.socketId : session.caller.socketId
+  );
+
+  /**
+   * Move a ringing call to 'connected' (the callee answered)
+   *
+   * @returns {Promise<Object|null>} The updated session, or null if it was not ringing
+   */
+  const markConnected = async (callId) => {
+    const session = await get(callId);
+    if (!session || session.state !== CALL_STATES.RINGING) {
+      return null;
+    }
+    session.state = CALL_STATES.CONNECTED;
+    session.answeredAt = new Date().toISOString();
+    return await saveIfActive(session) ? session : null;
+  };
+
+  /**
+   * End a call and forget it
+   *
+   * @param {string} callId - Call to end
+   * @param {string} reason - Why it ended ('declined', 'cancelled', 'timeout', 'disconnected', ...)
+   * @returns {Promise<Object|null>} The ended session, or null if it was not active
+   */
+  const end = async (callId, reason) => {
+    const session = await get(callId);
+    // The marker is the "claim": if two events end the call at once, only one gets it
+    if (!session || !(await backend.hsetnx(ENDED_HASH, callId, String(Date.now())))) {
+      return null;
+    }
+    await backend.hdel(SESSIONS_HASH, callId);
+    session.state = CALL_STATES.ENDED;
+    session.endedAt = new Date().toISOString();
+    session.endReason = reason;
+
+    for (const socketId of [session.caller.socketId, session.callee.socketId]) {
+      if (await backend.hget(SOCKETS_HASH, socketId) === callId) {
+        await backend.hdel(SOCKETS_HASH, socketId);
+      }
+    }
+    await pruneEndedMarkers();
+    return session;
+  };
+
+  /**
+   * Point a socket's active session at the socket the same user reconnected with
+   * (see services/signalingSessions)
+   *
+   * @param {string} oldSocketId - Socket that dropped
+   * @param {string} newSocketId - Socket that replaced it
+   * @returns {Promise<Object|null>} The updated session, or null if the old socket had none
+   */
+  const rebindSocket = async (oldSocketId, newSocketId) => {
+    const session = await getBySocket(oldSocketId);
+    if (!session) {
+      return null;
+    }
+    for (const party of [session.caller, session.callee]) {
+      if (party.socketId === oldSocketId) {
+        party.socketId = newSocketId;
+      }
+    }
+    if (!(await saveIfActive(session))) {
+      return null;
+    }
+    await backend.hdel(SOCKETS_HASH, oldSocketId);
+    await backend.hset(SOCKETS_HASH, newSocketId, session.id);
+    // end() may have cleared the call's sockets before the new one was added
+    if (await hasEnded(session.id)) {
+      await backend.hdel(SOCKETS_HASH, newSocketId);
+      return null;
+    }
+    return session;
+  };
+
+  /**
+   * @returns {Promise<Array<Object>>} All active sessions
+   */
+  const list = async () => Object.values(await backend.hgetall(SESSIONS_HASH)).map((value) => JSON.parse(value));
+
+  return {
+    create,
+    get,
+    getBySocket,
+    isBusy,
+    getOtherParty,
+    markConnected,
+    rebindSocket,
+    end,
+    list
+  };
+};
+
+module.exports = createCallSessionStore;
+module.exports.CALL_STATES = CALL_STATES;
@@ -0,0 +1,73 @@
+/**
+ * ICE Server Configuration (STUN/TURN)
+ *
+ * Peers need ICE servers to find a network path to each other:
+ * - STUN tells a peer its public address (enough for most home networks)
+ * - TURN relays the media when no direct path exists (symmetric NAT, strict firewalls)
+ *
+ * TURN relays cost bandwidth, so our coturn server only accepts short-lived
+ * credentials in the coturn "REST API" scheme (use-auth-secret in turnserver.conf):
+ *
+ *   username   = "<expiry unix timestamp>:<user>"
+ *   credential = base64(HMAC-SHA1(shared secret, username))
+ *
+ * coturn recomputes the HMAC with the same secret and rejects expired usernames,
+ * so no credential ever has to be stored - or shipped in the client bundle.
+ *
+ * Configuration:
+ * - TURN_SECRET: shared secret (same as static-auth-secret in turnserver.conf)
+ * - TURN_URLS: comma-separated TURN URLs, e.g. 'turn:turn.example.com:3478,turns:turn.example.com:5349'
+ * - TURN_TTL_SECONDS: credential lifetime (default 1 hour)
+ * - STUN_URLS: comma-separated STUN URLs (default Google's public STUN server)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_STUN_URLS = 'stun:stun.l.google.com:19302';
+
+const parseUrls = (value) => (value || '')
+  .split(',')
+  .map((url) => url.trim())
+  .filter(Boolean);
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.secret] - coturn shared secret
+ * @param {Array<string>} [options.turnUrls] - TURN server URLs
+ * @param {Array<string>} [options.stunUrls] - STUN server URLs
+ * @param {number} [options.ttlSeconds] - How long issued credentials stay valid
+ */
+const createIceServerProvider = ({
+  secret = process.env.TURN_SECRET,
+  turnUrls = parseUrls(process.env.TURN_URLS),
+  stunUrls = parseUrls(process.env.STUN_URLS || DEFAULT_STUN_URLS),
+  ttlSeconds = Number(process.env.TURN_TTL_SECONDS) || 60 * 60
+} = {}) => {
+  const turnEnabled = Boolean(secret) && turnUrls.length > 0;
+  if (!turnEnabled) {
+    console.warn('[ICE] TURN_SECRET/TURN_URLS not set - clients get STUN only (calls behind symmetric NAT will fail)');
+  }
+
+  /**
+   * ICE servers for one user, ready to pass to RTCPeerConnection
+   *
+   * @param {string} username - Who the TURN credentials are for (shows up in coturn logs)
+   * @returns {{ iceServers: Array<Object>, ttl: number }}
+   */
+  const getIceServers = (username) => {
+    const iceServers = stunUrls.length ? [{ urls: stunUrls }] : [];
+
+    if (turnEnabled) {
+      const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+      const turnUsername = `${expiresAt}:${username}`;
+      const credential = crypto.createHmac('sha1', secret).update(turnUsername).digest('base64');
+      iceServers.push({ urls: turnUrls, username: turnUsername, credential });
+    }
+
+    return { iceServers, ttl: ttlSeconds };
+  };
+
+  return { getIceServers };
+};
+
+module.exports = createIceServerProvider;
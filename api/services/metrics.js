@@ -0,0 +1,124 @@
+/**
+ * Server Metrics (Prometheus)
+ *
+ * Collects signaling server metrics in the Prometheus text format, served at
+ * GET /metrics (see routes/healthRoutes). Point a Prometheus scrape job at it.
+ *
+ * Metrics:
+ * - webrtc_connected_sockets                   Gauge     sockets connected right now
+ * - webrtc_calls{state}                        Gauge     calls 'ringing' / 'connected' right now
+ * - webrtc_call_setup_seconds                  Histogram time from ringing to answered
+ * - webrtc_calls_ended_total{reason}           Counter   finished calls (declined, busy, timeout, hangup, ...)
+ * - webrtc_signaling_events_total{event,result} Counter  events received ('accepted' or 'rejected')
+ * - webrtc_signaling_errors_total{event,code}  Counter   'callError's sent to clients (failed calls, abuse, ...)
+ * - plus Node.js process metrics (CPU, memory, event loop lag) prefixed with webrtc_
+ *
+ * Gauges are computed when Prometheus scrapes, so they are always current.
+ */
+
+const promClient = require('prom-client');
+const { CALL_STATES } = require('./callSessions');
+
+/**
+ * @param {Object} options
+ * @param {Object} options.io - Socket.IO server instance
+ * @param {Object} options.callSessions - Live call sessions (see services/callSessions)
+ */
+const createMetrics = ({ io, callSessions }) => {
+  // Own registry instead of the global one, so metrics never leak between instances
+  const registry = new promClient.Registry();
+  promClient.collectDefaultMetrics({ register: registry, prefix: 'webrtc_' });
+
+  new promClient.Gauge({
+    name: 'webrtc_connected_sockets',
+    help: 'Socket.IO clients currently connected',
+    registers: [registry],
+    collect() {
+      this.set(io.engine.clientsCount);
+    }
+  });
+
+  new promClient.Gauge({
+    name: 'webrtc_calls',
+    help: 'Calls currently tracked by the server, by state',
+    labelNames: ['state'],
+    registers: [registry],
+    async collect() {
+      const sessions = await callSessions.list();
+      [CALL_STATES.RINGING, CALL_STATES.CONNECTED].forEach((state) => {
+        this.set({ state }, sessions.filter((session) => session.state === state).length);
+      });
+    }
+  });
+
+  const callSetupSeconds = new promClient.Histogram({
+    name: 'webrtc_call_setup_seconds',
+    help: 'Time from a call starting to ring until it is answered',
+    buckets: [0.5, 1, 2, 3, 5, 8, 13, 20, 30],
+    registers: [registry]
+  });
+
+  const callsEnded = new promClient.Counter({
+    name: 'webrtc_calls_ended_total',
+    help: 'Finished call attempts, by end reason',
+    labelNames: ['reason'],
+    registers: [registry]
+  });
+
+  const signalingEvents = new promClient.Counter({
+    name: 'webrtc_signaling_events_total',
+    help: 'Signaling events received from clients, by event and whether they were accepted',
+    labelNames: ['event', 'result'],
+    registers: [registry]
+  });
+
+  const signalingErrors = new promClient.Counter({
+    name: 'webrtc_signaling_errors_total',
+    help: "'callError' events sent to clients, by event and error code",
+    labelNames: ['event', 'code'],
+    registers: [registry]
+  });
+
+  return {
+    /**
+     * A call was answered - record how long it rang
+     *
+     * @param {Object} session - The now-connected session
+     */
+    recordCallAnswered: (session) => {
+      callSetupSeconds.observe((Date.parse(session.answeredAt) - Date.parse(session.createdAt)) / 1000);
+    },
+
+    /**
+     * @param {string} reason - Why the call ended ('hangup', 'declined', 'busy', ...)
+     */
+    recordCallEnded: (reason) => {
+      callsEnded.inc({ reason });
+    },
+
+    /**
+     * @param {string} event - Event name (only known events - never raw client input)
+     * @param {string} result - 'accepted' or 'rejected'
+     */
+    recordSignalingEvent: (event, result) => {
+      signalingEvents.inc({ event, result });
+    },
+
+    /**
+     * @param {string} event - Event the error is about
+     * @param {string} code - Error code (see sockets/errorCodes)
+     */
+    recordSignalingError: (event, code) => {
+      signalingErrors.inc({ event, code });
+    },
+
+    /**
+     * @returns {Promise<string>} All metrics in the Prometheus text format
+     */
+    render: () => registry.metrics(),
+
+    contentType: registry.contentType
+  };
+};
+
+module.exports = createMetrics;
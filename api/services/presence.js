@@ -0,0 +1,115 @@
+/**
+ * Presence
+ *
+ * Who is online, and can they be called right now?
+ *
+ * Every online user has a status:
+ * - 'available'       happy to take calls
+ * - 'busy'            online, but would rather not be disturbed (calls still ring)
+ * - 'do-not-disturb'  calls to this user are refused
+ * - 'in-call'         ringing or in a call - set by the server, never chosen
+ * Users who are not connected are 'offline'.
+ *
+ * Users choose between available, busy and do-not-disturb (stored with their
+ * directory entry, see services/userDirectory). 'in-call' is worked out from the
+ * call sessions and overrides the chosen status while the call lasts.
+ *
+ * Clients get the whole list once ('presenceList' on connect) and then only the
+ * changes ('presenceUpdate' { handle, name, status }), so nobody has to poll.
+ */
+
+const PRESENCE_STATUS = Object.freeze({
+  AVAILABLE: 'available',
+  BUSY: 'busy',
+  DO_NOT_DISTURB: 'do-not-disturb',
+  IN_CALL: 'in-call',
+  OFFLINE: 'offline'
+});
+
+// Statuses a user may pick for themselves
+const SELECTABLE_STATUSES = [PRESENCE_STATUS.AVAILABLE, PRESENCE_STATUS.BUSY, PRESENCE_STATUS.DO_NOT_DISTURB];
+
+/**
+ * @param {Object} options
+ * @param {Object} options.io - Socket.IO server instance (broadcasts reach every instance through the adapter)
+ * @param {Object} options.userDirectory - Who is online (see services/userDirectory)
+ * @param {Object} options.callSessions - Who is in a call (see services/callSessions)
+ */
+const createPresence = ({ io, userDirectory, callSessions }) => {
+  /**
+   * Status shown to others for a directory entry
+   */
+  const effectiveStatus = (user, inCall) => (inCall ? PRESENCE_STATUS.IN_CALL : user.status || PRESENCE_STATUS.AVAILABLE);
+
+  /**
+   * Everyone who is online, sorted by handle
+   *
+   * @returns {Promise<Array<{ handle: string, name: string, status: string }>>}
+   */
+  const list = async () => {
+    const [users, sessions] = await Promise.all([userDirectory.list(), callSessions.list()]);
+    const socketsInCalls = new Set(sessions.flatMap((session) => [session.caller.socketId, session.callee.socketId]));
+
+    return users
+      .map((user) => ({ handle: user.handle, name: user.name, status: effectiveStatus(user, socketsInCalls.has(user.socketId)) }))
+      .sort((a, b) => a.handle.localeCompare(b.handle));
+  };
+
+  /**
+   * Current status of one user
+   *
+   * @param {string} handle - User's handle
+   * @returns {Promise<{ handle: string, name: string|null, status: string }>}
+   */
+  const getStatus = async (handle) => {
+    const user = await userDirectory.getByHandle(handle);
+    if (!user) {
+      return { handle, name: null, status: PRESENCE_STATUS.OFFLINE };
+    }
+    return { handle: user.handle, name: user.name, status: effectiveStatus(user, await callSessions.isBusy(user.socketId)) };
+  };
+
+  /**
+   * Tell everyone a user's current status (after it may have changed)
+   *
+   * @param {string} handle - User whose status to send
+   */
+  const publish = async (handle) => {
+    if (!handle) {
+      return;
+    }
+    const presence = await getStatus(handle);
+    io.emit('presenceUpdate', presence);
+  };
+
+  /**
+   * Change the status a user chose
+   *
+   * @param {string} socketId - The user's socket
+   * @param {string} status - One of available, busy, do-not-disturb
+   * @returns {Promise<{ error?: string }>}
+   */
+  const setStatus = async (socketId, status) => {
+    if (!SELECTABLE_STATUSES.includes(status)) {
+      return { error: `Status must be one of: ${SELECTABLE_STATUSES.join(', ')}` };
+    }
+    const user = await userDirectory.setStatus(socketId, status);
+    if (!user) {
+      return { error: 'Not registered' };
+    }
+    console.log(`[PRESENCE] ${user.handle} is now ${status}`);
+    await publish(user.handle);
+    return {};
+  };
+
+  return {
+    list,
+    getStatus,
+    publish,
+    setStatus
+  };
+};
+
+module.exports = createPresence;
+module.exports.PRESENCE_STATUS = PRESENCE_STATUS;
+module.exports.SELECTABLE_STATUSES = SELECTABLE_STATUSES;
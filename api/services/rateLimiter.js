@@ -0,0 +1,56 @@
+/**
+ * Sliding Window Rate Limiter
+ *
+ * Allows at most `limit` actions per key (socket ID, IP address, ...) within
+ * any `windowMs` period. Each key remembers the timestamps of its recent
+ * actions; timestamps older than the window are forgotten.
+ *
+ * Example: createRateLimiter({ limit: 5, windowMs: 10000 }) lets a socket
+ * place 5 calls in any 10 seconds - the 6th is rejected until the oldest
+ * one is more than 10 seconds old.
+ */
+
+/**
+ * @param {Object} options
+ * @param {number} options.limit - Actions allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ */
+const createRateLimiter = ({ limit, windowMs }) => {
+  // key -> timestamps (ms) of recent actions, oldest first
+  const hits = new Map();
+
+  /**
+   * Record an action for a key if it is still within the limit
+   *
+   * @param {string} key - Who is acting (socket ID, IP, ...)
+   * @returns {boolean} true if allowed, false if the key is over its limit
+   */
+  const consume = (key) => {
+    const now = Date.now();
+    const recent = (hits.get(key) || []).filter((time) => now - time < windowMs);
+
+    if (recent.length >= limit) {
+      hits.set(key, recent);
+      return false;
+    }
+
+    recent.push(now);
+    hits.set(key, recent);
+    return true;
+  };
+
+  // Forget idle keys now and then so the map doesn't grow forever
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((times, key) => {
+      if (!times.length || now - times[times.length - 1] >= windowMs) {
+        hits.delete(key);
+      }
+    });
+  }, windowMs);
+  sweepTimer.unref();
+
+  return { consume };
+};
+
+module.exports = createRateLimiter;
@@ -0,0 +1,284 @@
+/**
+ * Recording Store
+ *
+ * Keeps call recordings uploaded by the clients (see routes/recordingRoutes).
+ * Each recording is two files in the recordings directory:
+ * - <id>.webm  the media, written chunk by chunk as the upload progresses
+ * - <id>.json  its metadata
+ *
+ * Uploads are resumable: the metadata records how many bytes have arrived
+ * (receivedBytes), and the next chunk must start exactly there. A client whose
+ * upload was interrupted asks for the recording and continues from that offset.
+ *
+ * Metadata fields:
+ * - id, callId, uploadedBy, participants (handles of both sides of the call)
+ * - fileName, mimeType, size (announced total), receivedBytes
+ * - status ('uploading' or 'complete'), createdAt, completedAt
+ *
+ * Retention: complete recordings are deleted after retentionDays, unfinished
+ * uploads after incompleteTtlHours (see sweep()).
+ *
+ * Quotas: a user's recordings (complete, plus the announced size of unfinished
+ * uploads) may take up to quotaBytesPerUser, and a user may have at most
+ * maxOpenUploadsPerUser unfinished uploads. A new upload that would go over either
+ * is refused, so nobody can fill the disk by opening uploads.
+ *
+ * Everything lives on disk, so instances on the same host (see services/scaling)
+ * share the recordings.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, '..', 'data', 'recordings');
+
+const RECORDING_STATUS = Object.freeze({
+  UPLOADING: 'uploading',
+  COMPLETE: 'complete'
+});
+
+// Recording IDs are UUIDs - anything else never reaches the file system
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.directory] - Where recordings are kept
+ * @param {number} [options.retentionDays] - Delete complete recordings after this many days
+ * @param {number} [options.incompleteTtlHours] - Delete unfinished uploads after this many hours
+ * @param {number} [options.quotaBytesPerUser] - Storage one user's recordings may take up
+ * @param {number} [options.maxOpenUploadsPerUser] - Unfinished uploads one user may have at a time
+ */
+const createRecordingStore = ({
+  directory = process.env.RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR,
+  retentionDays = Number(process.env.RECORDING_RETENTION_DAYS) || 30,
+  incompleteTtlHours = Number(process.env.RECORDING_INCOMPLETE_TTL_HOURS) || 24,
+  quotaBytesPerUser = Number(process.env.RECORDING_QUOTA_BYTES) || 5 * 1024 * 1024 * 1024,
+  maxOpenUploadsPerUser = Number(process.env.RECORDING_MAX_OPEN_UPLOADS) || 3
+} = {}) => {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const mediaPath = (id) => path.join(directory, `${id}.webm`);
+  const metadataPath = (id) => path.join(directory, `${id}.json`);
+
+  // Chunks of the same recording are written one at a time (id -> promise of the last write)
+  const writeQueues = new Map();
+
+  // New uploads on this instance are checked against the quotas one at a time, so two
+  // requests can't both fit in the last free bytes
+  let createQueue = Promise.resolve();
+
+  /**
+   * Write metadata atomically (temp file + rename), so readers never see half a file
+   */
+  const saveMetadata = async (recording) => {
+    const tempPath = `${metadataPath(recording.id)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(recording, null, 2));
+    await fs.promises.rename(tempPath, metadataPath(recording.id));
+  };
+
+  /**
+   * @returns {Promise<Object|null>} The recording's metadata, or null if there is no such recording
+   */
+  const get = async (id) => {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fs.promises.readFile(metadataPath(id), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  };
+
+  /**
+   * Start a new upload
+   *
+   * @param {Object} data - { callId, uploadedBy, participants, fileName, mimeType, size }
+   * @returns {Promise<{ recording?: Object, error?: string, code?: string }>}
+   *   The new recording (status 'uploading', receivedBytes 0), or code
+   *   'QUOTA_EXCEEDED' / 'TOO_MANY_UPLOADS' if the uploader is over a quota
+   */
+  const create = ({ callId, uploadedBy, participants, fileName, mimeType, size }) => {
+    const created = createQueue.then(async () => {
+      const { bytes, openUploads } = await getUsage(uploadedBy);
+      if (bytes + size > quotaBytesPerUser) {
+        return { code: 'QUOTA_EXCEEDED', error: `Recordings may take up ${quotaBytesPerUser} bytes per user (${bytes} in use)` };
+      }
+      if (openUploads >= maxOpenUploadsPerUser) {
+        return { code: 'TOO_MANY_UPLOADS', error: `Finish or delete an upload first (at most ${maxOpenUploadsPerUser} at a time)` };
+      }
+
+      const recording = {
+        id: crypto.randomUUID(),
+        callId,
+        uploadedBy,
+        participants,
+        fileName,
+        mimeType,
+        size,
+        receivedBytes: 0,
+        status: RECORDING_STATUS.UPLOADING,
+        createdAt: new Date().toISOString(),
+        completedAt: null
+      };
+      await fs.promises.writeFile(mediaPath(recording.id), Buffer.alloc(0));
+      await saveMetadata(recording);
+      console.log(`[RECORDINGS] '${uploadedBy}' started uploading ${recording.id} (${size} bytes) for call ${callId}`);
+      return { recording };
+    });
+
+    // Keep the queue going even if this one failed
+    createQueue = created.catch(() => {});
+    return created;
+  };
+
+  /**
+   * Append a chunk to an upload
+   *
+   * @param {string} id - Recording ID
+   * @param {number} offset - Where the chunk starts (must equal receivedBytes)
+   * @param {Buffer} chunk - The bytes
+   * @returns {Promise<{ recording?: Object, error?: string, code?: string }>}
+   *   code 'NOT_FOUND', 'OFFSET_MISMATCH' (recording holds the expected offset) or 'TOO_LARGE'
+   */
+  const appendChunk = (id, offset, chunk) => {
+    const previous = writeQueues.get(id) || Promise.resolve();
+    const write = previous.then(async () => {
+      const recording = await get(id);
+      if (!recording) {
+        return { code: 'NOT_FOUND', error: 'Recording not found' };
+      }
+      if (recording.status !== RECORDING_STATUS.UPLOADING || offset !== recording.receivedBytes) {
+        return { code: 'OFFSET_MISMATCH', error: `Expected offset ${recording.receivedBytes}`, recording };
+      }
+      if (offset + chunk.length > recording.size) {
+        return { code: 'TOO_LARGE', error: 'Chunk goes past the announced size', recording };
+      }
+
+      // Write at the offset (not append), so a retried chunk after a crash overwrites instead of duplicating
+      const handle = await fs.promises.open(mediaPath(id), 'r+');
+      try {
+        await handle.write(chunk, 0, chunk.length, offset);
+      } finally {
+        await handle.close();
+      }
+
+      recording.receivedBytes = offset + chunk.length;
+      if (recording.receivedBytes === recording.size) {
+        recording.status = RECORDING_STATUS.COMPLETE;
+        recording.completedAt = new Date().toISOString();
+        console.log(`[RECORDINGS] Upload of ${id} complete`);
+      }
+      await saveMetadata(recording);
+      return { recording };
+    });
+
+    // Keep the queue going even if this write failed, and drop it once idle
+    const settled = write.catch(() => {});
+    writeQueues.set(id, settled);
+    settled.then(() => {
+      if (writeQueues.get(id) === settled) {
+        writeQueues.delete(id);
+      }
+    });
+    return write;
+  };
+
+  /**
+   * List recordings, newest first
+   *
+   * @param {Object} [filters]
+   * @param {string} [filters.participant] - Only recordings of calls this handle took part in
+   * @param {string} [filters.callId] - Only recordings of this call
+   * @returns {Promise<Array<Object>>}
+   */
+  const list = async ({ participant, callId } = {}) => {
+    const files = await fs.promises.readdir(directory);
+    const recordings = await Promise.all(files
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => get(file.slice(0, -'.json'.length))));
+
+    const lowerParticipant = participant?.toLowerCase();
+    return recordings
+      .filter(Boolean)
+      .filter((recording) => !lowerParticipant || recording.participants.some((handle) => handle.toLowerCase() === lowerParticipant))
+      .filter((recording) => !callId || recording.callId === callId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  };
+
+  /**
+   * What a user's uploads take up, for the quotas
+   *
+   * @param {string} username - Uploader
+   * @returns {Promise<{ bytes: number, openUploads: number }>} bytes counts unfinished uploads at their announced size
+   */
+  const getUsage = async (username) => {
+    const lowerUsername = username.toLowerCase();
+    const uploads = (await list()).filter((recording) => recording.uploadedBy.toLowerCase() === lowerUsername);
+    return {
+      bytes: uploads.reduce((total, recording) => total + recording.size, 0),
+      openUploads: uploads.filter((recording) => recording.status === RECORDING_STATUS.UPLOADING).length
+    };
+  };
+
+  /**
+   * @param {string} id - Recording ID
+   * @param {Object} [range] - { start, end } byte range (inclusive), for HTTP Range requests
+   * @returns {fs.ReadStream}
+   */
+  const createReadStream = (id, range) => fs.createReadStream(mediaPath(id), range);
+
+  /**
+   * Delete a recording and its metadata
+   *
+   * @returns {Promise<boolean>} Whether the recording existed
+   */
+  const remove = async (id) => {
+    if (!(await get(id))) {
+      return false;
+    }
+    await fs.promises.rm(metadataPath(id), { force: true });
+    await fs.promises.rm(mediaPath(id), { force: true });
+    console.log(`[RECORDINGS] Deleted ${id}`);
+    return true;
+  };
+
+  /**
+   * Apply the retention policy
+   *
+   * @param {Date} [now]
+   * @returns {Promise<number>} How many recordings were deleted
+   */
+  const sweep = async (now = new Date()) => {
+    const recordings = await list();
+    const expired = recordings.filter((recording) => {
+      if (recording.status === RECORDING_STATUS.COMPLETE) {
+        return now - new Date(recording.completedAt) > retentionDays * 24 * 60 * 60 * 1000;
+      }
+      return now - new Date(recording.createdAt) > incompleteTtlHours * 60 * 60 * 1000;
+    });
+    for (const recording of expired) {
+      await remove(recording.id);
+    }
+    if (expired.length > 0) {
+      console.log(`[RECORDINGS] Retention: deleted ${expired.length} recording(s)`);
+    }
+    return expired.length;
+  };
+
+  return {
+    create,
+    get,
+    appendChunk,
+    list,
+    getUsage,
+    createReadStream,
+    remove,
+    sweep,
+    retentionDays
+  };
+};
+
+module.exports = createRecordingStore;
+module.exports.RECORDING_STATUS = RECORDING_STATUS;
@@ -0,0 +1,83 @@
+/**
+ * Room Rosters
+ *
+ * Who is in which multi-party room (see sockets/roomSocketHandler).
+ *
+ * Rosters live in a shared state backend (see services/stateBackends), so
+ * members connected to different server instances still see each other -
+ * all methods are async. An empty room simply has no entries left.
+ *
+ * Room size is enforced with numbered slots: joining claims a free slot with
+ * hsetnx, so two people joining the last free place at once can't both get it.
+ */
+
+const { createMemoryBackend } = require('./stateBackends');
+
+// One backend hash per room: socket ID -> JSON { id, name, joinedAt, slot }
+const hashFor = (room) => `rooms:${room}`;
+// And its taken slots: slot number -> socket ID
+const slotsHashFor = (room) => `rooms:${room}:slots`;
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.backend] - Shared state backend (defaults to this process's memory)
+ */
+const createRoomRosterStore = ({ backend = createMemoryBackend() } = {}) => {
+  /**
+   * @returns {Promise<Array<Object>>} Everyone in the room, in joining order (slots are bookkeeping and left out)
+   */
+  const list = async (room) => Object.values(await backend.hgetall(hashFor(room)))
+    .map((value) => {
+      const { slot, ...participant } = JSON.parse(value);
+      return participant;
+    })
+    .sort((a, b) => a.joinedAt.localeCompare(b.joinedAt));
+
+  /**
+   * @returns {Promise<Object|null>} The participant, or null if the socket is not in the room
+   */
+  const get = async (room, socketId) => {
+    const value = await backend.hget(hashFor(room), socketId);
+    return value ? JSON.parse(value) : null;
+  };
+
+  /**
+   * Add a participant if the room has a free slot
+   *
+   * @param {string} room - Room name
+   * @param {Object} participant - { id, name, joinedAt }
+   * @param {Object} options
+   * @param {number} options.maxParticipants - Room size
+   * @returns {Promise<boolean>} Whether the participant got in (false if the room is full)
+   */
+  const add = async (room, participant, { maxParticipants }) => {
+    for (let slot = 0; slot < maxParticipants; slot++) {
+      if (await backend.hsetnx(slotsHashFor(room), String(slot), participant.id)) {
+        await backend.hset(hashFor(room), participant.id, JSON.stringify({ ...participant, slot }));
+        return true;
+      }
+    }
+    return false;
+  };
+
+  /**
+   * @returns {Promise<boolean>} Whether the socket was in the room
+   */
+  const remove = async (room, socketId) => {
+    const participant = await get(room, socketId);
+    if (!participant || !(await backend.hdel(hashFor(room), socketId))) {
+      return false;
+    }
+    await backend.hdel(slotsHashFor(room), String(participant.slot));
+    return true;
+  };
+
+  return {
+    list,
+    get,
+    add,
+    remove
+  };
+};
+
+module.exports = createRoomRosterStore;
@@ -0,0 +1,93 @@
+/**
+ * Horizontal Scaling (Socket.IO Adapter + Shared State)
+ *
+ * By default everything runs in one Node process: io.to(socketId) can only reach
+ * sockets of this process, and users/calls live in this process's memory.
+ * To run several instances, two things must be shared between them:
+ *
+ * 1. Messages - a Socket.IO adapter forwards io.to(...).emit() to whichever
+ *    instance holds the target socket
+ * 2. State - the user directory and call sessions use a shared backend
+ *    (see services/stateBackends)
+ *
+ * Modes (SOCKET_ADAPTER environment variable):
+ * - 'memory'  Single process (default)
+ * - 'cluster' Node cluster workers on one host - picked automatically when started
+ *             through cluster.js ("npm run start:cluster"); no extra services needed
+ * - 'redis'   Any number of instances/hosts sharing a Redis server (REDIS_URL,
+ *             default redis://localhost:6379) - put them behind a load balancer
+ *             with sticky sessions (needed for the HTTP long-polling transport)
+ *
+ * Still per instance: rate limits and bans (sockets/signalingGuard), ring
+ * timers, and the JSON files for accounts and call history (instances on one
+ * host share the api/data directory; other hosts need a shared volume).
+ */
+
+const cluster = require('cluster');
+const {
+  createMemoryBackend,
+  createRedisBackend,
+  createClusterWorkerBackend
+} = require('./stateBackends');
+
+const SCALING_MODES = ['memory', 'cluster', 'redis'];
+
+/**
+ * Pick the scaling mode and create its shared state backend
+ *
+ * @returns {{ mode: string, backend: Object, attach: Function }}
+ *   attach(io) installs the adapter and resolves once the instance is ready
+ */
+const createScaling = () => {
+  const mode = process.env.SOCKET_ADAPTER || (cluster.isWorker ? 'cluster' : 'memory');
+  if (!SCALING_MODES.includes(mode)) {
+    throw new Error(`SOCKET_ADAPTER must be one of: ${SCALING_MODES.join(', ')}`);
+  }
+
+  if (mode === 'cluster') {
+    if (!cluster.isWorker) {
+      throw new Error("SOCKET_ADAPTER=cluster needs the cluster primary - start the server with 'npm run start:cluster'");
+    }
+    const { createAdapter } = require('@socket.io/cluster-adapter');
+    const { setupWorker } = require('@socket.io/sticky');
+
+    return {
+      mode,
+      backend: createClusterWorkerBackend(),
+      attach: async (io) => {
+        io.adapter(createAdapter());
+        // The primary owns the port and hands us connections (same client → same worker)
+        setupWorker(io);
+      }
+    };
+  }
+
+  if (mode === 'redis') {
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    const client = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+    // Pub/sub needs its own connection (a subscribed client can't run other commands)
+    const subscriber = client.duplicate();
+    [client, subscriber].forEach((connection) => {
+      connection.on('error', (error) => console.error('[SCALING] Redis error:', error.message));
+    });
+
+    return {
+      mode,
+      backend: createRedisBackend(client),
+      attach: async (io) => {
+        await Promise.all([client.connect(), subscriber.connect()]);
+        io.adapter(createAdapter(client, subscriber));
+      }
+    };
+  }
+
+  return {
+    mode,
+    backend: createMemoryBackend(),
+    attach: async () => {}
+  };
+};
+
+module.exports = createScaling;
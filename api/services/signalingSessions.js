@@ -0,0 +1,181 @@
+/**
+ * Signaling Session Store
+ *
+ * A socket ID only lives as long as one connection. When the network drops and
+ * the client reconnects, it gets a NEW socket ID - without help, the server would
+ * forget that this is the same browser tab, end its call and lose a call that was
+ * ringing for it.
+ *
+ * A signaling session bridges that gap:
+ * - On the first connection the server issues a random session token ('session' event)
+ * - The client keeps it (sessionStorage - one per tab) and presents it when it reconnects
+ * - The server then re-binds the session to the new socket: the handle and the
+ *   call move over, and the other party keeps reaching the same user
+ *
+ * While the socket is gone, call events sent to it are queued here and replayed
+ * once it is back (a ring, an answer, a hang-up, ...). If it does not come back
+ * within the grace period, the session is dropped and the user is treated as gone.
+ *
+ * Tokens are bound to the username they were issued for, so a token is useless
+ * for anyone who is not logged in as that user.
+ *
+ * A session whose socket is still connected is not simply handed over: a duplicated
+ * browser tab copies sessionStorage, and must not steal the first tab's call. The
+ * handler checks whether that socket is really alive first (see sockets/videoCallSocketHandler).
+ *
+ * Sessions live in a shared state backend (see services/stateBackends), so the
+ * client may reconnect to a different server instance.
+ */
+
+const crypto = require('crypto');
+const { createMemoryBackend } = require('./stateBackends');
+
+// Backend hashes:
+// session token -> JSON { username, socketId, disconnectedAt, pendingEvents }
+const SESSIONS_HASH = 'signaling:sessions';
+// socket ID -> session token
+const SOCKETS_HASH = 'signaling:sockets';
+
+// Events kept for a disconnected socket (oldest are dropped first)
+const MAX_PENDING_EVENTS = 50;
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.backend] - Shared state backend (defaults to this process's memory)
+ */
+const createSignalingSessionStore = ({ backend = createMemoryBackend() } = {}) => {
+  const read = async (token) => {
+    const value = typeof token === 'string' ? await backend.hget(SESSIONS_HASH, token) : null;
+    return value ? JSON.parse(value) : null;
+  };
+
+  const save = (token, session) => backend.hset(SESSIONS_HASH, token, JSON.stringify(session));
+
+  /**
+   * Start a new session for a socket
+   *
+   * @param {string} socketId - The socket
+   * @param {string} username - Authenticated user the session belongs to
+   * @returns {Promise<string>} The session token to give to the client
+   */
+  const create = async (socketId, username) => {
+    // A recovered socket keeps its ID - forget the session it had before
+    const previousToken = await backend.hget(SOCKETS_HASH, socketId);
+    if (previousToken) {
+      await backend.hdel(SESSIONS_HASH, previousToken);
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    await save(token, { username, socketId, disconnectedAt: null, pendingEvents: [] });
+    await backend.hset(SOCKETS_HASH, socketId, token);
+    return token;
+  };
+
+  /**
+   * Move a session to the socket its client reconnected with
+   *
+   * Only a session whose socket dropped (or the same socket, recovered) can be
+   * resumed. If its socket still looks connected, the caller gets { inUseBy } and
+   * decides - with takeOver it can move the session anyway (the old socket is dead).
+   *
+   * @param {string} token - Token presented by the client
+   * @param {string} username - Authenticated user of the new socket
+   * @param {string} socketId - The new socket
+   * @param {Object} [options]
+   * @param {boolean} [options.takeOver] - Move the session even if its socket looks connected
+   * @returns {Promise<{ previousSocketId: string, pendingEvents: Array<Object> }|{ inUseBy: string }|null>}
+   *   The socket it was bound to and the events it missed, { inUseBy } if another
+   *   socket still holds it, or null if the token is unknown (expired) or belongs to someone else
+   */
+  const resume = async (token, username, socketId, { takeOver = false } = {}) => {
+    const session = await read(token);
+    if (!session || session.username !== username) {
+      return null;
+    }
+    if (!session.disconnectedAt && session.socketId !== socketId && !takeOver) {
+      return { inUseBy: session.socketId };
+    }
+
+    const previousSocketId = session.socketId;
+    const { pendingEvents } = session;
+    await save(token, { username, socketId, disconnectedAt: null, pendingEvents: [] });
+    if (previousSocketId !== socketId) {
+      await backend.hdel(SOCKETS_HASH, previousSocketId);
+      await backend.hset(SOCKETS_HASH, socketId, token);
+    }
+    return { previousSocketId, pendingEvents };
+  };
+
+  /**
+   * Remember that a socket dropped (its events are queued from now on)
+   *
+   * @returns {Promise<string|null>} The session token, or null if the socket had no session
+   */
+  const markDisconnected = async (socketId) => {
+    const token = await backend.hget(SOCKETS_HASH, socketId);
+    const session = await read(token);
+    if (!session || session.socketId !== socketId) {
+      return null;
+    }
+    session.disconnectedAt = new Date().toISOString();
+    await save(token, session);
+    return token;
+  };
+
+  /**
+   * Whether a session is still waiting for its socket to come back
+   *
+   * @param {string} token - Session token
+   * @param {string} socketId - The socket that dropped
+   */
+  const isAwaitingReconnect = async (token, socketId) => {
+    const session = await read(token);
+    return Boolean(session && session.socketId === socketId && session.disconnectedAt);
+  };
+
+  /**
+   * Keep an event for a socket that is currently disconnected
+   *
+   * @param {string} socketId - Socket the event was sent to
+   * @param {string} event - Event name
+   * @param {*} payload - Event payload
+   * @returns {Promise<boolean>} Whether the event was queued
+   */
+  const queueIfDisconnected = async (socketId, event, payload) => {
+    const token = await backend.hget(SOCKETS_HASH, socketId);
+    const session = await read(token);
+    if (!session || session.socketId !== socketId || !session.disconnectedAt) {
+      return false;
+    }
+    session.pendingEvents = [...session.pendingEvents, { event, payload }].slice(-MAX_PENDING_EVENTS);
+    await save(token, session);
+    return true;
+  };
+
+  /**
+   * Forget a session (logout, or the grace period ran out)
+   *
+   * @param {string} token - Session token
+   */
+  const remove = async (token) => {
+    const session = await read(token);
+    if (!session) {
+      return;
+    }
+    await backend.hdel(SESSIONS_HASH, token);
+    if (await backend.hget(SOCKETS_HASH, session.socketId) === token) {
+      await backend.hdel(SOCKETS_HASH, session.socketId);
+    }
+  };
+
+  return {
+    create,
+    resume,
+    markDisconnected,
+    isAwaitingReconnect,
+    queueIfDisconnected,
+    remove
+  };
+};
+
+module.exports = createSignalingSessionStore;
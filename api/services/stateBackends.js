@@ -0,0 +1,191 @@
+/**
+ * Shared State Backends
+ *
+ * The user directory and call sessions (see services/userDirectory and
+ * services/callSessions) keep their data in a backend instead of plain Maps,
+ * so several server instances can see the same users and calls.
+ *
+ * Every backend offers the same small, async "hash" API (like Redis hashes):
+ *
+ *   hget(hash, field)          → string | null
+ *   hset(hash, field, value)   → store a string
+ *   hsetnx(hash, field, value) → store a string only if the field is not set yet
+ *                                (true if it was stored - only one caller wins)
+ *   hdel(hash, field)          → remove a field (true if it existed - only one caller wins)
+ *   hgetall(hash)              → { field: value, ... }
+ *
+ * Backends:
+ * - memory:  Maps inside this process (single instance)
+ * - redis:   a Redis server shared by all instances (any number of hosts)
+ * - cluster: forwards every call over IPC to the cluster primary, which keeps
+ *            a memory backend for all of its workers (one host, no Redis needed)
+ */
+
+const cluster = require('cluster');
+
+/**
+ * Hashes kept in Maps: hash name -> Map(field -> value)
+ */
+const createMemoryBackend = () => {
+  const hashes = new Map();
+
+  return {
+    hget: async (hash, field) => hashes.get(hash)?.get(field) ?? null,
+    hset: async (hash, field, value) => {
+      if (!hashes.has(hash)) {
+        hashes.set(hash, new Map());
+      }
+      hashes.get(hash).set(field, value);
+    },
+    hsetnx: async (hash, field, value) => {
+      if (!hashes.has(hash)) {
+        hashes.set(hash, new Map());
+      }
+      const entries = hashes.get(hash);
+      if (entries.has(field)) {
+        return false;
+      }
+      entries.set(field, value);
+      return true;
+    },
+    hdel: async (hash, field) => {
+      const entries = hashes.get(hash);
+      const existed = Boolean(entries?.delete(field));
+      // Like Redis: an empty hash disappears
+      if (entries && entries.size === 0) {
+        hashes.delete(hash);
+      }
+      return existed;
+    },
+    hgetall: async (hash) => Object.fromEntries(hashes.get(hash) || [])
+  };
+};
+
+/**
+ * Hashes stored in Redis
+ *
+ * @param {Object} client - Connected node-redis client
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Key prefix, so several apps can share one Redis
+ */
+const createRedisBackend = (client, { prefix = process.env.REDIS_KEY_PREFIX || 'webrtc:' } = {}) => ({
+  hget: async (hash, field) => (await client.hGet(prefix + hash, field)) ?? null,
+  hset: async (hash, field, value) => {
+    await client.hSet(prefix + hash, field, value);
+  },
+  hsetnx: async (hash, field, value) => Boolean(await client.hSetNX(prefix + hash, field, value)),
+  hdel: async (hash, field) => (await client.hDel(prefix + hash, field)) > 0,
+  hgetall: (hash) => client.hGetAll(prefix + hash)
+});
+
+// IPC message types between cluster workers and the primary
+const STATE_REQUEST = 'webrtc:state:request';
+const STATE_RESPONSE = 'webrtc:state:response';
+const STATE_OPERATIONS = ['hget', 'hset', 'hsetnx', 'hdel', 'hgetall'];
+
+/**
+ * Worker side of the cluster backend: every operation is a request to the primary
+ */
+const createClusterWorkerBackend = () => {
+  // request ID -> { resolve, reject } of operations waiting for the primary
+  const pending = new Map();
+  let nextRequestId = 0;
+
+  process.on('message', (message) => {
+    if (message?.type !== STATE_RESPONSE || !pending.has(message.id)) {
+      return;
+    }
+    const { resolve, reject } = pending.get(message.id);
+    pending.delete(message.id);
+    if (message.error) {
+      reject(new Error(message.error));
+    } else {
+      resolve(message.result);
+    }
+  });
+
+  const request = (operation, args) => new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pending.set(id, { resolve, reject });
+    process.send({ type: STATE_REQUEST, id, operation, args });
+  });
+
+  return Object.fromEntries(STATE_OPERATIONS.map((operation) => [
+    operation,
+    (...args) => request(operation, args)
+  ]));
+};
+
+/**
+ * Primary side of the cluster backend: answer the workers' requests from one memory backend
+ * Call once in the cluster primary (see cluster.js)
+ *
+ * Workers can crash without cleaning up after their sockets, so the primary can remember
+ * which worker wrote each field of some hashes (a socket index, say) - see takeWorkerFields.
+ *
+ * @param {Object} [options]
+ * @param {Array<string>} [options.trackedHashes] - Hashes whose fields belong to the worker that wrote them
+ * @returns {{ backend: Object, takeWorkerFields: Function }}
+ */
+const serveClusterState = ({ trackedHashes = [] } = {}) => {
+  const backend = createMemoryBackend();
+  // worker ID -> hash -> fields the worker wrote (and nobody deleted since)
+  const workerFields = new Map();
+
+  const track = (worker, { operation, args: [hash, field] }, result) => {
+    if (!trackedHashes.includes(hash)) {
+      return;
+    }
+    if (operation === 'hdel') {
+      workerFields.forEach((hashes) => hashes.get(hash)?.delete(field));
+    } else if (operation === 'hset' || (operation === 'hsetnx' && result)) {
+      if (!workerFields.has(worker.id)) {
+        workerFields.set(worker.id, new Map());
+      }
+      const hashes = workerFields.get(worker.id);
+      if (!hashes.has(hash)) {
+        hashes.set(hash, new Set());
+      }
+      hashes.get(hash).add(field);
+    }
+  };
+
+  cluster.on('message', async (worker, message) => {
+    if (message?.type !== STATE_REQUEST || !STATE_OPERATIONS.includes(message.operation)) {
+      return;
+    }
+    try {
+      const result = await backend[message.operation](...message.args);
+      track(worker, message, result);
+      worker.send({ type: STATE_RESPONSE, id: message.id, result });
+    } catch (error) {
+      worker.send({ type: STATE_RESPONSE, id: message.id, error: error.message });
+    }
+  });
+
+  /**
+   * Fields of a tracked hash that a worker wrote and are still set - and stop tracking
+   * that worker's fields in it (call once the worker has exited)
+   *
+   * @param {Object} worker - A cluster worker
+   * @param {string} hash - One of trackedHashes
+   * @returns {Array<string>} The fields
+   */
+  const takeWorkerFields = (worker, hash) => {
+    const fields = workerFields.get(worker.id)?.get(hash) || new Set();
+    workerFields.get(worker.id)?.delete(hash);
+    if (workerFields.get(worker.id)?.size === 0) {
+      workerFields.delete(worker.id);
+    }
+    return Array.from(fields);
+  };
+
+  return { backend, takeWorkerFields };
+};
+
+module.exports = {
+  createMemoryBackend,
+  createRedisBackend,
+  createClusterWorkerBackend,
+  serveClusterState
+};
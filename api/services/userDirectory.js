@@ -0,0 +1,190 @@
+/**
+ * User Directory
+ *
+ * Maps human-friendly handles (e.g. "alice") to the Socket.IO ID the user
+ * is currently connected with.
+ *
+ * Why do we need this?
+ * - Socket IDs are random 20-character strings that are hard to share
+ * - A socket ID changes on every reconnect, so yesterday's ID is useless today
+ * - A handle stays the same; the directory re-points it to the newest socket
+ *
+ * Handles are unique and case-insensitive ("Alice" and "alice" are the same user).
+ * With authentication enabled, a user's handle is their username.
+ *
+ * The entries live in a shared state backend (see services/stateBackends), so
+ * every server instance can find every user - all methods are async.
+ *
+ * Each entry also holds the presence status the user picked (see services/presence).
+ */
+
+const { createMemoryBackend } = require('./stateBackends');
+
+// 3-24 characters: letters, numbers, '.', '_' and '-'
+const HANDLE_PATTERN = /^[a-zA-Z0-9._-]{3,24}$/;
+
+// Maximum number of results returned by a single search
+const MAX_SEARCH_RESULTS = 10;
+
+/**
+ * Normalize a handle for case-insensitive lookups
+ */
+const toKey = (handle) => handle.trim().toLowerCase();
+
+// Backend hashes:
+// handle key -> JSON { handle, name, socketId, registeredAt, status }
+const USERS_HASH = 'directory:users';
+// socket ID -> handle key (reverse index for disconnects)
+const SOCKETS_HASH = 'directory:sockets';
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.backend] - Shared state backend (defaults to this process's memory)
+ */
+const createUserDirectory = ({ backend = createMemoryBackend() } = {}) => {
+  const readUser = async (key) => {
+    const value = await backend.hget(USERS_HASH, key);
+    return value ? JSON.parse(value) : null;
+  };
+
+  /**
+   * Register (or rename) the handle for a socket
+   *
+   * @param {string} socketId - Socket ID registering the handle
+   * @param {string} handle - Requested handle
+   * @param {string} [name] - Display name shown in search results
+   * @param {Object} [options]
+   * @param {boolean} [options.replaceExisting] - Move the handle to this socket even if another
+   *   socket holds it (used when the user has proven who they are, e.g. a newer login)
+   * @returns {Promise<{ user?: Object, error?: string }>} The registered user, or an error message
+   */
+  const register = async (socketId, handle, name, { replaceExisting = false } = {}) => {
+    if (typeof handle !== 'string' || !HANDLE_PATTERN.test(handle.trim())) {
+      return { error: "Handles must be 3-24 characters: letters, numbers, '.', '_' or '-'" };
+    }
+
+    const key = toKey(handle);
+    const existing = await readUser(key);
+    // A newer login of the same user keeps the status they picked
+    const status = existing?.status || 'available';
+    if (existing && existing.socketId !== socketId) {
+      if (!replaceExisting) {
+        return { error: `Handle '${handle.trim()}' is already taken` };
+      }
+      await backend.hdel(SOCKETS_HASH, existing.socketId);
+    }
+
+    // A socket has at most one handle - drop the old one when renaming
+    await unregister(socketId);
+
+    const user = {
+      handle: handle.trim(),
+      name: typeof name === 'string' && name.trim() ? name.trim() : handle.trim(),
+      socketId,
+      registeredAt: new Date().toISOString(),
+      status
+    };
+    await backend.hset(USERS_HASH, key, JSON.stringify(user));
+    await backend.hset(SOCKETS_HASH, socketId, key);
+    return { user };
+  };
+
+  /**
+   * Remove whatever handle a socket had registered
+   *
+   * @param {string} socketId - Socket ID that disconnected
+   */
+  const unregister = async (socketId) => {
+    const key = await backend.hget(SOCKETS_HASH, socketId);
+    if (key) {
+      await backend.hdel(SOCKETS_HASH, socketId);
+      // Only drop the handle if it still points at this socket (not at a newer one)
+      if ((await readUser(key))?.socketId === socketId) {
+        await backend.hdel(USERS_HASH, key);
+      }
+    }
+  };
+
+  /**
+   * Look up the user registered for a handle
+   *
+   * @param {string} handle - Handle to look up
+   * @returns {Promise<Object|null>} The user, or null if nobody has that handle
+   */
+  const getByHandle = async (handle) => {
+    if (typeof handle !== 'string') {
+      return null;
+    }
+    return readUser(toKey(handle));
+  };
+
+  /**
+   * Look up the user registered by a socket
+   *
+   * @param {string} socketId - Socket ID to look up
+   * @returns {Promise<Object|null>} The user, or null if the socket has no handle
+   */
+  const getBySocket = async (socketId) => {
+    const key = await backend.hget(SOCKETS_HASH, socketId);
+    return key ? readUser(key) : null;
+  };
+
+  /**
+   * Change the presence status stored for a socket's handle
+   *
+   * @param {string} socketId - Socket whose user changes status
+   * @param {string} status - New status (validated by services/presence)
+   * @returns {Promise<Object|null>} The updated user, or null if the socket has no handle
+   */
+  const setStatus = async (socketId, status) => {
+    const key = await backend.hget(SOCKETS_HASH, socketId);
+    const user = key ? await readUser(key) : null;
+    if (!user || user.socketId !== socketId) {
+      return null;
+    }
+    user.status = status;
+    await backend.hset(USERS_HASH, key, JSON.stringify(user));
+    return user;
+  };
+
+  /**
+   * Everyone who is registered right now
+   *
+   * @returns {Promise<Array<Object>>} Directory entries, in no particular order
+   */
+  const list = async () => Object.values(await backend.hgetall(USERS_HASH)).map((value) => JSON.parse(value));
+
+  /**
+   * Find users whose handle or name contains the query
+   *
+   * @param {string} query - Text typed by the user
+   * @param {Object} [options]
+   * @param {string} [options.excludeSocketId] - Socket to leave out (usually the searcher)
+   * @returns {Promise<Array<{ handle: string, name: string }>>} Matching users, handle prefix matches first
+   */
+  const search = async (query, { excludeSocketId } = {}) => {
+    const needle = typeof query === 'string' ? query.trim().toLowerCase() : '';
+    const entries = Object.entries(await backend.hgetall(USERS_HASH))
+      .map(([key, value]) => [key, JSON.parse(value)]);
+
+    return entries
+      .filter(([key, user]) => user.socketId !== excludeSocketId &&
+        (key.includes(needle) || user.name.toLowerCase().includes(needle)))
+      .sort(([a], [b]) => Number(!a.startsWith(needle)) - Number(!b.startsWith(needle)) || a.localeCompare(b))
+      .slice(0, MAX_SEARCH_RESULTS)
+      .map(([, user]) => ({ handle: user.handle, name: user.name }));
+  };
+
+  return {
+    register,
+    unregister,
+    getByHandle,
+    getBySocket,
+    setStatus,
+    list,
+    search
+  };
+};
+
+module.exports = createUserDirectory;
+module.exports.SOCKETS_HASH = SOCKETS_HASH;
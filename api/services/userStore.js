@@ -0,0 +1,257 @@
+/**
+ * Local User Store
+ *
+ * Keeps registered accounts in a JSON file on disk, so the server needs no
+ * external database. Passwords are never stored - only their bcrypt hashes.
+ *
+ * File format:
+ * { "users": [{ "username", "displayName", "passwordHash", "createdAt" }] }
+ *
+ * Every instance on this host (cluster workers, see services/scaling) writes the
+ * same file. A write re-reads the file and rewrites it whole, so writes hold a
+ * lock file (<file>.lock) - otherwise two registrations on different workers
+ * could each rewrite the file without the other's account.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+// bcrypt work factor - higher is slower to brute-force (and slower to log in)
+const BCRYPT_ROUNDS = 10;
+
+// Usernames double as call handles, so they follow the same rules
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,24}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', 'data', 'users.json');
+
+// How long a write waits for the lock, and how often it retries
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 20;
+// A lock older than this was left behind by a crashed process
+const STALE_LOCK_MS = 10000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Strip private fields before a user leaves the store
+ */
+const toPublicUser = ({ username, displayName, createdAt }) => ({ username, displayName, createdAt });
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Where to keep the JSON file
+ */
+const createUserStore = ({ filePath = process.env.USER_STORE_PATH || DEFAULT_STORE_PATH } = {}) => {
+  // username key (lowercase) -> stored user
+  const users = new Map();
+
+  const lockPath = `${filePath}.lock`;
+
+  // Modification time of the file when we last read it
+  let loadedMtimeMs = 0;
+
+  /**
+   * (Re)load the accounts if the file changed since we last read it
+   * Other server instances on this host (see services/scaling) write the same file,
+   * so an account registered through one instance can log in through any other.
+   */
+  const reloadIfChanged = ({ force = false } = {}) => {
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      return; // No file yet
+    }
+    if (mtimeMs === loadedMtimeMs && !force) {
+      return;
+    }
+
+    try {
+      const { users: storedUsers = [] } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      users.clear();
+      storedUsers.forEach((user) => users.set(user.username.toLowerCase(), user));
+      loadedMtimeMs = mtimeMs;
+      console.log(`[USERS] Loaded ${users.size} account(s) from ${filePath}`);
+    } catch (error) {
+      console.error(`[USERS] Could not read ${filePath}:`, error.message);
+    }
+  };
+
+  // Load existing accounts at startup
+  reloadIfChanged();
+
+  /**
+   * Run a read-modify-write of the file while holding the lock file
+   * Creating the lock with 'wx' fails if it exists, so only one process (or request) holds it at a time.
+   * The lock holds a token naming its owner: a lock is only removed - when released, or as
+   * stale - if it still holds the token that was read, so no one removes a lock someone else
+   * has just taken.
+   *
+   * @param {Function} update - Runs against the accounts freshly re-read from disk; may be async
+   * @returns {Promise<*>} What update returned
+   */
+  const withLock = async (update) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const token = crypto.randomUUID();
+    const startedAt = Date.now();
+    let handle;
+    while (!handle) {
+      try {
+        handle = await fs.promises.open(lockPath, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        const lockStats = await fs.promises.stat(lockPath).catch(() => null);
+        const staleToken = lockStats && Date.now() - lockStats.mtimeMs > STALE_LOCK_MS
+          ? await fs.promises.readFile(lockPath, 'utf8').catch(() => null)
+          : null;
+        if (staleToken !== null && await removeLockIfHeldBy(staleToken)) {
+          console.warn(`[USERS] Removed stale lock ${lockPath}`);
+        } else if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+          throw new Error(`Timed out waiting for ${lockPath}`);
+        } else {
+          await wait(LOCK_RETRY_MS);
+        }
+      }
+    }
+
+    try {
+      await handle.writeFile(token);
+      await handle.close();
+      // The mtime may not have moved if another process wrote within the same tick - always re-read
+      reloadIfChanged({ force: true });
+      return await update();
+    } finally {
+      await handle.close().catch(() => {});
+      if (!(await removeLockIfHeldBy(token))) {
+        console.warn(`[USERS] Lock ${lockPath} was taken over while held`);
+      }
+    }
+  };
+
+  /**
+   * Remove the lock file if it holds the given token
+   *
+   * The lock is first renamed to a name of our own (only one process can do that), then
+   * checked: a lock that turns out to be someone else's is linked back, unless a newer
+   * lock already took its place.
+   *
+   * @returns {Promise<boolean>} Whether the lock was removed
+   */
+  const removeLockIfHeldBy = async (token) => {
+    const claimedPath = `${lockPath}.${crypto.randomUUID()}`;
+    try {
+      await fs.promises.rename(lockPath, claimedPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+
+    const claimedToken = await fs.promises.readFile(claimedPath, 'utf8').catch(() => null);
+    if (claimedToken !== token) {
+      await fs.promises.link(claimedPath, lockPath).catch(() => {});
+    }
+    await fs.promises.rm(claimedPath, { force: true });
+    return claimedToken === token;
+  };
+
+  /**
+   * Write all accounts back to disk (only while holding the lock, see withLock)
+   * Written to a temp file first so a crash never leaves a half-written store
+   */
+  const persist = async () => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify({ users: Array.from(users.values()) }, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+    loadedMtimeMs = (await fs.promises.stat(filePath)).mtimeMs;
+  };
+
+  /**
+   * Create a new account
+   *
+   * @param {Object} data
+   * @param {string} data.username - Unique, case-insensitive username (also the call handle)
+   * @param {string} data.password - Plain-text password (hashed before storing)
+   * @param {string} [data.displayName] - Name shown to other users
+   * @returns {Promise<{ user?: Object, error?: string }>} The public user, or an error message
+   */
+  const createUser = async ({ username, password, displayName }) => {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return { error: "Usernames must be 3-24 characters: letters, numbers, '.', '_' or '-'" };
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return { error: `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    reloadIfChanged();
+    if (users.has(username.toLowerCase())) {
+      return { error: `Username '${username}' is already taken` };
+    }
+
+    const user = {
+      username,
+      displayName: typeof displayName === 'string' && displayName.trim() ? displayName.trim() : username,
+      passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      createdAt: new Date().toISOString()
+    };
+
+    // Hashing takes a moment - check again against what other instances saved meanwhile
+    const error = await withLock(async () => {
+      if (users.has(username.toLowerCase())) {
+        return `Username '${username}' is already taken`;
+      }
+      users.set(username.toLowerCase(), user);
+      try {
+        await persist();
+      } catch (persistError) {
+        users.delete(username.toLowerCase());
+        throw persistError;
+      }
+      return null;
+    });
+    if (error) {
+      return { error };
+    }
+
+    console.log(`[USERS] Created account '${username}'`);
+    return { user: toPublicUser(user) };
+  };
+
+  /**
+   * Check a username/password pair
+   *
+   * @returns {Promise<Object|null>} The public user if the credentials match, otherwise null
+   */
+  const verifyCredentials = async (username, password) => {
+    reloadIfChanged();
+    const user = typeof username === 'string' ? users.get(username.toLowerCase()) : null;
+    if (!user || typeof password !== 'string') {
+      return null;
+    }
+    return (await bcrypt.compare(password, user.passwordHash)) ? toPublicUser(user) : null;
+  };
+
+  /**
+   * Look up an account by username
+   *
+   * @returns {Object|null} The public user, or null if it does not exist
+   */
+  const getUser = (username) => {
+    reloadIfChanged();
+    const user = typeof username === 'string' ? users.get(username.toLowerCase()) : null;
+    return user ? toPublicUser(user) : null;
+  };
+
+  return {
+    createUser,
+    verifyCredentials,
+    getUser
+  };
+};
+
+module.exports = createUserStore;
@@ -0,0 +1,104 @@
+/**
+ * Admin Live Event Feed
+ *
+ * Operators watching the admin console (see routes/adminRoutes) get a live feed
+ * of the signaling traffic: who connects and disconnects, and the call and room
+ * lifecycle events the clients send ('callUser', 'answerCall', 'joinRoom', ...).
+ *
+ * Relays that flow for every ICE candidate or renegotiation ('iceCandidate',
+ * 'callSignal', 'roomSignal') and search keystrokes are left out: every feed entry
+ * crosses to all instances through the adapter, watched or not, and these are
+ * the busiest events of all.
+ *
+ * The feed has its own Socket.IO namespace, '/admin':
+ * - Only operators can connect to it (see middleware/auth - authenticateAdminSocket)
+ * - Regular clients on the main namespace never see it
+ * - Every feed entry is emitted as 'signalingEvent' { type, at, socketId, username, ... }
+ *
+ * Feed entries only carry a summary of each payload (call ID, target, signal
+ * type). SDPs and ICE candidates contain users' IP addresses and are left out.
+ *
+ * Events are emitted through the adapter, so an operator sees the traffic of
+ * every server instance, whichever instance they are connected to.
+ */
+
+const { authenticateAdminSocket } = require('../middleware/auth');
+const { getClientIp } = require('./signalingGuard');
+
+// Client events that show up in the feed
+const FEED_EVENTS = ['callUser', 'answerCall', 'declineCall', 'cancelCall', 'endCall', 'joinRoom', 'leaveRoom', 'setPresence'];
+
+// Payload fields that are short and safe to show in the feed
+const SUMMARY_FIELDS = ['callId', 'to', 'userToCall', 'room', 'status'];
+
+/**
+ * Short description of an event payload for the feed
+ *
+ * @param {*} payload - Payload sent by the client
+ * @returns {Object} e.g. { callId, signal: 'offer' }
+ */
+const summarizePayload = (payload) => {
+  if (!payload || typeof payload !== 'object') {
+    return {};
+  }
+
+  const summary = {};
+  for (const field of SUMMARY_FIELDS) {
+    if (typeof payload[field] === 'string') {
+      summary[field] = payload[field];
+    }
+  }
+  const signal = payload.signal || payload.signalData;
+  if (signal && typeof signal.type === 'string') {
+    summary.signal = signal.type;
+  }
+  return summary;
+};
+
+/**
+ * @param {Object} io - Socket.IO server instance
+ * @returns {Object} { publish } - Add an entry to the feed (e.g. an operator's action)
+ */
+const adminSocketHandler = (io) => {
+  const adminNamespace = io.of('/admin');
+  adminNamespace.use(authenticateAdminSocket);
+
+  /**
+   * Send an entry to every operator watching the feed
+   *
+   * @param {string} type - 'connect', 'disconnect', 'event' or 'admin'
+   * @param {Object} details - What happened
+   */
+  const publish = (type, details) => {
+    adminNamespace.emit("signalingEvent", { type, at: new Date().toISOString(), ...details });
+  };
+
+  adminNamespace.on("connection", (socket) => {
+    console.log(`[ADMIN] Operator '${socket.data.user.username}' is watching the live feed (${socket.id})`);
+    socket.on("disconnect", () => {
+      console.log(`[ADMIN] Operator '${socket.data.user.username}' stopped watching the live feed`);
+    });
+  });
+
+  // Tap the main namespace (the one the video chat uses)
+  io.on("connection", (socket) => {
+    const { username } = socket.data.user;
+    publish('connect', { socketId: socket.id, username, ip: getClientIp(socket) });
+
+    // Runs after the signaling guard, so rejected events never show up here
+    socket.use(([event, payload], next) => {
+      if (FEED_EVENTS.includes(event)) {
+        publish('event', { socketId: socket.id, username, event, ...summarizePayload(payload) });
+      }
+      next();
+    });
+
+    socket.on("disconnect", (reason) => {
+      publish('disconnect', { socketId: socket.id, username, reason });
+    });
+  });
+
+  return { publish };
+};
+
+module.exports = adminSocketHandler;
@@ -0,0 +1,27 @@
+/**
+ * Signaling Error Codes
+ *
+ * Machine-readable codes sent with every 'callError' event, so clients can
+ * react to a specific problem instead of parsing the human-readable message.
+ *
+ * Example: socket.emit("callError", { code: ERROR_CODES.RATE_LIMITED, event: "callUser", message: "..." })
+ */
+const ERROR_CODES = Object.freeze({
+  // Payload problems (see sockets/eventSchemas)
+  UNKNOWN_EVENT: 'UNKNOWN_EVENT',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+
+  // Abuse protection (see sockets/signalingGuard)
+  RATE_LIMITED: 'RATE_LIMITED',
+  BANNED: 'BANNED',
+
+  // Call problems (see sockets/videoCallSocketHandler)
+  USER_NOT_FOUND: 'USER_NOT_FOUND',
+  SELF_CALL: 'SELF_CALL',
+  ALREADY_IN_CALL: 'ALREADY_IN_CALL',
+  USER_UNAVAILABLE: 'USER_UNAVAILABLE',
+  CALL_UNAVAILABLE: 'CALL_UNAVAILABLE'
+});
+
+module.exports = ERROR_CODES;
@@ -0,0 +1,154 @@
+/**
+ * Signaling Event Schemas
+ *
+ * Every event a client may send has a validator here. Payloads are checked
+ * BEFORE any handler sees them (see sockets/signalingGuard), so handlers can
+ * rely on the fields having the right types and sizes.
+ *
+ * Events without a schema are rejected - a new event needs a schema here
+ * before clients can use it.
+ *
+ * Each validator returns null when the payload is fine, or { code, message }.
+ */
+
+const ERROR_CODES = require('./errorCodes');
+const { SELECTABLE_STATUSES } = require('../services/presence');
+
+// SDP offers/answers are usually 2-10 KB; anything far beyond that is not a real session description
+const MAX_SDP_LENGTH = Number(process.env.SIGNALING_MAX_SDP_LENGTH) || 32 * 1024;
+const MAX_CANDIDATE_LENGTH = 1024;
+// Handles, socket IDs, call IDs and room names all fit in this
+const MAX_ID_LENGTH = 64;
+
+const invalid = (message) => ({ code: ERROR_CODES.INVALID_PAYLOAD, message });
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a string field
+ *
+ * @param {*} value - Field value
+ * @param {string} field - Field name (for the error message)
+ * @param {Object} [options]
+ * @param {number} [options.max] - Maximum length
+ * @param {boolean} [options.optional] - Whether the field may be missing
+ * @param {boolean} [options.allowEmpty] - Whether '' is acceptable
+ */
+const checkString = (value, field, { max = MAX_ID_LENGTH, optional = false, allowEmpty = false } = {}) => {
+  if (value === undefined || value === null) {
+    return optional ? null : invalid(`'${field}' is required`);
+  }
+  if (typeof value !== 'string') {
+    return invalid(`'${field}' must be a string`);
+  }
+  if (!allowEmpty && value.length === 0) {
+    return invalid(`'${field}' must not be empty`);
+  }
+  if (value.length > max) {
+    return { code: ERROR_CODES.PAYLOAD_TOO_LARGE, message: `'${field}' must be at most ${max} characters` };
+  }
+  return null;
+};
+
+/**
+ * Check an RTCIceCandidateInit ({ candidate, sdpMid, sdpMLineIndex })
+ */
+const checkCandidate = (candidate, field) => {
+  if (!isPlainObject(candidate)) {
+    return invalid(`'${field}' must be an object`);
+  }
+  return checkString(candidate.candidate, `${field}.candidate`, { max: MAX_CANDIDATE_LENGTH, allowEmpty: true }) ||
+    checkString(candidate.sdpMid, `${field}.sdpMid`, { optional: true, allowEmpty: true }) ||
+    (candidate.sdpMLineIndex !== undefined && candidate.sdpMLineIndex !== null && !Number.isInteger(candidate.sdpMLineIndex)
+      ? invalid(`'${field}.sdpMLineIndex' must be an integer`)
+      : null);
+};
+
+/**
+ * Check a simple-peer signal object
+ *
+ * @param {*} signal - Signal sent by the client
+ * @param {string} field - Field name (for the error message)
+ * @param {Array<string>} allowedTypes - Signal types accepted for this event
+ */
+const checkSignal = (signal, field, allowedTypes) => {
+  if (!isPlainObject(signal)) {
+    return invalid(`'${field}' must be an object`);
+  }
+  if (!allowedTypes.includes(signal.type)) {
+    return invalid(`'${field}.type' must be one of: ${allowedTypes.join(', ')}`);
+  }
+  if (signal.type === 'candidate') {
+    return checkCandidate(signal.candidate, `${field}.candidate`);
+  }
+  if (signal.type === 'offer' || signal.type === 'answer') {
+    return checkString(signal.sdp, `${field}.sdp`, { max: MAX_SDP_LENGTH });
+  }
+  // 'renegotiate' / 'transceiverRequest' carry no SDP
+  return null;
+};
+
+const schemas = {
+  searchUsers: ({ query }) => checkString(query, 'query', { allowEmpty: true }),
+
+  setPresence: ({ status }) =>
+    checkString(status, 'status') ||
+    (SELECTABLE_STATUSES.includes(status) ? null : invalid(`'status' must be one of: ${SELECTABLE_STATUSES.join(', ')}`)),
+
+  callUser: ({ userToCall, signalData }) =>
+    checkString(userToCall, 'userToCall') ||
+    checkSignal(signalData, 'signalData', ['offer']),
+
+  answerCall: ({ callId, signal }) =>
+    checkString(callId, 'callId') ||
+    checkSignal(signal, 'signal', ['answer']),
+
+  declineCall: ({ callId }) => checkString(callId, 'callId'),
+
+  cancelCall: ({ callId }) => checkString(callId, 'callId'),
+
+  endCall: ({ callId }) => checkString(callId, 'callId', { optional: true }),
+
+  callSignal: ({ callId, signal }) =>
+    checkString(callId, 'callId') ||
+    checkSignal(signal, 'signal', ['offer', 'answer', 'renegotiate']),
+
+  iceCandidate: ({ to, candidate }) =>
+    checkString(to, 'to') ||
+    checkCandidate(candidate, 'candidate'),
+
+  joinRoom: ({ room }) => checkString(room, 'room'),
+
+  leaveRoom: () => null,
+
+  roomSignal: ({ to, signal }) =>
+    checkString(to, 'to') ||
+    checkSignal(signal, 'signal', ['offer', 'answer', 'candidate', 'renegotiate', 'transceiverRequest'])
+};
+
+/**
+ * Validate an incoming event
+ *
+ * @param {string} event - Event name
+ * @param {*} payload - First argument sent with the event
+ * @returns {{ code: string, message: string }|null} An error, or null if the payload is valid
+ */
+const validateEvent = (event, payload) => {
+  // Own properties only - 'toString' or '__proto__' are not events
+  const schema = Object.hasOwn(schemas, event) ? schemas[event] : null;
+  if (!schema) {
+    return { code: ERROR_CODES.UNKNOWN_EVENT, message: `Unknown event '${event}'` };
+  }
+
+  // Events like 'leaveRoom' may be sent without a payload
+  const data = payload === undefined ? {} : payload;
+  if (!isPlainObject(data)) {
+    return invalid('Payload must be an object');
+  }
+  return schema(data);
+};
+
+module.exports = {
+  validateEvent,
+  MAX_SDP_LENGTH
+};
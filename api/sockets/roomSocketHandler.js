@@ -0,0 +1,162 @@
+/**
+ * WebRTC Room Signaling Handler (Mesh Topology)
+ *
+ * This module handles multi-party rooms via Socket.IO.
+ *
+ * IMPORTANT: Like the 1:1 handler, this server only relays SIGNALING messages.
+ * Every participant opens a direct WebRTC connection to every other participant
+ * (a "mesh"), so media never passes through the server.
+ *
+ * Mesh Signaling Process:
+ * 1. User A emits 'joinRoom' with a room name
+ * 2. Server replies with 'roomJoined' containing the current roster (everyone except A)
+ * 3. Server tells existing members 'participantJoined' so they can show a new tile
+ * 4. User A creates one Peer (initiator: true) per existing member and sends offers via 'roomSignal'
+ * 5. Each member answers with its own 'roomSignal' back to User A
+ * 6. When someone leaves or disconnects, remaining members receive 'participantLeft'
+ *
+ * 'roomSignal' carries every kind of signal for a pair of peers: offers, answers
+ * and individual ICE candidates (Trickle ICE). The receiving peer queues candidates
+ * until its remote description is set.
+ *
+ * Why a mesh? For small groups (3-6 people) it needs no media server. Each client
+ * uploads its stream once per remote participant, so it does not scale to large rooms.
+ *
+ * Rosters are kept in a shared store (see services/roomRosters), so members may be
+ * connected to different server instances.
+ */
+
+const safeHandler = require('./safeHandler');
+
+// Upper bound for a mesh room - every extra participant costs each client one more upload
+const MAX_ROOM_PARTICIPANTS = 8;
+
+// Room names are user-typed, so keep them short and URL/log friendly
+const ROOM_NAME_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} options
+ * @param {Object} options.roomRosters - Who is in which room (see services/roomRosters)
+ */
+const roomSocketHandler = (io, { roomRosters }) => {
+  /**
+   * Socket.IO room channel used for broadcasts to a room's members
+   * (prefixed so it never collides with a socket ID)
+   */
+  const channelFor = (room) => `room:${room}`;
+
+  /**
+   * Remove a socket from its current room (if any) and notify the remaining members
+   *
+   * @param {Object} socket - Socket.IO socket leaving the room
+   * @param {string} reason - Why the participant left ('left' or 'disconnected')
+   */
+  const removeFromRoom = async (socket, reason) => {
+    const room = socket.data.room;
+    if (!room) {
+      return;
+    }
+
+    socket.leave(channelFor(room));
+    socket.data.room = null;
+    await roomRosters.remove(room, socket.id);
+
+    // Only the room's remaining members need to know
+    io.to(channelFor(room)).emit("participantLeft", { room, id: socket.id, reason });
+    console.log(`[ROOMS] ${socket.id} left room '${room}' (${reason})`);
+  };
+
+  io.on("connection", (socket) => {
+    /**
+     * Handle a request to join a named room
+     *
+     * @param {Object} data - Join request data
+     * @param {string} data.room - Name of the room to join
+     */
+    socket.on("joinRoom", safeHandler("joinRoom", async ({ room } = {}) => {
+      if (typeof room !== 'string' || !ROOM_NAME_PATTERN.test(room)) {
+        socket.emit("roomError", { message: "Room names may only contain letters, numbers, '-' and '_'" });
+        return;
+      }
+
+      // Joining the room you are already in is a no-op
+      if (socket.data.room === room) {
+        socket.emit("roomJoined", {
+          room,
+          participants: (await roomRosters.list(room)).filter((p) => p.id !== socket.id)
+        });
+        return;
+      }
+
+      // Snapshot existing members before adding the newcomer
+      const existingParticipants = await roomRosters.list(room);
+
+      // Display name comes from the authenticated socket (see middleware/auth)
+      const participant = {
+        id: socket.id,
+        name: socket.data.user.displayName,
+        joinedAt: new Date().toISOString()
+      };
+
+      // Claims a free place atomically - concurrent joins can't overfill the room
+      if (!(await roomRosters.add(room, participant, { maxParticipants: MAX_ROOM_PARTICIPANTS }))) {
+        socket.emit("roomError", { message: `Room '${room}' is full (max ${MAX_ROOM_PARTICIPANTS} participants)` });
+        return;
+      }
+
+      // A socket can only be in one room at a time
+      await removeFromRoom(socket, 'left');
+
+      socket.data.room = room;
+      socket.join(channelFor(room));
+
+      // The newcomer initiates a connection to each existing member
+      socket.emit("roomJoined", { room, participants: existingParticipants });
+
+      // Existing members wait for the newcomer's offers
+      socket.to(channelFor(room)).emit("participantJoined", { room, participant });
+
+      console.log(`[ROOMS] ${socket.id} (${participant.name}) joined room '${room}' - ${existingParticipants.length + 1} participant(s)`);
+    }));
+
+    /**
+     * Handle an explicit request to leave the current room
+     */
+    socket.on("leaveRoom", safeHandler("leaveRoom", () => removeFromRoom(socket, 'left')));
+
+    /**
+     * Relay a WebRTC signal (offer, answer or ICE candidate) between two members of the same room
+     *
+     * @param {Object} data - Signal data
+     * @param {string} data.to - Socket ID of the room member receiving the signal
+     * @param {Object} data.signal - WebRTC SDP offer/answer or ICE candidate signal
+     */
+    socket.on("roomSignal", safeHandler("roomSignal", async ({ to, signal } = {}) => {
+      const room = socket.data.room;
+      const [sender, recipient] = room
+        ? await Promise.all([roomRosters.get(room, socket.id), roomRosters.get(room, to)])
+        : [null, null];
+
+      // Only relay between sockets that are in the same room
+      if (!recipient) {
+        console.warn(`[ROOMS] Warning: ${socket.id} tried to signal ${to} outside of its room`);
+        socket.emit("roomError", { message: "Participant is not in your room" });
+        return;
+      }
+
+      io.to(to).emit("roomSignal", {
+        from: socket.id,
+        name: sender?.name,
+        signal
+      });
+    }));
+
+    /**
+     * Leaving the room is implicit when the socket disconnects
+     */
+    socket.on("disconnect", safeHandler("disconnect", () => removeFromRoom(socket, 'disconnected')));
+  });
+};
+
+module.exports = roomSocketHandler;
@@ -0,0 +1,18 @@
+/**
+ * Safe Async Socket Handlers
+ *
+ * Handlers that read shared state (see services/stateBackends) are async.
+ * If the backend fails (e.g. Redis goes away), the rejected promise would
+ * crash the whole process - this wrapper logs the error instead.
+ *
+ * Usage: socket.on("joinRoom", safeHandler("joinRoom", async (data) => { ... }))
+ *
+ * @param {string} event - Event name (for the log message)
+ * @param {Function} handler - Async event handler
+ * @returns {Function} Handler that never rejects
+ */
+const safeHandler = (event, handler) => (...args) => Promise.resolve()
+  .then(() => handler(...args))
+  .catch((error) => console.error(`[SOCKET] Error handling '${event}':`, error));
+
+module.exports = safeHandler;
@@ -0,0 +1,120 @@
+/**
+ * Signaling Guard (Abuse Protection)
+ *
+ * Sits in front of every signaling handler and protects the server and its users:
+ *
+ * 1. Payload validation - every incoming event is checked against its schema
+ *    (sockets/eventSchemas): required fields, types and SDP size caps
+ * 2. Rate limiting - 'callUser' and 'answerCall' are limited per socket AND per IP,
+ *    so nobody can ring hundreds of users per second (opening more sockets doesn't help)
+ * 3. Ban list - every rejection is a "strike" against the client's IP; too many
+ *    strikes in a short time ban the IP temporarily (all its sockets are dropped
+ *    and new connections are refused until the ban expires)
+ *
+ * Rejected events never reach the handlers. The client gets a 'callError' with
+ * a machine-readable code (see sockets/errorCodes) and the name of the event.
+ *
+ * Configuration (environment variables, all optional):
+ * - CALL_RATE_LIMIT_PER_SOCKET (default 5) and CALL_RATE_LIMIT_PER_IP (default 20)
+ *   calls/answers per CALL_RATE_LIMIT_WINDOW_MS (default 10 seconds)
+ * - BAN_MAX_STRIKES (default 10) within BAN_STRIKE_WINDOW_MS (default 1 minute)
+ *   ban an IP for BAN_DURATION_MS (default 10 minutes) - see index.js
+ */
+
+const createRateLimiter = require('../services/rateLimiter');
+const ERROR_CODES = require('./errorCodes');
+const { validateEvent } = require('./eventSchemas');
+
+const CALL_RATE_LIMIT_PER_SOCKET = Number(process.env.CALL_RATE_LIMIT_PER_SOCKET) || 5;
+const CALL_RATE_LIMIT_PER_IP = Number(process.env.CALL_RATE_LIMIT_PER_IP) || 20;
+const CALL_RATE_LIMIT_WINDOW_MS = Number(process.env.CALL_RATE_LIMIT_WINDOW_MS) || 10 * 1000;
+
+// Events that ring (or answer) another user - these are the ones worth abusing
+const RATE_LIMITED_EVENTS = new Set(['callUser', 'answerCall']);
+
+/**
+ * Client IP address of a socket
+ * Behind a reverse proxy set TRUST_PROXY=true to use the X-Forwarded-For header
+ */
+const getClientIp = (socket) => {
+  const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+  if (process.env.TRUST_PROXY === 'true' && typeof forwardedFor === 'string') {
+    return forwardedFor.split(',')[0].trim();
+  }
+  return socket.handshake.address;
+};
+
+/**
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} options
+ * @param {Object} options.banList - Temporary ban list (see services/banList)
+ * @param {Object} options.metrics - Metrics registry (see services/metrics)
+ */
+const signalingGuard = (io, { banList, metrics }) => {
+  const callLimiterBySocket = createRateLimiter({ limit: CALL_RATE_LIMIT_PER_SOCKET, windowMs: CALL_RATE_LIMIT_WINDOW_MS });
+  const callLimiterByIp = createRateLimiter({ limit: CALL_RATE_LIMIT_PER_IP, windowMs: CALL_RATE_LIMIT_WINDOW_MS });
+
+  /**
+   * Drop every socket coming from a banned IP
+   */
+  const disconnectIp = (ip) => {
+    io.sockets.sockets.forEach((socket) => {
+      if (getClientIp(socket) === ip) {
+        socket.emit("callError", { code: ERROR_CODES.BANNED, message: "Too many rejected requests - try again later" });
+        socket.disconnect(true);
+      }
+    });
+  };
+
+  // Refuse new connections from banned IPs (must be registered before other middleware)
+  io.use((socket, next) => {
+    if (banList.isBanned(getClientIp(socket))) {
+      console.warn(`[GUARD] Refused connection from banned IP ${getClientIp(socket)}`);
+      return next(new Error('Temporarily banned'));
+    }
+    next();
+  });
+
+  io.on("connection", (socket) => {
+    const ip = getClientIp(socket);
+
+    /**
+     * Reject an event: tell the client why and count a strike against its IP
+     */
+    const reject = (event, code, message) => {
+      console.warn(`[GUARD] Rejected '${event}' from ${socket.id} (${ip}): ${code} - ${message}`);
+      socket.emit("callError", { event, code, message });
+
+      // Unknown event names come straight from the client - don't turn them into metric labels
+      const metricEvent = code === ERROR_CODES.UNKNOWN_EVENT ? 'unknown' : event;
+      metrics.recordSignalingEvent(metricEvent, 'rejected');
+      metrics.recordSignalingError(metricEvent, code);
+
+      if (banList.addStrike(ip)) {
+        console.warn(`[GUARD] Banned ${ip} after repeated rejections`);
+        disconnectIp(ip);
+      }
+    };
+
+    // Per-packet middleware: runs for every event this socket sends, before any handler
+    socket.use(([event, payload], next) => {
+      const error = validateEvent(event, payload);
+      if (error) {
+        reject(event, error.code, error.message);
+        return;
+      }
+
+      if (RATE_LIMITED_EVENTS.has(event) &&
+          (!callLimiterBySocket.consume(socket.id) || !callLimiterByIp.consume(ip))) {
+        reject(event, ERROR_CODES.RATE_LIMITED, "Too many call requests - please slow down");
+        return;
+      }
+
+      metrics.recordSignalingEvent(event, 'accepted');
+      next();
+    });
+  });
+};
+
+module.exports = signalingGuard;
+module.exports.getClientIp = getClientIp;
@@ -14,11 +14,215 @@
  * 5. Answer is sent to server via 'answerCall' event
  * 6. Server forwards answer to User A via 'callAccepted' event
  * 7. Once signaling is complete, peers establish direct WebRTC connection
+ * 
+ * Call Sessions:
+ * - The server records every call (see services/callSessions): ringing → connected → ended
+ * - A user who is already ringing or in a call gets 'callBusy' sent back to the caller
+ * - The callee can decline ('declineCall' → caller gets 'callDeclined')
+ * - The caller can give up while it rings ('cancelCall' → callee gets 'callCancelled')
+ * - Unanswered calls end after a ring timeout ('callTimedOut' to both sides)
+ * - Either side can hang up ('endCall' → the other side gets 'callEnded')
+ * - 'callEnded' is only ever sent to the other participant of that call, never broadcast
+ * - Every finished call attempt is written to the call history (see services/callHistory)
+ * 
+ * Renegotiation ('callSignal'):
+ * - Once a call is connected, further offers/answers (e.g. an ICE restart after
+ *   the network dropped) are relayed with 'callSignal' { callId, signal }
+ * - Only between the two parties of that call, and only while it is connected
+ * 
+ * Trickle ICE:
+ * - Peers don't wait for ICE gathering to finish before sending the offer/answer
+ * - Each ICE candidate (a possible network path) is sent via 'iceCandidate' as soon as it is found
+ * - This makes call setup much faster on networks where gathering takes several seconds
+ * 
+ * Every socket is authenticated (see middleware/auth), and its username is
+ * registered as the user's handle on connect. Calls can target that handle instead
+ * of a socket ID - the server resolves the handle to whichever socket the user is
+ * currently connected with.
+ * 
+ * The caller's identity (from, fromHandle, name) is always stamped by the server
+ * from the authenticated socket - it is never read from the client's payload.
+ * 
+ * Reconnects (see services/signalingSessions):
+ * - Every socket gets a session token ('session' { sessionToken, resumed }); the
+ *   client presents it again (handshake auth) when it reconnects with a new socket ID
+ * - The server then moves the handle and the current call to the new socket, and
+ *   replays the call events that were sent while the client was away
+ * - A socket that drops without saying goodbye keeps its handle and its call for
+ *   a grace period; only if it doesn't come back is the call ended ('disconnected')
+ * - A token whose socket is still connected is only handed over if that socket no
+ *   longer answers ('sessionProbe') - otherwise (e.g. a duplicated browser tab) the
+ *   newcomer gets a session of its own. A dead socket that lost its session is
+ *   told why ('sessionReplaced') and disconnected
+ * 
+ * Presence (see services/presence):
+ * - On connect the client gets 'presenceList' with everyone who is online and its own status
+ * - Status changes ('setPresence', calls starting and ending, connects and
+ *   disconnects) are broadcast to everyone as 'presenceUpdate'
+ * - Calls to a user in do-not-disturb are refused with USER_UNAVAILABLE
+ * 
+ * Operators can end any call from the admin console (see routes/adminRoutes) -
+ * the handler returns { terminateCall } for that.
+ * 
+ * Payloads are validated and rate limited before they reach this handler
+ * (see sockets/signalingGuard). Errors are reported with 'callError' { event, code, message }.
  */
-const videoCallSocketHandler = (io) => {
-  // Track connected users for educational/debugging purposes
+const crypto = require('crypto');
+const { CALL_STATES } = require('../services/callSessions');
+const { PRESENCE_STATUS } = require('../services/presence');
+const ERROR_CODES = require('./errorCodes');
+const safeHandler = require('./safeHandler');
+
+// How long a call may ring before the server gives up (default 30 seconds)
+const RING_TIMEOUT_MS = Number(process.env.CALL_RING_TIMEOUT_MS) || 30000;
+
+// How long a dropped socket may take to come back before its call ends (default 30 seconds)
+const RECONNECT_GRACE_MS = Number(process.env.SIGNALING_RECONNECT_GRACE_MS) || 30000;
+
+// How long a socket that still holds a session has to answer 'sessionProbe'
+const SESSION_PROBE_TIMEOUT_MS = 2000;
+
+// Disconnects that were asked for (logout, kicked) - no point waiting for a reconnect
+const INTENTIONAL_DISCONNECTS = new Set(['client namespace disconnect', 'server namespace disconnect']);
+
+/**
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} options
+ * @param {Object} options.userDirectory - Handle <-> socket ID directory (see services/userDirectory)
+ * @param {Object} options.callSessions - Active call sessions (see services/callSessions)
+ * @param {Object} options.callHistory - Call detail record store (see services/callHistory)
+ * @param {Object} options.metrics - Metrics registry (see services/metrics)
+ * @param {Object} options.presence - Online status broadcasts (see services/presence)
+ * @param {Object} options.signalingSessions - Session tokens that survive reconnects (see services/signalingSessions)
+ * @returns {Object} { terminateCall }
+ */
+const videoCallSocketHandler = (io, { userDirectory, callSessions, callHistory, metrics, presence, signalingSessions }) => {
+  // Sockets connected to THIS instance, for educational/debugging purposes
+  // (who is online across all instances lives in the shared userDirectory)
   const connectedUsers = new Map();
 
+  // Ring timeout timers for calls this instance started that have not been answered yet: callId -> timeout
+  const ringTimers = new Map();
+
+  /**
+   * End a call session and stop its ring timer (if it was still ringing)
+   * 
+   * @param {string} callId - Call to end
+   * @param {string} reason - Why it ended
+   * @returns {Promise<Object|null>} The ended session, or null if it had already ended
+   */
+  const finishCall = async (callId, reason) => {
+    clearTimeout(ringTimers.get(callId));
+    ringTimers.delete(callId);
+
+    const session = await callSessions.end(callId, reason);
+    if (session) {
+      console.log(`[SIGNALING] Call ${callId} between ${session.caller.handle} and ${session.callee.handle} ended (${reason})`);
+      callHistory.record(session);
+      metrics.recordCallEnded(reason);
+      // Both sides are no longer 'in-call'
+      await Promise.all([presence.publish(session.caller.handle), presence.publish(session.callee.handle)]);
+    }
+    return session;
+  };
+
+  /**
+   * Send a call event to one party
+   * If that party's socket dropped and may still come back, the event is kept
+   * and replayed when it reconnects
+   * 
+   * @param {string} socketId - Socket the event is for
+   * @param {string} event - Event name
+   * @param {*} payload - Event payload
+   */
+  const sendToParty = async (socketId, event, payload) => {
+    if (!(await signalingSessions.queueIfDisconnected(socketId, event, payload))) {
+      io.to(socketId).emit(event, payload);
+    }
+  };
+
+  /**
+   * End a socket's current call and tell only the other participant
+   * 
+   * @param {Object} session - Session the socket is part of
+   * @param {string} socketId - Socket that is leaving the call
+   * @param {string} reason - 'hangup' or 'disconnected'
+   */
+  const endCallFor = async (session, socketId, reason) => {
+    const otherSocketId = callSessions.getOtherParty(session, socketId);
+    const leaver = session.caller.socketId === socketId ? session.caller : session.callee;
+
+    if (await finishCall(session.id, reason)) {
+      await sendToParty(otherSocketId, "callEnded", { callId: session.id, reason, by: leaver.handle });
+    }
+  };
+
+  /**
+   * End a call from outside the call itself (an operator in the admin console)
+   * Both parties get 'callEnded'
+   * 
+   * @param {string} callId - Call to end
+   * @param {string} reason - Why it ended (e.g. 'admin')
+   * @returns {Promise<Object|null>} The ended session, or null if there was no such call
+   */
+  const terminateCall = async (callId, reason) => {
+    const session = await finishCall(callId, reason);
+    if (session) {
+      await sendToParty(session.caller.socketId, "callEnded", { callId, reason, by: null });
+      await sendToParty(session.callee.socketId, "callEnded", { callId, reason, by: null });
+    }
+    return session;
+  };
+
+  /**
+   * A socket is gone for good: free its handle and end its call
+   * 
+   * @param {string} socketId - Socket that left
+   * @param {string} username - Its user
+   */
+  const leave = async (socketId, username) => {
+    await userDirectory.unregister(socketId);
+
+    // Ending the call also publishes the new presence of both sides
+    const session = await callSessions.getBySocket(socketId);
+    if (session) {
+      await endCallFor(session, socketId, 'disconnected');
+    } else {
+      await presence.publish(username);
+    }
+  };
+
+  /**
+   * Whether a socket still answers (it may be connected to another instance)
+   * The server only notices a dead connection after the ping timeout, so a socket
+   * can look connected although its client has already reconnected with a new one.
+   * 
+   * @param {string} socketId - Socket to ask
+   * @returns {Promise<boolean>}
+   */
+  const isSocketAlive = async (socketId) => {
+    try {
+      const replies = await io.to(socketId).timeout(SESSION_PROBE_TIMEOUT_MS).emitWithAck("sessionProbe");
+      return replies.length > 0;
+    } catch (error) {
+      // No answer in time
+      return false;
+    }
+  };
+
+  /**
+   * Resolve a call target to the socket ID it currently belongs to
+   * Accepts a registered handle, or a raw socket ID (for clients that still copy IDs)
+   * Both are looked up in the shared directory, so the socket may live on another instance.
+   * 
+   * @param {string} target - Handle or socket ID
+   * @returns {Promise<string|null>} Socket ID, or null if nobody matches
+   */
+  const resolveTarget = async (target) => {
+    const user = (await userDirectory.getByHandle(target)) || (await userDirectory.getBySocket(target));
+    return user ? user.socketId : null;
+  };
+
   io.on("connection", (socket) => {
     console.log(`[SIGNALING] New client connected. Socket ID: ${socket.id}`);
     console.log(`[SIGNALING] Total connected users: ${io.engine.clientsCount}`);
@@ -36,20 +240,131 @@ const videoCallSocketHandler = (io) => {
     socket.emit("me", socket.id);
     console.log(`[SIGNALING] Sent socket ID '${socket.id}' to client`);
 
+    const { username, displayName } = socket.data.user;
+
+    /**
+     * Resume the client's signaling session (if it brought a valid token) or start a new one,
+     * then register the authenticated username as this socket's handle
+     * A newer login (e.g. after a reconnect or in another tab) takes the handle over
+     */
+    const setUp = async () => {
+      const { sessionToken } = socket.handshake.auth || {};
+      let resumed = typeof sessionToken === 'string'
+        ? await signalingSessions.resume(sessionToken, username, socket.id)
+        : null;
+
+      // Another socket still holds the session
+      let replacedSocketId = null;
+      if (resumed?.inUseBy) {
+        if (await isSocketAlive(resumed.inUseBy)) {
+          // e.g. a duplicated tab (it copied sessionStorage) - it must not take the call over
+          console.log(`[SIGNALING] Session of '${username}' is in use by ${resumed.inUseBy} - starting a new one for ${socket.id}`);
+          resumed = null;
+        } else {
+          replacedSocketId = resumed.inUseBy;
+          resumed = await signalingSessions.resume(sessionToken, username, socket.id, { takeOver: true });
+        }
+      }
+
+      await userDirectory.register(socket.id, username, displayName, { replaceExisting: true });
+      socket.emit("userRegistered", { handle: username, name: displayName });
+      console.log(`[SIGNALING] Registered handle '${username}' for ${socket.id}`);
+
+      if (resumed) {
+        // The other party keeps talking to the same user - now through this socket
+        if (resumed.previousSocketId !== socket.id) {
+          await callSessions.rebindSocket(resumed.previousSocketId, socket.id);
+        }
+        socket.emit("session", { sessionToken, resumed: true });
+        console.log(`[SIGNALING] Resumed session of '${username}' (${resumed.previousSocketId} -> ${socket.id}), replaying ${resumed.pendingEvents.length} event(s)`);
+        for (const { event, payload } of resumed.pendingEvents) {
+          socket.emit(event, payload);
+        }
+
+        // The connection the client left behind is dead - close it (its disconnect no longer affects the session)
+        if (replacedSocketId) {
+          io.to(replacedSocketId).emit("sessionReplaced", { reason: "Your session was resumed by a newer connection" });
+          io.in(replacedSocketId).disconnectSockets(true);
+        }
+      } else {
+        socket.emit("session", { sessionToken: await signalingSessions.create(socket.id, username), resumed: false });
+      }
+
+      // Who is online for the newcomer (plus the status they picked - a newer
+      // login keeps it), and the newcomer for everyone else
+      const registered = await userDirectory.getBySocket(socket.id);
+      socket.emit("presenceList", { users: await presence.list(), status: registered?.status });
+      await presence.publish(username);
+    };
+    const ready = setUp()
+      .catch((error) => console.error(`[SIGNALING] Could not set up the session of '${username}':`, error));
+
+    // Events that arrive before the session is set up (e.g. buffered by the client
+    // while it was reconnecting) wait for it - they may belong to the resumed call
+    socket.use((packet, next) => {
+      ready.then(() => next());
+    });
+
     /**
      * Handle client disconnection
-     * When a user disconnects, notify all other users that the call has ended
+     * 
+     * A logout (or a kick) leaves right away. Anything else may be a network blip:
+     * the handle and the call are kept until the grace period ends, and the
+     * client can pick them up again by reconnecting with its session token.
+     * When the user is really gone, only the other participant of their call is notified.
      */
-    socket.on("disconnect", (reason) => {
+    socket.on("disconnect", safeHandler("disconnect", async (reason) => {
       console.log(`[SIGNALING] Client disconnected. Socket ID: ${socket.id}, Reason: ${reason}`);
       console.log(`[SIGNALING] Remaining connected users: ${io.engine.clientsCount}`);
       
       // Remove from tracking
       connectedUsers.delete(socket.id);
-      
-      // Notify all other clients that this user's call has ended
-      socket.broadcast.emit("callEnded", { disconnectedUserId: socket.id });
-    });
+      await ready;
+
+      const sessionToken = await signalingSessions.markDisconnected(socket.id);
+      if (!sessionToken || INTENTIONAL_DISCONNECTS.has(reason)) {
+        if (sessionToken) {
+          await signalingSessions.remove(sessionToken);
+        }
+        await leave(socket.id, username);
+        return;
+      }
+
+      console.log(`[SIGNALING] Keeping the session of '${username}' for ${RECONNECT_GRACE_MS / 1000}s in case it reconnects`);
+      setTimeout(safeHandler("reconnectGrace", async () => {
+        // Resumed in the meantime (possibly through another instance)
+        if (!(await signalingSessions.isAwaitingReconnect(sessionToken, socket.id))) {
+          return;
+        }
+        console.log(`[SIGNALING] '${username}' did not reconnect - ending its session`);
+        await signalingSessions.remove(sessionToken);
+        await leave(socket.id, username);
+      }), RECONNECT_GRACE_MS);
+    }));
+
+    /**
+     * Change the status others see (available, busy or do-not-disturb)
+     * 
+     * @param {Object} data
+     * @param {string} data.status - New status
+     */
+    socket.on("setPresence", safeHandler("setPresence", async ({ status } = {}) => {
+      const { error } = await presence.setStatus(socket.id, status);
+      if (error) {
+        socket.emit("callError", { event: "setPresence", code: ERROR_CODES.INVALID_PAYLOAD, message: error });
+      }
+    }));
+
+    /**
+     * Search the directory by handle or display name
+     * 
+     * @param {Object} data - Search data
+     * @param {string} data.query - Text typed by the user
+     */
+    socket.on("searchUsers", safeHandler("searchUsers", async ({ query } = {}) => {
+      const users = await userDirectory.search(query, { excludeSocketId: socket.id });
+      socket.emit("searchResults", { query, users });
+    }));
 
     /**
      * Handle incoming call request (WebRTC Offer)
@@ -58,33 +373,132 @@ const videoCallSocketHandler = (io) => {
      * 1. User A creates a Peer instance with initiator: true
      * 2. Peer generates an SDP offer (signal data)
      * 3. This signal is sent here via 'callUser' event
-     * 4. We forward it to the target user (User B)
+     * 4. We record a 'ringing' session and forward the offer to the target user (User B)
+     * 5. The caller gets 'callRinging' with the call ID (needed to cancel the call)
+     * 
+     * If User B is already ringing or in a call, the caller gets 'callBusy' instead.
      * 
      * @param {Object} data - Call request data
-     * @param {string} data.userToCall - Socket ID of the user being called
+     * @param {string} data.userToCall - Handle (or socket ID) of the user being called
      * @param {Object} data.signalData - WebRTC SDP offer signal
-     * @param {string} data.from - Socket ID of the caller
-     * @param {string} data.name - Name of the caller
      */
-    socket.on("callUser", ({ userToCall, signalData, from, name }) => {
-      console.log(`[SIGNALING] Call request from ${from} (${name}) to ${userToCall}`);
+    const placeCall = async ({ userToCall, signalData }) => {
+      // Identity comes from the authenticated socket, never from the payload
+      const from = socket.id;
+      const { username: fromHandle, displayName: name } = socket.data.user;
+      console.log(`[SIGNALING] Call request from ${fromHandle} (${from}) to ${userToCall}`);
       
-      // Validate that target user exists
-      if (!io.sockets.sockets.has(userToCall)) {
+      // Resolve the handle to the user's current socket and validate that it exists
+      const targetSocketId = await resolveTarget(userToCall);
+      if (!targetSocketId) {
         console.warn(`[SIGNALING] Warning: Attempted to call non-existent user ${userToCall}`);
-        socket.emit("callError", { message: "User not found or disconnected" });
+        socket.emit("callError", { event: "callUser", code: ERROR_CODES.USER_NOT_FOUND, message: "User not found or disconnected" });
+        metrics.recordSignalingError("callUser", ERROR_CODES.USER_NOT_FOUND);
         return;
       }
 
+      if (targetSocketId === socket.id) {
+        socket.emit("callError", { event: "callUser", code: ERROR_CODES.SELF_CALL, message: "You cannot call yourself" });
+        metrics.recordSignalingError("callUser", ERROR_CODES.SELF_CALL);
+        return;
+      }
+
+      if (await callSessions.isBusy(socket.id)) {
+        socket.emit("callError", { event: "callUser", code: ERROR_CODES.ALREADY_IN_CALL, message: "You are already in a call" });
+        metrics.recordSignalingError("callUser", ERROR_CODES.ALREADY_IN_CALL);
+        return;
+      }
+
+      const target = await userDirectory.getBySocket(targetSocketId);
+      const targetHandle = target?.handle || userToCall;
+
+      /**
+       * Tell the caller the target is busy
+       * Busy attempts never become sessions, but they still belong in the call history
+       */
+      const rejectBusy = () => {
+        console.log(`[SIGNALING] ${targetHandle} is busy - rejecting call from ${fromHandle}`);
+        const now = new Date().toISOString();
+        callHistory.record({
+          id: crypto.randomUUID(),
+          caller: { handle: fromHandle, name },
+          callee: { handle: targetHandle, name: target?.name || null },
+          createdAt: now,
+          answeredAt: null,
+          endedAt: now,
+          endReason: 'busy'
+        });
+        metrics.recordCallEnded('busy');
+
+        socket.emit("callBusy", { to: targetHandle });
+      };
+
+      if (target?.status === PRESENCE_STATUS.DO_NOT_DISTURB) {
+        console.log(`[SIGNALING] ${targetHandle} is in do-not-disturb - rejecting call from ${fromHandle}`);
+        socket.emit("callError", { event: "callUser", code: ERROR_CODES.USER_UNAVAILABLE, message: `${targetHandle} does not want to be disturbed` });
+        metrics.recordSignalingError("callUser", ERROR_CODES.USER_UNAVAILABLE);
+        return;
+      }
+
+      // Don't overwrite a call the target is already part of
+      if (await callSessions.isBusy(targetSocketId)) {
+        rejectBusy();
+        return;
+      }
+
+      // The checks above can race with another call starting at the same time -
+      // create() claims both sockets atomically and fails if either got taken meanwhile
+      const session = await callSessions.create(
+        { socketId: from, handle: fromHandle, name },
+        { socketId: targetSocketId, handle: target?.handle || null, name: target?.name || null }
+      );
+      if (!session) {
+        if (await callSessions.isBusy(socket.id)) {
+          socket.emit("callError", { event: "callUser", code: ERROR_CODES.ALREADY_IN_CALL, message: "You are already in a call" });
+          metrics.recordSignalingError("callUser", ERROR_CODES.ALREADY_IN_CALL);
+        } else {
+          rejectBusy();
+        }
+        return;
+      }
+
+      // Give up if nobody answers in time
+      ringTimers.set(session.id, setTimeout(safeHandler("ringTimeout", async () => {
+        // The call may have been answered through another instance, which can't clear our timer
+        if ((await callSessions.get(session.id))?.state !== CALL_STATES.RINGING) {
+          return;
+        }
+        // Either side may have reconnected with a new socket since the call started
+        const ended = await finishCall(session.id, 'timeout');
+        if (ended) {
+          await sendToParty(ended.caller.socketId, "callTimedOut", { callId: session.id });
+          await sendToParty(ended.callee.socketId, "callTimedOut", { callId: session.id });
+        }
+      }), RING_TIMEOUT_MS));
+
+      socket.emit("callRinging", { callId: session.id, to: targetHandle });
+      await Promise.all([presence.publish(fromHandle), presence.publish(target?.handle)]);
+
       // Forward the call request (offer) to the target user
-      io.to(userToCall).emit("callUser", { 
+      await sendToParty(targetSocketId, "callUser", { 
+        callId: session.id,
         signal: signalData, 
         from, 
+        fromHandle,
         name 
       });
       
-      console.log(`[SIGNALING] Forwarded call offer from ${from} to ${userToCall}`);
-    });
+      console.log(`[SIGNALING] Forwarded call offer from ${from} to ${userToCall} (${targetSocketId})`);
+    };
+
+    // The 'callUser' request this socket is processing right now (see 'iceCandidate')
+    let callRequest = null;
+
+    socket.on("callUser", safeHandler("callUser", (data) => {
+      const request = placeCall(data);
+      callRequest = request.catch(() => {});
+      return request;
+    }));
 
     /**
      * Handle call answer (WebRTC Answer)
@@ -93,27 +507,147 @@ const videoCallSocketHandler = (io) => {
      * 1. User B creates a Peer instance with initiator: false
      * 2. Peer generates an SDP answer (signal data)
      * 3. This signal is sent here via 'answerCall' event
-     * 4. We forward it back to the original caller (User A)
+     * 4. We mark the session 'connected' and forward the answer to the original caller (User A)
      * 
      * @param {Object} data - Answer data
+     * @param {string} data.callId - ID of the call being answered
      * @param {Object} data.signal - WebRTC SDP answer signal
-     * @param {string} data.to - Socket ID of the original caller
      */
-    socket.on("answerCall", (data) => {
-      const { to, signal } = data;
-      console.log(`[SIGNALING] Call accepted. Forwarding answer from ${socket.id} to ${to}`);
+    socket.on("answerCall", safeHandler("answerCall", async ({ callId, signal } = {}) => {
+      console.log(`[SIGNALING] Call ${callId} accepted by ${socket.id}`);
       
-      // Validate that caller still exists
-      if (!io.sockets.sockets.has(to)) {
-        console.warn(`[SIGNALING] Warning: Attempted to answer call from non-existent user ${to}`);
-        socket.emit("callError", { message: "Caller disconnected" });
+      // Only the callee of a call that is still ringing can answer it
+      // (the caller may have cancelled, or the call may have timed out)
+      const current = await callSessions.getBySocket(socket.id);
+      const session = current && current.id === callId && current.callee.socketId === socket.id
+        ? await callSessions.markConnected(callId)
+        : null;
+      if (!session) {
+        console.warn(`[SIGNALING] Warning: ${socket.id} tried to answer call ${callId}, which is not ringing`);
+        socket.emit("callError", { event: "answerCall", code: ERROR_CODES.CALL_UNAVAILABLE, message: "This call is no longer available" });
+        metrics.recordSignalingError("answerCall", ERROR_CODES.CALL_UNAVAILABLE);
         return;
       }
 
+      clearTimeout(ringTimers.get(callId));
+      ringTimers.delete(callId);
+      metrics.recordCallAnswered(session);
+
       // Forward the answer back to the original caller
-      io.to(to).emit("callAccepted", signal);
-      console.log(`[SIGNALING] Forwarded call answer to ${to}`);
-    });
+      const callerSocketId = session.caller.socketId;
+      await sendToParty(callerSocketId, "callAccepted", signal);
+      console.log(`[SIGNALING] Forwarded call answer to ${callerSocketId}`);
+    }));
+
+    /**
+     * Decline an incoming call (callee only, while it is ringing)
+     * 
+     * @param {Object} data
+     * @param {string} data.callId - ID of the call being declined
+     */
+    socket.on("declineCall", safeHandler("declineCall", async ({ callId } = {}) => {
+      const session = await callSessions.get(callId);
+      if (!session || session.callee.socketId !== socket.id || session.state !== CALL_STATES.RINGING) {
+        return;
+      }
+
+      if (await finishCall(callId, 'declined')) {
+        await sendToParty(session.caller.socketId, "callDeclined", { callId, by: session.callee.handle });
+      }
+    }));
+
+    /**
+     * Cancel an outgoing call (caller only, while it is ringing)
+     * 
+     * @param {Object} data
+     * @param {string} data.callId - ID of the call being cancelled
+     */
+    socket.on("cancelCall", safeHandler("cancelCall", async ({ callId } = {}) => {
+      const session = await callSessions.get(callId);
+      if (!session || session.caller.socketId !== socket.id || session.state !== CALL_STATES.RINGING) {
+        return;
+      }
+
+      if (await finishCall(callId, 'cancelled')) {
+        await sendToParty(session.callee.socketId, "callCancelled", { callId, by: session.caller.handle });
+      }
+    }));
+
+    /**
+     * Hang up the current call (either party, ringing or connected)
+     * 
+     * @param {Object} data
+     * @param {string} [data.callId] - ID of the call to end (defaults to the socket's current call)
+     */
+    socket.on("endCall", safeHandler("endCall", async ({ callId } = {}) => {
+      const session = await callSessions.getBySocket(socket.id);
+      if (!session || (callId && session.id !== callId)) {
+        return;
+      }
+
+      await endCallFor(session, socket.id, 'hangup');
+    }));
+
+    /**
+     * Relay a renegotiation signal to the other party of a connected call
+     * 
+     * Used for ICE restarts: when the media connection drops, the caller sends a
+     * new offer (with fresh ICE credentials) and the callee answers it. The callee
+     * can ask the caller to do so with a 'renegotiate' signal.
+     * 
+     * @param {Object} data
+     * @param {string} data.callId - ID of the call
+     * @param {Object} data.signal - Offer, answer or renegotiate request
+     */
+    socket.on("callSignal", safeHandler("callSignal", async ({ callId, signal } = {}) => {
+      const session = await callSessions.getBySocket(socket.id);
+      if (!session || session.id !== callId || session.state !== CALL_STATES.CONNECTED) {
+        socket.emit("callError", { event: "callSignal", code: ERROR_CODES.CALL_UNAVAILABLE, message: "This call is no longer available" });
+        return;
+      }
+
+      await sendToParty(callSessions.getOtherParty(session, socket.id), "callSignal", { callId, signal });
+    }));
+
+    /**
+     * Relay a single ICE candidate to the other call party (Trickle ICE)
+     * 
+     * Candidates can arrive before the other side has created its peer (e.g. while
+     * the call is still ringing) - the client buffers them until it is ready.
+     * 
+     * The caller's first candidates are sent right after its offer, and Socket.IO
+     * runs async handlers side by side: they can arrive while 'callUser' is still
+     * checking the target, before the session exists. Those wait for 'callUser'
+     * to finish instead of being dropped.
+     * They are only relayed to the other party of the sender's current call, at
+     * whichever socket that party is connected with right now.
+     * 
+     * @param {Object} data - Candidate data
+     * @param {string} data.to - Handle (or socket ID) of the other call party
+     * @param {Object} data.candidate - RTCIceCandidate init ({ candidate, sdpMid, sdpMLineIndex })
+     */
+    socket.on("iceCandidate", safeHandler("iceCandidate", async ({ to, candidate } = {}) => {
+      if (!candidate || typeof candidate !== 'object') {
+        return;
+      }
+
+      let session = await callSessions.getBySocket(socket.id);
+      if (!session && callRequest) {
+        await callRequest;
+        session = await callSessions.getBySocket(socket.id);
+      }
+      if (!session) {
+        return;
+      }
+      const targetSocketId = callSessions.getOtherParty(session, socket.id);
+      const target = session.caller.socketId === targetSocketId ? session.caller : session.callee;
+      if (to !== targetSocketId && to.toLowerCase() !== target.handle?.toLowerCase()) {
+        // Not part of a call with that user
+        return;
+      }
+
+      await sendToParty(targetSocketId, "iceCandidate", { from: socket.id, fromHandle: username, candidate });
+    }));
 
     /**
      * Handle connection errors
@@ -127,6 +661,8 @@ const videoCallSocketHandler = (io) => {
   setInterval(() => {
     console.log(`[SIGNALING] Server status - Connected users: ${io.engine.clientsCount}`);
   }, 30000); // Every 30 seconds
+
+  return { terminateCall };
 };
 
 module.exports = videoCallSocketHandler;
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createBanList = require('../services/banList');
+
+const options = { maxStrikes: 3, strikeWindowMs: 60000, banDurationMs: 300000 };
+
+test('bans a key on its last allowed strike within the window', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const banList = createBanList(options);
+
+  assert.equal(banList.addStrike('192.0.2.1'), false);
+  now += 1000;
+  assert.equal(banList.addStrike('192.0.2.1'), false);
+  assert.equal(banList.isBanned('192.0.2.1'), false);
+  now += 1000;
+  assert.equal(banList.addStrike('192.0.2.1'), true);
+  assert.equal(banList.isBanned('192.0.2.1'), true);
+  assert.equal(banList.isBanned('192.0.2.2'), false, 'other keys are not affected');
+});
+
+test('strikes older than the window do not count', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const banList = createBanList(options);
+
+  banList.addStrike('192.0.2.1');
+  banList.addStrike('192.0.2.1');
+  now += options.strikeWindowMs;
+  assert.equal(banList.addStrike('192.0.2.1'), false);
+  assert.equal(banList.isBanned('192.0.2.1'), false);
+});
+
+test('a ban expires after banDurationMs', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const banList = createBanList(options);
+
+  [1, 2, 3].forEach(() => banList.addStrike('192.0.2.1'));
+  assert.deepEqual(banList.list(), [{ key: '192.0.2.1', until: new Date(1000 + options.banDurationMs).toISOString() }]);
+
+  now += options.banDurationMs - 1;
+  assert.equal(banList.isBanned('192.0.2.1'), true);
+  now += 1;
+  assert.equal(banList.isBanned('192.0.2.1'), false);
+  assert.deepEqual(banList.list(), []);
+});
+
+test('strikes start over after a ban', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const banList = createBanList(options);
+
+  [1, 2, 3].forEach(() => banList.addStrike('192.0.2.1'));
+  now += options.banDurationMs;
+  assert.equal(banList.addStrike('192.0.2.1'), false, 'the strikes that led to the ban are gone');
+});
+
+test('unban lifts a ban and clears the strikes', (t) => {
+  t.mock.method(Date, 'now', () => 1000);
+  const banList = createBanList(options);
+
+  [1, 2, 3].forEach(() => banList.addStrike('192.0.2.1'));
+  banList.unban('192.0.2.1');
+  assert.equal(banList.isBanned('192.0.2.1'), false);
+  assert.equal(banList.addStrike('192.0.2.1'), false);
+  assert.equal(banList.addStrike('192.0.2.1'), false);
+});
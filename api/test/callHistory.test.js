@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createCallHistoryStore = require('../services/callHistory');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'call-history-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const entry = (id, callerHandle, calleeHandle, day, endReason, answered = true) => ({
+  id,
+  callerHandle,
+  calleeHandle,
+  callerName: callerHandle,
+  calleeName: calleeHandle,
+  startedAt: `2026-01-0${day}T10:00:00.000Z`,
+  answeredAt: answered ? `2026-01-0${day}T10:00:10.000Z` : null,
+  endedAt: `2026-01-0${day}T10:05:00.000Z`,
+  durationSeconds: answered ? 290 : 0,
+  endReason
+});
+
+// Lines are out of order, as when several instances append to the same file
+const RECORDS = [
+  entry('c3', 'alice', 'carol', 3, 'busy', false),
+  entry('c1', 'alice', 'bob', 1, 'hangup'),
+  entry('c5', 'alice', 'bob', 5, 'timeout', false),
+  entry('c2', 'bob', 'alice', 2, 'declined', false),
+  entry('c4', 'carol', 'Alice', 4, 'admin')
+];
+
+let fileCount = 0;
+const createStore = (records = RECORDS, options = {}) => {
+  const filePath = path.join(directory, `calls-${fileCount++}.jsonl`);
+  fs.writeFileSync(filePath, records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+  return createCallHistoryStore({ filePath, ...options });
+};
+
+const ids = (result) => result.calls.map((call) => call.id);
+
+test('lists a participant\'s calls, most recently ended first', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const store = createStore();
+
+  assert.deepEqual(ids(await store.query({ participant: 'alice' })), ['c5', 'c4', 'c3', 'c2', 'c1']);
+  assert.deepEqual(ids(await store.query({ participant: 'BOB' })), ['c5', 'c2', 'c1'], 'handles match case-insensitively');
+  assert.deepEqual(ids(await store.query({ participant: 'dave' })), []);
+});
+
+test('filters by direction, peer and end reason', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const store = createStore();
+
+  assert.deepEqual(ids(await store.query({ participant: 'alice', direction: 'outgoing' })), ['c5', 'c3', 'c1']);
+  assert.deepEqual(ids(await store.query({ participant: 'alice', direction: 'incoming' })), ['c4', 'c2']);
+  assert.deepEqual(ids(await store.query({ participant: 'alice', peer: 'bob' })), ['c5', 'c2', 'c1']);
+  assert.deepEqual(ids(await store.query({ participant: 'alice', peer: 'bob', direction: 'incoming' })), ['c2']);
+  assert.deepEqual(ids(await store.query({ participant: 'alice', endReason: 'admin' })), ['c4']);
+});
+
+test('since is inclusive and until exclusive, both on the start time', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const store = createStore();
+
+  assert.deepEqual(ids(await store.query({ since: '2026-01-02T10:00:00.000Z' })), ['c5', 'c4', 'c3', 'c2']);
+  assert.deepEqual(ids(await store.query({ until: '2026-01-02T10:00:00.000Z' })), ['c1']);
+  assert.deepEqual(ids(await store.query({ since: '2026-01-02T00:00:00.000Z', until: '2026-01-04T00:00:00.000Z' })), ['c3', 'c2']);
+  assert.deepEqual(ids(await store.query({ since: 'not a date' })), [], 'an unparseable date matches nothing');
+});
+
+test('pages through the matches', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const store = createStore();
+
+  const { calls, ...page } = await store.query({ limit: 2 });
+  assert.deepEqual(page, { total: 5, limit: 2, offset: 0 });
+  assert.deepEqual(calls.map((call) => call.id), ['c5', 'c4']);
+  assert.deepEqual(ids(await store.query({ limit: 2, offset: 2 })), ['c3', 'c2']);
+  assert.deepEqual(ids(await store.query({ limit: 2, offset: 4 })), ['c1'], 'the last page may be short');
+  assert.deepEqual(await store.query({ limit: 2, offset: 5 }), { total: 5, limit: 2, offset: 5, calls: [] });
+});
+
+test('clamps the page size and offset', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const many = Array.from({ length: 120 }, (_, i) => ({ ...entry(`m${i}`, 'alice', 'bob', 1, 'hangup'), endedAt: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString() }));
+  const store = createStore(many);
+
+  assert.equal((await store.query()).limit, 20);
+  for (const limit of [0, -5, '-5', 'abc', '', 2.5, NaN, Infinity, null]) {
+    assert.equal((await store.query({ limit })).limit, 20, `limit ${String(limit)} gets the default`);
+  }
+  assert.equal((await store.query({ limit: 1 })).calls.length, 1);
+  assert.equal((await store.query({ limit: 1000 })).calls.length, 100);
+  assert.equal((await store.query({ limit: '10' })).calls.length, 10);
+  assert.equal((await store.query({ offset: -3 })).offset, 0);
+  assert.equal((await store.query({ offset: 'abc' })).offset, 0);
+});
+
+test('picks up records other instances append, and records its own', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const store = createStore();
+  const filePath = path.join(directory, `calls-${fileCount - 1}.jsonl`);
+
+  const older = { ...entry('c0', 'bob', 'carol', 1, 'hangup'), startedAt: '2025-12-31T10:00:00.000Z', endedAt: '2025-12-31T10:05:00.000Z' };
+  fs.appendFileSync(filePath, `${JSON.stringify(older)}\n`);
+  assert.deepEqual(ids(await store.query({ participant: 'bob' })), ['c5', 'c2', 'c1', 'c0'], 'sorted in by end time');
+
+  const stored = store.record({
+    id: 'c6',
+    caller: { handle: 'alice', name: 'Alice' },
+    callee: { handle: 'bob', name: 'Bob' },
+    createdAt: '2026-01-06T10:00:00.000Z',
+    answeredAt: '2026-01-06T10:00:05.000Z',
+    endedAt: '2026-01-06T10:01:05.000Z',
+    endReason: 'hangup'
+  });
+  assert.equal(stored.durationSeconds, 60);
+  assert.deepEqual(ids(await store.query({ participant: 'bob', limit: 1 })), ['c6']);
+  assert.equal((await store.get('c6')).id, 'c6');
+  assert.equal(await store.get('missing'), null);
+});
+
+test('keeps only the most recent records in memory', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const store = createStore(RECORDS, { maxRecords: 3 });
+  const filePath = path.join(directory, `calls-${fileCount - 1}.jsonl`);
+
+  assert.deepEqual(ids(await store.query()), ['c5', 'c4', 'c3']);
+
+  fs.appendFileSync(filePath, `${JSON.stringify(entry('c6', 'bob', 'carol', 6, 'hangup'))}\n`);
+  assert.deepEqual(ids(await store.query()), ['c6', 'c5', 'c4']);
+  assert.equal(await store.get('c3'), null);
+});
+
+test('concurrent queries share one read of the file', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const store = createStore();
+  await store.query();
+  const filePath = path.join(directory, `calls-${fileCount - 1}.jsonl`);
+  fs.appendFileSync(filePath, `${JSON.stringify(entry('c6', 'bob', 'carol', 6, 'hangup'))}\n`);
+
+  const open = t.mock.method(fs.promises, 'open');
+  const results = await Promise.all([store.query(), store.query(), store.get('c6')]);
+
+  assert.equal(open.mock.callCount(), 1);
+  assert.deepEqual(results.slice(0, 2).map((result) => result.total), [6, 6]);
+  assert.equal(results[2].id, 'c6');
+});
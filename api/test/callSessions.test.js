@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createCallSessionStore = require('../services/callSessions');
+const { createMemoryBackend } = require('../services/stateBackends');
+
+const caller = { socketId: 'caller-socket', handle: 'alice', name: 'Alice' };
+const callee = { socketId: 'callee-socket', handle: 'bob', name: 'Bob' };
+
+/**
+ * A memory backend that runs `beforeWrite` (once) just before the next session write,
+ * as if another event had been handled between an update's read and its write
+ */
+const createRacingBackend = () => {
+  const backend = createMemoryBackend();
+  let beforeWrite = null;
+  const hset = backend.hset;
+  backend.hset = async (hash, field, value) => {
+    if (hash === 'calls:sessions' && beforeWrite) {
+      const run = beforeWrite;
+      beforeWrite = null;
+      await run();
+    }
+    return hset(hash, field, value);
+  };
+  return { backend, raceNextWrite: (fn) => { beforeWrite = fn; } };
+};
+
+test('an answer that races a hang-up does not bring the call back', async () => {
+  const { backend, raceNextWrite } = createRacingBackend();
+  const store = createCallSessionStore({ backend });
+  const session = await store.create(caller, callee);
+
+  raceNextWrite(() => store.end(session.id, 'cancelled'));
+
+  assert.equal(await store.markConnected(session.id), null);
+  assert.deepEqual(await store.list(), []);
+  assert.equal(await store.isBusy(caller.socketId), false);
+  assert.equal(await store.isBusy(callee.socketId), false);
+});
+
+test('a reconnect that races a hang-up does not leave the new socket busy', async () => {
+  const { backend, raceNextWrite } = createRacingBackend();
+  const store = createCallSessionStore({ backend });
+  const session = await store.create(caller, callee);
+  await store.markConnected(session.id);
+
+  raceNextWrite(() => store.end(session.id, 'hangup'));
+
+  assert.equal(await store.rebindSocket(caller.socketId, 'caller-socket-2'), null);
+  assert.deepEqual(await store.list(), []);
+  assert.equal(await store.isBusy('caller-socket-2'), false);
+  assert.equal(await store.isBusy(callee.socketId), false);
+});
+
+test('a call ends only once', async () => {
+  const store = createCallSessionStore();
+  const session = await store.create(caller, callee);
+
+  const [first, second] = await Promise.all([store.end(session.id, 'hangup'), store.end(session.id, 'disconnected')]);
+
+  assert.equal(first.endReason, 'hangup');
+  assert.equal(second, null);
+});
+
+test('markers of long-ended calls are pruned', async (t) => {
+  const backend = createMemoryBackend();
+  const store = createCallSessionStore({ backend });
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const old = await store.create(caller, callee);
+  await store.end(old.id, 'hangup');
+
+  Date.now.mock.mockImplementation(() => now + 2 * 60 * 1000);
+  const recent = await store.create(caller, callee);
+  await store.end(recent.id, 'hangup');
+
+  assert.deepEqual(Object.keys(await backend.hgetall('calls:ended')), [recent.id]);
+});
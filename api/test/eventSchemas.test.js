@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateEvent, MAX_SDP_LENGTH } = require('../sockets/eventSchemas');
+const ERROR_CODES = require('../sockets/errorCodes');
+
+const offer = { type: 'offer', sdp: 'v=0' };
+const candidate = { candidate: 'candidate:1 1 udp 2122260223 192.0.2.1 54400 typ host', sdpMid: '0', sdpMLineIndex: 0 };
+
+test('accepts well-formed payloads', () => {
+  assert.equal(validateEvent('callUser', { userToCall: 'bob', signalData: offer }), null);
+  assert.equal(validateEvent('answerCall', { callId: 'call-1', signal: { type: 'answer', sdp: 'v=0' } }), null);
+  assert.equal(validateEvent('iceCandidate', { to: 'bob', candidate }), null);
+  assert.equal(validateEvent('callSignal', { callId: 'call-1', signal: { type: 'renegotiate', renegotiate: true } }), null);
+  assert.equal(validateEvent('roomSignal', { to: 'socket-1', signal: { type: 'candidate', candidate } }), null);
+  assert.equal(validateEvent('setPresence', { status: 'busy' }), null);
+  assert.equal(validateEvent('searchUsers', { query: '' }), null);
+});
+
+test('events that need no payload accept none', () => {
+  assert.equal(validateEvent('leaveRoom'), null);
+  assert.equal(validateEvent('endCall'), null);
+});
+
+test('rejects events without a schema', () => {
+  assert.equal(validateEvent('shutdownServer', {}).code, ERROR_CODES.UNKNOWN_EVENT);
+  for (const event of ['__proto__', 'constructor', 'toString']) {
+    assert.equal(validateEvent(event, {}).code, ERROR_CODES.UNKNOWN_EVENT, event);
+  }
+});
+
+test('rejects payloads that are not objects', () => {
+  for (const payload of [null, 'bob', 42, ['bob']]) {
+    assert.equal(validateEvent('callUser', payload).code, ERROR_CODES.INVALID_PAYLOAD, `payload ${JSON.stringify(payload)}`);
+  }
+});
+
+test('rejects missing, empty and mistyped fields', () => {
+  const cases = [
+    ['callUser', { signalData: offer }, "'userToCall' is required"],
+    ['callUser', { userToCall: '', signalData: offer }, "'userToCall' must not be empty"],
+    ['callUser', { userToCall: 42, signalData: offer }, "'userToCall' must be a string"],
+    ['declineCall', {}, "'callId' is required"],
+    ['iceCandidate', { to: 'bob', candidate: 'candidate:1' }, "'candidate' must be an object"],
+    ['iceCandidate', { to: 'bob', candidate: { ...candidate, sdpMLineIndex: '0' } }, "'candidate.sdpMLineIndex' must be an integer"]
+  ];
+  for (const [event, payload, message] of cases) {
+    const error = validateEvent(event, payload);
+    assert.equal(error?.code, ERROR_CODES.INVALID_PAYLOAD, event);
+    assert.equal(error.message, message);
+  }
+});
+
+test('rejects signal types an event does not carry', () => {
+  assert.equal(validateEvent('callUser', { userToCall: 'bob', signalData: { type: 'answer', sdp: 'v=0' } }).code, ERROR_CODES.INVALID_PAYLOAD);
+  assert.equal(validateEvent('answerCall', { callId: 'call-1', signal: offer }).code, ERROR_CODES.INVALID_PAYLOAD);
+  assert.equal(validateEvent('callSignal', { callId: 'call-1', signal: { type: 'candidate', candidate } }).code, ERROR_CODES.INVALID_PAYLOAD);
+  assert.equal(validateEvent('callUser', { userToCall: 'bob', signalData: { type: 'offer' } }).message, "'signalData.sdp' is required");
+});
+
+test('rejects oversized fields as PAYLOAD_TOO_LARGE', () => {
+  const hugeOffer = { type: 'offer', sdp: 'x'.repeat(MAX_SDP_LENGTH + 1) };
+  assert.equal(validateEvent('callUser', { userToCall: 'bob', signalData: hugeOffer }).code, ERROR_CODES.PAYLOAD_TOO_LARGE);
+  assert.equal(validateEvent('joinRoom', { room: 'r'.repeat(65) }).code, ERROR_CODES.PAYLOAD_TOO_LARGE);
+  assert.equal(validateEvent('iceCandidate', { to: 'bob', candidate: { candidate: 'c'.repeat(1025) } }).code, ERROR_CODES.PAYLOAD_TOO_LARGE);
+});
+
+test('only lets users pick a selectable presence status', () => {
+  assert.equal(validateEvent('setPresence', { status: 'offline' }).code, ERROR_CODES.INVALID_PAYLOAD);
+});
@@ -0,0 +1,24 @@
+/**
+ * Cluster worker for test/stateBackends.test.js
+ *
+ * Runs the operations the test (the cluster primary) sends it on a cluster
+ * backend, so every operation takes the real IPC round trip to the primary.
+ */
+
+const { createClusterWorkerBackend } = require('../../services/stateBackends');
+
+const backend = createClusterWorkerBackend();
+
+process.on('message', async (message) => {
+  if (message?.type !== 'test:call') {
+    return;
+  }
+  try {
+    const result = await backend[message.operation](...message.args);
+    process.send({ type: 'test:result', id: message.id, result });
+  } catch (error) {
+    process.send({ type: 'test:result', id: message.id, error: error.message });
+  }
+});
+
+process.send({ type: 'test:ready' });
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createRateLimiter = require('../services/rateLimiter');
+
+test('allows up to the limit within the window, then rejects', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = createRateLimiter({ limit: 3, windowMs: 10000 });
+
+  assert.deepEqual([1, 2, 3, 4].map(() => limiter.consume('socket-a')), [true, true, true, false]);
+
+  now += 9999;
+  assert.equal(limiter.consume('socket-a'), false, 'still inside the window');
+});
+
+test('an action is forgotten once it is older than the window', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = createRateLimiter({ limit: 2, windowMs: 10000 });
+
+  limiter.consume('socket-a');
+  now += 5000;
+  limiter.consume('socket-a');
+  assert.equal(limiter.consume('socket-a'), false);
+
+  // The first action slides out of the window, the second is still in it
+  now += 5000;
+  assert.equal(limiter.consume('socket-a'), true);
+  assert.equal(limiter.consume('socket-a'), false);
+});
+
+test('rejected actions do not extend the window', (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = createRateLimiter({ limit: 1, windowMs: 10000 });
+
+  limiter.consume('socket-a');
+  for (let i = 0; i < 5; i++) {
+    now += 1000;
+    assert.equal(limiter.consume('socket-a'), false);
+  }
+  now = 1000 + 10000;
+  assert.equal(limiter.consume('socket-a'), true);
+});
+
+test('keys are limited independently', (t) => {
+  t.mock.method(Date, 'now', () => 1000);
+  const limiter = createRateLimiter({ limit: 1, windowMs: 10000 });
+
+  assert.equal(limiter.consume('socket-a'), true);
+  assert.equal(limiter.consume('socket-a'), false);
+  assert.equal(limiter.consume('socket-b'), true);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRange } = require('../routes/recordingRoutes');
+
+// [Range header, file size, expected] - null: no range (whole file), false: 416
+const CASES = [
+  [undefined, 20, null],
+  ['', 20, null],
+  ['bytes=0-9', 20, { start: 0, end: 9 }],
+  ['bytes=19-19', 20, { start: 19, end: 19 }],
+  [' bytes=0-1 ', 20, { start: 0, end: 1 }],
+
+  // Open-ended: to the end of the file
+  ['bytes=5-', 20, { start: 5, end: 19 }],
+  ['bytes=0-', 20, { start: 0, end: 19 }],
+
+  // Suffix: the last N bytes (all of them if N is larger than the file)
+  ['bytes=-3', 20, { start: 17, end: 19 }],
+  ['bytes=-20', 20, { start: 0, end: 19 }],
+  ['bytes=-30', 20, { start: 0, end: 19 }],
+
+  // An end past the file is cut off at the last byte
+  ['bytes=10-100', 20, { start: 10, end: 19 }],
+
+  // Unsatisfiable
+  ['bytes=20-', 20, false],
+  ['bytes=20-25', 20, false],
+  ['bytes=9-5', 20, false],
+  ['bytes=-0', 20, false],
+  ['bytes=0-', 0, false],
+  ['bytes=-5', 0, false],
+
+  // Malformed or unsupported
+  ['bytes=-', 20, false],
+  ['bytes=abc', 20, false],
+  ['bytes=0-1,5-6', 20, false],
+  ['items=0-5', 20, false],
+  ['bytes=1.5-3', 20, false]
+];
+
+for (const [header, size, expected] of CASES) {
+  test(`Range ${JSON.stringify(header)} of ${size} bytes → ${JSON.stringify(expected)}`, () => {
+    assert.deepEqual(parseRange(header, size), expected);
+  });
+}
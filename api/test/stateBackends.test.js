@@ -0,0 +1,198 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const cluster = require('cluster');
+const path = require('path');
+const { createMemoryBackend, createRedisBackend, serveClusterState } = require('../services/stateBackends');
+
+// An operation the backend drops would otherwise wait forever
+const CONTRACT_TIMEOUT_MS = 10000;
+
+/**
+ * The contract every backend has to keep - callSessions, signalingSessions,
+ * roomRosters and the user directory rely on it
+ *
+ * @param {string} name - Backend name
+ * @param {Object} setup - { create: async () => backend, destroy: async () => {}, skip: false | 'reason' }
+ */
+const backendContract = (name, { create, destroy, skip = false }) => describe(`${name} backend`, { timeout: CONTRACT_TIMEOUT_MS, skip }, () => {
+  let backend;
+  let hashCount = 0;
+  // A fresh hash per test - the cluster and redis backends keep state between tests
+  const newHash = () => `contract:${process.pid}:${hashCount++}`;
+
+  before(async () => {
+    backend = await create();
+  });
+  after(() => destroy?.());
+
+  test('missing fields and hashes read as null and {}', async () => {
+    const hash = newHash();
+    assert.equal(await backend.hget(hash, 'missing'), null);
+    assert.deepEqual(await backend.hgetall(hash), {});
+  });
+
+  test('hset stores and overwrites a field', async () => {
+    const hash = newHash();
+    await backend.hset(hash, 'socket-1', 'call-1');
+    assert.equal(await backend.hget(hash, 'socket-1'), 'call-1');
+    await backend.hset(hash, 'socket-1', 'call-2');
+    assert.equal(await backend.hget(hash, 'socket-1'), 'call-2');
+  });
+
+  test('hgetall returns every field of one hash only', async () => {
+    const hash = newHash();
+    const other = newHash();
+    await backend.hset(hash, 'a', JSON.stringify({ n: 1 }));
+    await backend.hset(hash, 'b', '2');
+    await backend.hset(other, 'c', '3');
+    assert.deepEqual({ ...(await backend.hgetall(hash)) }, { a: '{"n":1}', b: '2' });
+  });
+
+  test('hsetnx only stores a field that is not set yet', async () => {
+    const hash = newHash();
+    assert.equal(await backend.hsetnx(hash, 'socket-1', 'call-1'), true);
+    assert.equal(await backend.hsetnx(hash, 'socket-1', 'call-2'), false);
+    assert.equal(await backend.hget(hash, 'socket-1'), 'call-1');
+  });
+
+  test('concurrent hsetnx calls have exactly one winner', async () => {
+    const hash = newHash();
+    const results = await Promise.all(['call-1', 'call-2', 'call-3', 'call-4'].map((callId) => backend.hsetnx(hash, 'socket-1', callId)));
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(await backend.hget(hash, 'socket-1'), `call-${results.indexOf(true) + 1}`);
+  });
+
+  test('hdel removes a field and says whether it existed', async () => {
+    const hash = newHash();
+    await backend.hset(hash, 'a', '1');
+    await backend.hset(hash, 'b', '2');
+    assert.equal(await backend.hdel(hash, 'a'), true);
+    assert.equal(await backend.hdel(hash, 'a'), false);
+    assert.equal(await backend.hget(hash, 'a'), null);
+    assert.deepEqual({ ...(await backend.hgetall(hash)) }, { b: '2' });
+  });
+
+  test('concurrent hdel calls have exactly one winner', async () => {
+    const hash = newHash();
+    await backend.hset(hash, 'socket-1', 'call-1');
+    const results = await Promise.all([1, 2, 3].map(() => backend.hdel(hash, 'socket-1')));
+    assert.deepEqual(results.filter(Boolean), [true]);
+  });
+
+  test('a field can be claimed again once deleted', async () => {
+    const hash = newHash();
+    await backend.hsetnx(hash, 'slot-0', 'socket-1');
+    await backend.hdel(hash, 'slot-0');
+    assert.deepEqual(await backend.hgetall(hash), {});
+    assert.equal(await backend.hsetnx(hash, 'slot-0', 'socket-2'), true);
+  });
+});
+
+backendContract('memory', { create: async () => createMemoryBackend() });
+
+// This test process is the cluster primary - it serves the state once for every forked worker
+const TRACKED_HASH = 'tracked';
+let clusterState;
+const serveClusterStateOnce = () => {
+  clusterState = clusterState || serveClusterState({ trackedHashes: [TRACKED_HASH] });
+  return clusterState;
+};
+
+/**
+ * Fork a worker that runs every operation on a cluster backend,
+ * so each one goes over IPC to this process's state
+ *
+ * @returns {Promise<{ worker: Object, backend: Object }>}
+ */
+const forkWorker = async () => {
+  serveClusterStateOnce();
+  cluster.setupPrimary({ exec: path.join(__dirname, 'fixtures', 'clusterStateWorker.js'), silent: true });
+  const worker = cluster.fork();
+  await new Promise((resolve, reject) => {
+    worker.once('error', reject);
+    worker.on('message', (message) => message?.type === 'test:ready' && resolve());
+  });
+
+  const pending = new Map();
+  let nextId = 0;
+  worker.on('message', (message) => {
+    if (message?.type !== 'test:result' || !pending.has(message.id)) {
+      return;
+    }
+    const { resolve, reject } = pending.get(message.id);
+    pending.delete(message.id);
+    if (message.error) {
+      reject(new Error(message.error));
+    } else {
+      resolve(message.result);
+    }
+  });
+  const call = (operation) => (...args) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    worker.send({ type: 'test:call', id, operation, args });
+  });
+
+  return {
+    worker,
+    backend: {
+      hget: call('hget'),
+      hset: call('hset'),
+      hsetnx: call('hsetnx'),
+      hdel: call('hdel'),
+      hgetall: call('hgetall')
+    }
+  };
+};
+
+const stopWorker = (worker) => new Promise((resolve) => {
+  worker.once('exit', resolve);
+  worker.kill();
+});
+
+backendContract('cluster', {
+  create: async () => (await forkWorker()).backend,
+  destroy: () => Promise.all(Object.values(cluster.workers).map(stopWorker))
+});
+
+test('the cluster primary knows which worker wrote a tracked field', { timeout: CONTRACT_TIMEOUT_MS }, async () => {
+  const first = await forkWorker();
+  const second = await forkWorker();
+
+  await first.backend.hset(TRACKED_HASH, 'a', '1');
+  await first.backend.hset(TRACKED_HASH, 'b', '1');
+  assert.equal(await first.backend.hsetnx(TRACKED_HASH, 'c', '1'), true);
+  assert.equal(await first.backend.hsetnx(TRACKED_HASH, 'd', '1'), true);
+  await first.backend.hset('untracked', 'e', '1');
+  // Deleted fields are no one's, whoever deletes them
+  await second.backend.hdel(TRACKED_HASH, 'b');
+  assert.equal(await second.backend.hsetnx(TRACKED_HASH, 'd', '2'), false);
+  await second.backend.hset(TRACKED_HASH, 'f', '1');
+
+  await Promise.all([stopWorker(first.worker), stopWorker(second.worker)]);
+
+  const { takeWorkerFields } = serveClusterStateOnce();
+  assert.deepEqual(takeWorkerFields(first.worker, TRACKED_HASH).sort(), ['a', 'c', 'd']);
+  assert.deepEqual(takeWorkerFields(first.worker, TRACKED_HASH), [], 'fields are only handed out once');
+  assert.deepEqual(takeWorkerFields(second.worker, TRACKED_HASH), ['f']);
+});
+
+// Needs a Redis server: REDIS_URL=redis://localhost:6379 npm test
+let client;
+const prefix = `webrtc-test:${process.pid}:`;
+backendContract('redis', {
+  skip: !process.env.REDIS_URL && 'REDIS_URL not set',
+  create: async () => {
+    const { createClient } = require('redis');
+    client = createClient({ url: process.env.REDIS_URL });
+    await client.connect();
+    return createRedisBackend(client, { prefix });
+  },
+  destroy: async () => {
+    const keys = await client.keys(`${prefix}*`);
+    if (keys.length > 0) {
+      await client.del(keys);
+    }
+    await client.quit();
+  }
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createUserStore = require('../services/userStore');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'user-store-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+let fileCount = 0;
+const nextFilePath = () => path.join(directory, `users-${fileCount++}.json`);
+
+const quiet = (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+};
+
+test('registrations through two instances all reach the file', async (t) => {
+  quiet(t);
+  const filePath = nextFilePath();
+  const first = createUserStore({ filePath });
+  const second = createUserStore({ filePath });
+
+  const results = await Promise.all(['ann', 'ben', 'cat', 'dan'].map((username, index) => (
+    (index % 2 ? second : first).createUser({ username, password: 'password123' })
+  )));
+
+  assert.deepEqual(results.map((result) => result.error), [undefined, undefined, undefined, undefined]);
+  const { users } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.deepEqual(users.map((user) => user.username).sort(), ['ann', 'ben', 'cat', 'dan']);
+  assert.equal(fs.existsSync(`${filePath}.lock`), false);
+});
+
+test('a stale lock left by a crashed process is taken over', async (t) => {
+  quiet(t);
+  const filePath = nextFilePath();
+  const lockPath = `${filePath}.lock`;
+  fs.writeFileSync(lockPath, 'crashed-owner');
+  const longAgo = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lockPath, longAgo, longAgo);
+
+  const { error } = await createUserStore({ filePath }).createUser({ username: 'ann', password: 'password123' });
+
+  assert.equal(error, undefined);
+  assert.equal(fs.existsSync(lockPath), false);
+});
+
+test('a lock taken over by another process is left to its new owner', async (t) => {
+  quiet(t);
+  const filePath = nextFilePath();
+  const lockPath = `${filePath}.lock`;
+  const store = createUserStore({ filePath });
+
+  // While this store writes the file, another process takes the lock over
+  const writeFile = fs.promises.writeFile;
+  t.mock.method(fs.promises, 'writeFile', async (...args) => {
+    fs.writeFileSync(lockPath, 'new-owner');
+    return writeFile(...args);
+  });
+  await store.createUser({ username: 'ann', password: 'password123' });
+
+  assert.equal(fs.readFileSync(lockPath, 'utf8'), 'new-owner');
+});
@@ -1,14 +1,45 @@
 import logo from './logo.svg';
 import './App.css';
 import VideoChat from './Pages/videocall/VideoChat';
-import { ContextProvider } from './context/Context';
+import Login from './Pages/auth/Login';
+import AdminConsole from './Pages/admin/AdminConsole';
+import { useContext } from 'react';
+import { BrowserRouter, Navigate, Route, Routes, useParams } from 'react-router-dom';
+import { ContextProvider, SocketContext } from './context/Context';
+import { INVITE_TYPES } from './services/inviteLinks';
+
+// Only logged-in users get to the video chat
+// Invite links (/call/:target, /room/:target) survive the login - see services/inviteLinks
+function AuthGate({ inviteType }) {
+  const { user } = useContext(SocketContext);
+  const { target } = useParams();
+  const invite = inviteType && target ? { type: inviteType, target } : null;
+  return user ? <VideoChat invite={invite} /> : <Login invite={invite} />;
+}
+
+// The admin console is for operators only - everyone else goes back to the app
+function AdminGate() {
+  const { user } = useContext(SocketContext);
+  if (!user) {
+    return <Login />;
+  }
+  return user.isAdmin ? <AdminConsole /> : <Navigate to="/" replace />;
+}
 
 function App() {
   return (
     <div className="App">
-      <ContextProvider>
-        <VideoChat />
-      </ContextProvider>
+      <BrowserRouter>
+        <ContextProvider>
+          <Routes>
+            <Route path="/" element={<AuthGate />} />
+            <Route path="/call/:target" element={<AuthGate inviteType={INVITE_TYPES.CALL} />} />
+            <Route path="/room/:target" element={<AuthGate inviteType={INVITE_TYPES.ROOM} />} />
+            <Route path="/admin" element={<AdminGate />} />
+            <Route path="*" element={<Navigate to="/" replace />} />
+          </Routes>
+        </ContextProvider>
+      </BrowserRouter>
     </div>
   );
 }
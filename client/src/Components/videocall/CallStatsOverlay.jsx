@@ -0,0 +1,135 @@
+/**
+ * CallStatsOverlay Component
+ *
+ * Signal bars on the remote video, which open a live call quality panel.
+ *
+ * EDUCATIONAL NOTES:
+ * - Every second we ask the browser for the connection's statistics
+ *   (RTCPeerConnection.getStats) - see services/callStats for what they mean
+ * - Bitrate is how much media flows each way; packet loss, jitter and
+ *   round-trip time are what make a call choppy or delayed
+ * - "Path" tells whether media goes directly (host), through a NAT (srflx)
+ *   or through the TURN relay (relay)
+ */
+
+import React, { useContext, useEffect, useState } from 'react';
+import { Box, IconButton, Tooltip, Typography } from '@mui/material';
+import {
+  SignalCellular0Bar,
+  SignalCellular1Bar,
+  SignalCellular2Bar,
+  SignalCellular3Bar,
+  SignalCellular4Bar,
+  SignalCellularConnectedNoInternet0Bar
+} from '@mui/icons-material';
+import { SocketContext } from '../../context/Context';
+import { summarizeStats, rateQuality, connectionPathType, formatBitrate } from '../../services/callStats';
+
+// How often to read the stats
+const STATS_POLL_INTERVAL_MS = 1000;
+
+// Samples kept for the bitrate chart (one per poll)
+const HISTORY_LENGTH = 30;
+
+const SIGNAL_ICONS = [SignalCellular0Bar, SignalCellular1Bar, SignalCellular2Bar, SignalCellular3Bar, SignalCellular4Bar];
+const SIGNAL_COLORS = ['#f44336', '#f44336', '#ff9800', '#8bc34a', '#4caf50'];
+const SIGNAL_LABELS = ['Very poor', 'Poor', 'Fair', 'Good', 'Excellent'];
+
+const PATH_LABELS = {
+  host: 'Direct (host)',
+  srflx: 'Through NAT (srflx)',
+  prflx: 'Through NAT (prflx)',
+  relay: 'TURN relay (relay)'
+};
+
+/**
+ * Tiny line chart of the send and receive bitrate
+ */
+const BitrateChart = ({ history }) => {
+  const width = 200;
+  const height = 40;
+  const max = Math.max(1, ...history.flatMap((sample) => [sample.sendBitrate || 0, sample.receiveBitrate || 0]));
+  const toPoints = (key) => history
+    .map((sample, index) => `${(index / (HISTORY_LENGTH - 1)) * width},${height - ((sample[key] || 0) / max) * height}`)
+    .join(' ');
+
+  return (
+    <svg width={width} height={height} style={{ display: 'block', margin: '4px 0' }}>
+      <polyline points={toPoints('sendBitrate')} fill="none" stroke="#90caf9" strokeWidth="1.5" />
+      <polyline points={toPoints('receiveBitrate')} fill="none" stroke="#a5d6a7" strokeWidth="1.5" />
+    </svg>
+  );
+};
+
+const StatRow = ({ label, value }) => (
+  <Box sx={{ display: 'flex', justifyContent: 'space-between', gap: 2 }}>
+    <Typography variant="caption" sx={{ color: 'grey.400' }}>{label}</Typography>
+    <Typography variant="caption">{value}</Typography>
+  </Box>
+);
+
+const CallStatsOverlay = () => {
+  const { getCallStats, videoQuality } = useContext(SocketContext);
+  const [history, setHistory] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Poll while the remote video is shown
+  useEffect(() => {
+    let previous = null;
+    let cancelled = false;
+
+    const poll = async () => {
+      const reports = await getCallStats();
+      if (cancelled || !reports) {
+        return;
+      }
+      const summary = summarizeStats(reports, previous);
+      previous = summary;
+      setHistory((prev) => [...prev, summary].slice(-HISTORY_LENGTH));
+    };
+
+    poll();
+    const interval = setInterval(poll, STATS_POLL_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [getCallStats]);
+
+  const latest = history[history.length - 1];
+  const bars = latest ? rateQuality(latest) : null;
+  const SignalIcon = bars === null ? SignalCellularConnectedNoInternet0Bar : SIGNAL_ICONS[bars];
+  const format = (value, unit, digits = 0) => (value === null || value === undefined ? '–' : `${value.toFixed(digits)} ${unit}`);
+
+  return (
+    <Box sx={{ position: 'absolute', top: 8, right: 8, display: 'flex', flexDirection: 'column', alignItems: 'flex-end' }}>
+      <Tooltip title={`Call quality: ${bars === null ? 'measuring...' : SIGNAL_LABELS[bars]} (click for details)`}>
+        <IconButton size="small" onClick={() => setIsOpen((open) => !open)} sx={{ bgcolor: 'rgba(0, 0, 0, 0.5)' }}>
+          <SignalIcon sx={{ color: bars === null ? 'grey.500' : SIGNAL_COLORS[bars] }} />
+        </IconButton>
+      </Tooltip>
+
+      {isOpen && latest && (
+        <Box sx={{ mt: 0.5, p: 1, borderRadius: 1, bgcolor: 'rgba(0, 0, 0, 0.75)', color: '#fff', minWidth: 200 }}>
+          <Typography variant="caption" component="div" sx={{ display: 'flex', gap: 1 }}>
+            <span style={{ color: '#90caf9' }}>↑ {formatBitrate(latest.sendBitrate)}</span>
+            <span style={{ color: '#a5d6a7' }}>↓ {formatBitrate(latest.receiveBitrate)}</span>
+          </Typography>
+          <BitrateChart history={history} />
+          <StatRow label="Packet loss" value={format(latest.packetLoss, '%', 1)} />
+          <StatRow label="Jitter" value={format(latest.jitterMs, 'ms')} />
+          <StatRow label="Round trip" value={format(latest.rttMs, 'ms')} />
+          <StatRow label="Frame rate" value={format(latest.fps, 'fps')} />
+          <StatRow label="Resolution" value={latest.resolution || '–'} />
+          <StatRow label="Codec" value={`${latest.sendCodec || '–'} ↑ / ${latest.receiveCodec || '–'} ↓`} />
+          <StatRow label="Path" value={PATH_LABELS[connectionPathType(latest)] || '–'} />
+          {videoQuality.maxBitrate && (
+            <StatRow label={`Send limit (${videoQuality.preset})`} value={formatBitrate(videoQuality.maxBitrate)} />
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default CallStatsOverlay;
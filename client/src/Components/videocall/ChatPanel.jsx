@@ -0,0 +1,165 @@
+/**
+ * ChatPanel Component
+ *
+ * Text chat with the other party of a 1:1 call, shown next to the video.
+ *
+ * EDUCATIONAL NOTES:
+ * - Messages go over the WebRTC data channel, straight to the other browser -
+ *   the signaling server never sees them
+ * - One tick means sent, two ticks mean the other side confirmed receiving it
+ * - "is typing..." comes from small typing updates sent on the same channel
+ * - The chat only lives in the two browsers, so it can be exported when the call ends
+ */
+
+import React, { useContext, useEffect, useRef, useState } from 'react';
+import { Box, IconButton, Paper, TextField, Tooltip, Typography } from '@mui/material';
+import { Done, DoneAll, Download, ErrorOutline, Send } from '@mui/icons-material';
+import { SocketContext } from '../../context/Context';
+
+// Longest message we let the user type
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Tell the other side we stopped typing after this long without a keystroke
+const TYPING_IDLE_MS = 3000;
+
+/**
+ * Status ticks for our own messages
+ */
+const MessageStatus = ({ status }) => {
+  if (status === 'delivered') {
+    return <Tooltip title="Delivered"><DoneAll sx={{ fontSize: 14 }} /></Tooltip>;
+  }
+  if (status === 'failed') {
+    return <Tooltip title="Not sent"><ErrorOutline sx={{ fontSize: 14 }} color="error" /></Tooltip>;
+  }
+  return <Tooltip title="Sent"><Done sx={{ fontSize: 14 }} /></Tooltip>;
+};
+
+const ChatPanel = () => {
+  const {
+    chatMessages,
+    isDataChannelOpen,
+    peerTyping,
+    sendChatMessage,
+    sendTypingState,
+    exportChatTranscript,
+    callEnded
+  } = useContext(SocketContext);
+  const [draft, setDraft] = useState('');
+  const isTypingRef = useRef(false);
+  const typingIdleTimeoutRef = useRef(null);
+  const messagesEndRef = useRef(null);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ block: 'end' });
+  }, [chatMessages, peerTyping]);
+
+  // Stop the idle timer when the panel goes away
+  useEffect(() => () => clearTimeout(typingIdleTimeoutRef.current), []);
+
+  /**
+   * Send typing updates only when the state changes, not on every keystroke
+   */
+  const setTyping = (isTyping) => {
+    clearTimeout(typingIdleTimeoutRef.current);
+    if (isTyping) {
+      typingIdleTimeoutRef.current = setTimeout(() => setTyping(false), TYPING_IDLE_MS);
+    }
+    if (isTypingRef.current !== isTyping) {
+      isTypingRef.current = isTyping;
+      sendTypingState(isTyping);
+    }
+  };
+
+  const handleDraftChange = (event) => {
+    const value = event.target.value.slice(0, MAX_MESSAGE_LENGTH);
+    setDraft(value);
+    setTyping(value.length > 0);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!draft.trim()) {
+      return;
+    }
+    sendChatMessage(draft);
+    setDraft('');
+    setTyping(false);
+  };
+
+  return (
+    <Paper elevation={10} sx={{ p: 2, m: '10px', display: 'flex', flexDirection: 'column', height: 420 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h6">Chat</Typography>
+        <Tooltip title="Export transcript">
+          <span>
+            <IconButton onClick={exportChatTranscript} disabled={chatMessages.length === 0} size="small">
+              <Download />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+
+      <Box sx={{ flex: 1, overflowY: 'auto', my: 1 }}>
+        {chatMessages.length === 0 && (
+          <Typography variant="body2" color="text.secondary">
+            {isDataChannelOpen ? 'No messages yet' : 'Chat opens once the call connects'}
+          </Typography>
+        )}
+
+        {chatMessages.map((message) => (
+          <Box
+            key={message.id}
+            sx={{ display: 'flex', flexDirection: 'column', alignItems: message.fromMe ? 'flex-end' : 'flex-start', mb: 1 }}
+          >
+            <Box
+              sx={{
+                maxWidth: '85%',
+                px: 1.5,
+                py: 0.75,
+                borderRadius: 2,
+                bgcolor: message.fromMe ? 'primary.main' : 'grey.200',
+                color: message.fromMe ? '#fff' : 'text.primary',
+                whiteSpace: 'pre-wrap',
+                wordBreak: 'break-word'
+              }}
+            >
+              <Typography variant="body2">{message.text}</Typography>
+            </Box>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, color: 'text.secondary' }}>
+              <Typography variant="caption">
+                {message.fromMe ? '' : `${message.author} · `}
+                {new Date(message.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </Typography>
+              {message.fromMe && <MessageStatus status={message.status} />}
+            </Box>
+          </Box>
+        ))}
+
+        {peerTyping && (
+          <Typography variant="caption" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+            {peerTyping} is typing...
+          </Typography>
+        )}
+        <div ref={messagesEndRef} />
+      </Box>
+
+      <Box component="form" onSubmit={handleSubmit} sx={{ display: 'flex', gap: 1 }}>
+        <TextField
+          size="small"
+          fullWidth
+          placeholder={callEnded ? 'Call ended' : 'Type a message'}
+          value={draft}
+          onChange={handleDraftChange}
+          disabled={!isDataChannelOpen}
+        />
+        <IconButton type="submit" color="primary" disabled={!isDataChannelOpen || !draft.trim()}>
+          <Send />
+        </IconButton>
+      </Box>
+    </Paper>
+  );
+};
+
+export default ChatPanel;
@@ -0,0 +1,112 @@
+/**
+ * DeviceSettings Component
+ *
+ * Dialog to pick the camera, microphone and speaker, and the outgoing video quality.
+ *
+ * EDUCATIONAL NOTES:
+ * - The lists come from navigator.mediaDevices.enumerateDevices() and update
+ *   when devices are plugged in or removed ('devicechange' event)
+ * - Changing camera/mic during a call swaps the track on the live connection
+ * - The speaker is applied to the remote videos with setSinkId() - not every
+ *   browser supports it, so the choice is hidden where it would do nothing
+ * - Device choices are remembered for the next visit
+ * - Video quality: 'Auto' adapts to the network during a call, 'Data saver'
+ *   and 'High quality' send a fixed quality (see services/videoQuality)
+ */
+
+import React, { useContext, useEffect } from 'react';
+import { Button, Dialog, DialogActions, DialogContent, DialogTitle, FormControl, InputLabel, MenuItem, Select, ToggleButton, ToggleButtonGroup, Typography } from '@mui/material';
+import { SocketContext } from '../../context/Context';
+import { supportsAudioOutputSelection } from '../../services/mediaDevices';
+import { VIDEO_QUALITY_PRESETS } from '../../services/videoQuality';
+
+/**
+ * One device dropdown
+ */
+const DeviceSelect = ({ label, devices, value, onChange }) => (
+  <FormControl fullWidth margin="normal" size="small">
+    <InputLabel>{label}</InputLabel>
+    <Select
+      label={label}
+      // A saved device that is not plugged in shows as the default
+      value={devices.some((device) => device.deviceId === value) ? value : ''}
+      onChange={(event) => onChange(event.target.value)}
+    >
+      <MenuItem value="">Default</MenuItem>
+      {devices.map((device) => (
+        <MenuItem key={device.deviceId} value={device.deviceId}>{device.label}</MenuItem>
+      ))}
+    </Select>
+  </FormControl>
+);
+
+const DeviceSettings = ({ open, onClose }) => {
+  const {
+    mediaDevices,
+    devicePreferences,
+    refreshMediaDevices,
+    switchInputDevice,
+    setAudioOutputDevice,
+    stream,
+    videoQuality,
+    setVideoQualityPreset
+  } = useContext(SocketContext);
+
+  // Labels may only have become visible since the last refresh (after camera permission)
+  useEffect(() => {
+    if (open) {
+      refreshMediaDevices();
+    }
+  }, [open, refreshMediaDevices]);
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>Call settings</DialogTitle>
+      <DialogContent>
+        <DeviceSelect
+          label="Camera"
+          devices={mediaDevices.videoinput}
+          value={devicePreferences.videoInputId}
+          onChange={(deviceId) => switchInputDevice('videoinput', deviceId)}
+        />
+        <DeviceSelect
+          label="Microphone"
+          devices={mediaDevices.audioinput}
+          value={devicePreferences.audioInputId}
+          onChange={(deviceId) => switchInputDevice('audioinput', deviceId)}
+        />
+        {supportsAudioOutputSelection() && (
+          <DeviceSelect
+            label="Speaker"
+            devices={mediaDevices.audiooutput}
+            value={devicePreferences.audioOutputId}
+            onChange={setAudioOutputDevice}
+          />
+        )}
+        {!stream && (
+          <Typography variant="caption" color="text.secondary">
+            Device names appear once you have turned on your camera.
+          </Typography>
+        )}
+
+        <Typography variant="subtitle2" sx={{ mt: 2, mb: 1 }}>Video quality</Typography>
+        <ToggleButtonGroup
+          exclusive
+          fullWidth
+          size="small"
+          value={videoQuality.preset}
+          onChange={(event, preset) => preset && setVideoQualityPreset(preset)}
+        >
+          <ToggleButton value={VIDEO_QUALITY_PRESETS.AUTO}>Auto</ToggleButton>
+          <ToggleButton value={VIDEO_QUALITY_PRESETS.DATA_SAVER}>Data saver</ToggleButton>
+          <ToggleButton value={VIDEO_QUALITY_PRESETS.HIGH_QUALITY}>High quality</ToggleButton>
+        </ToggleButtonGroup>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DeviceSettings;
@@ -0,0 +1,179 @@
+/**
+ * FileTransfers Component
+ *
+ * Sends files to the other party of a call and lists the files sent/received.
+ *
+ * EDUCATIONAL NOTES:
+ * - Files go peer-to-peer over the call's data channel, in small chunks
+ * - Pick a file with the button, or drop it onto the call view
+ * - A file the other side offers is only received once it is accepted here -
+ *   declining tells the sender it was cancelled
+ * - A transfer can be paused, resumed and cancelled from either side
+ * - Received files are checked against the sender's SHA-256 checksum before
+ *   they can be downloaded
+ */
+
+import React, { useContext, useRef } from 'react';
+import { Box, Button, IconButton, LinearProgress, List, ListItem, ListItemText, Paper, Tooltip, Typography } from '@mui/material';
+import { AttachFile, Cancel, Check, Close, Download, Pause, PlayArrow } from '@mui/icons-material';
+import { SocketContext } from '../../context/Context';
+import { TRANSFER_STATES } from '../../services/fileTransfer';
+
+// Transfers that can still be paused or cancelled
+const ACTIVE_STATES = [TRANSFER_STATES.WAITING, TRANSFER_STATES.SENDING, TRANSFER_STATES.RECEIVING];
+const FINISHED_STATES = [TRANSFER_STATES.COMPLETED, TRANSFER_STATES.FAILED, TRANSFER_STATES.CANCELLED];
+
+const STATUS_LABELS = {
+  [TRANSFER_STATES.PREPARING]: 'Preparing',
+  [TRANSFER_STATES.WAITING]: 'Waiting for the other side',
+  [TRANSFER_STATES.OFFERED]: 'Wants to send you this file',
+  [TRANSFER_STATES.SENDING]: 'Sending',
+  [TRANSFER_STATES.RECEIVING]: 'Receiving',
+  [TRANSFER_STATES.PAUSED]: 'Paused',
+  [TRANSFER_STATES.VERIFYING]: 'Verifying',
+  [TRANSFER_STATES.COMPLETED]: 'Done',
+  [TRANSFER_STATES.FAILED]: 'Failed',
+  [TRANSFER_STATES.CANCELLED]: 'Cancelled'
+};
+
+/**
+ * Format a byte count as B / KB / MB
+ */
+const formatBytes = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const FileTransfers = () => {
+  const {
+    fileTransfers,
+    sendFile,
+    acceptFileTransfer,
+    declineFileTransfer,
+    pauseFileTransfer,
+    resumeFileTransfer,
+    cancelFileTransfer,
+    dismissFileTransfer,
+    isDataChannelOpen
+  } = useContext(SocketContext);
+  const fileInputRef = useRef(null);
+
+  const handleFilesPicked = (event) => {
+    Array.from(event.target.files).forEach(sendFile);
+    // Allow picking the same file again
+    event.target.value = '';
+  };
+
+  return (
+    <Paper elevation={10} sx={{ p: 2, m: '10px' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h6">Files</Typography>
+        <Button
+          size="small"
+          startIcon={<AttachFile />}
+          onClick={() => fileInputRef.current?.click()}
+          disabled={!isDataChannelOpen}
+        >
+          Send file
+        </Button>
+        <input ref={fileInputRef} type="file" multiple hidden onChange={handleFilesPicked} />
+      </Box>
+
+      {fileTransfers.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          {isDataChannelOpen ? 'Drop a file on the call to send it' : 'Files can be sent once the call connects'}
+        </Typography>
+      )}
+
+      <List dense>
+        {fileTransfers.map((transfer) => {
+          const percent = transfer.size ? Math.round((transfer.transferredBytes / transfer.size) * 100) : 100;
+          const isActive = ACTIVE_STATES.includes(transfer.status);
+          const isFinished = FINISHED_STATES.includes(transfer.status);
+
+          return (
+            <ListItem key={transfer.id} disableGutters sx={{ flexDirection: 'column', alignItems: 'stretch' }}>
+              <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                <ListItemText
+                  primary={`${transfer.direction === 'outgoing' ? '↑' : '↓'} ${transfer.name}`}
+                  secondary={`${STATUS_LABELS[transfer.status]} · ${formatBytes(transfer.transferredBytes)} of ${formatBytes(transfer.size)}${
+                    transfer.error ? ` · ${transfer.error}` : ''
+                  }`}
+                  primaryTypographyProps={{ noWrap: true }}
+                  sx={{ minWidth: 0 }}
+                />
+                {transfer.status === TRANSFER_STATES.COMPLETED && transfer.url && (
+                  <Tooltip title="Download">
+                    <IconButton size="small" color="primary" component="a" href={transfer.url} download={transfer.name}>
+                      <Download />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                {transfer.status === TRANSFER_STATES.OFFERED && (
+                  <>
+                    <Tooltip title="Accept">
+                      <span>
+                        <IconButton size="small" color="success" onClick={() => acceptFileTransfer(transfer.id)} disabled={!isDataChannelOpen}>
+                          <Check />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Decline">
+                      <IconButton size="small" color="error" onClick={() => declineFileTransfer(transfer.id)}>
+                        <Close />
+                      </IconButton>
+                    </Tooltip>
+                  </>
+                )}
+                {isActive && (
+                  <Tooltip title="Pause">
+                    <IconButton size="small" onClick={() => pauseFileTransfer(transfer.id)}>
+                      <Pause />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                {transfer.status === TRANSFER_STATES.PAUSED && (
+                  <Tooltip title="Resume">
+                    <span>
+                      <IconButton size="small" onClick={() => resumeFileTransfer(transfer.id)} disabled={!isDataChannelOpen}>
+                        <PlayArrow />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                )}
+                {!isFinished && transfer.status !== TRANSFER_STATES.OFFERED && (
+                  <Tooltip title="Cancel">
+                    <IconButton size="small" onClick={() => cancelFileTransfer(transfer.id)}>
+                      <Cancel />
+                    </IconButton>
+                  </Tooltip>
+                )}
+                {isFinished && (
+                  <Tooltip title="Remove from list">
+                    <IconButton size="small" onClick={() => dismissFileTransfer(transfer.id)}>
+                      <Close />
+                    </IconButton>
+                  </Tooltip>
+                )}
+              </Box>
+              {!isFinished && transfer.status !== TRANSFER_STATES.OFFERED && (
+                <LinearProgress
+                  variant={transfer.status === TRANSFER_STATES.PREPARING ? 'indeterminate' : 'determinate'}
+                  value={percent}
+                  color={transfer.status === TRANSFER_STATES.PAUSED ? 'inherit' : 'primary'}
+                />
+              )}
+            </ListItem>
+          );
+        })}
+      </List>
+    </Paper>
+  );
+};
+
+export default FileTransfers;
@@ -0,0 +1,174 @@
+/**
+ * InviteDialog Component
+ *
+ * Shown when the app was opened through an invite link (/call/<handle> or
+ * /room/<name>, see services/inviteLinks). Asks for a display name and the
+ * camera, then places the call or joins the room.
+ *
+ * EDUCATIONAL NOTES:
+ * - Browsers only show the camera permission prompt after a user action,
+ *   so the camera is started from the "Call"/"Join" click, not on page load
+ * - The call (or room join) waits until the camera stream is ready - the
+ *   offer we send must already contain our audio/video tracks
+ */
+
+import React, { useContext, useEffect, useRef, useState } from 'react';
+import { Alert, Box, Button, CircularProgress, Dialog, DialogActions, DialogContent, DialogTitle, TextField, Typography } from '@mui/material';
+import { VideocamOffOutlined } from '@mui/icons-material';
+import { SocketContext } from '../../context/Context';
+import { buildMediaConstraints } from '../../services/mediaDevices';
+import { INVITE_TYPES } from '../../services/inviteLinks';
+import { PRESENCE_LABELS, PRESENCE_STATUS, canBeCalled } from '../../services/presence';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.invite - { type: 'call' | 'room', target: handle or room name }
+ * @param {Function} props.onClose - Called once the invite was used or dismissed
+ */
+const InviteDialog = ({ invite, onClose }) => {
+  const {
+    name,
+    setName,
+    handle,
+    stream,
+    setStream,
+    devicePreferences,
+    refreshMediaDevices,
+    callUser,
+    joinRoom,
+    onlineUsers
+  } = useContext(SocketContext);
+  const [displayName, setDisplayName] = useState(name);
+  const [isStartingCamera, setIsStartingCamera] = useState(false);
+  const [isJoining, setIsJoining] = useState(false);
+  const [error, setError] = useState(null);
+  const previewRef = useRef(null);
+
+  const isCall = invite.type === INVITE_TYPES.CALL;
+  const isOwnLink = isCall && handle && invite.target.toLowerCase() === handle.toLowerCase();
+  const targetStatus = isCall
+    ? onlineUsers.find((user) => user.handle.toLowerCase() === invite.target.toLowerCase())?.status || PRESENCE_STATUS.OFFLINE
+    : null;
+  const canJoin = !isOwnLink && (!isCall || canBeCalled(targetStatus));
+
+  // Our name may arrive after the dialog opened (restored login)
+  useEffect(() => {
+    setDisplayName((current) => current || name);
+  }, [name]);
+
+  // Camera preview
+  useEffect(() => {
+    if (previewRef.current) {
+      previewRef.current.srcObject = stream;
+    }
+  }, [stream]);
+
+  /**
+   * Ask for the camera and microphone (the browser shows its permission prompt)
+   *
+   * @returns {Promise<boolean>} Whether we have a stream
+   */
+  const startCamera = async () => {
+    if (stream) {
+      return true;
+    }
+    setIsStartingCamera(true);
+    setError(null);
+    try {
+      setStream(await navigator.mediaDevices.getUserMedia(buildMediaConstraints(devicePreferences)));
+      refreshMediaDevices();
+      return true;
+    } catch (cameraError) {
+      console.error('[INVITE] ❌ Could not start the camera:', cameraError);
+      setError(cameraError.name === 'NotAllowedError'
+        ? 'Please allow camera and microphone access to join.'
+        : `Could not start your camera: ${cameraError.message}`);
+      return false;
+    } finally {
+      setIsStartingCamera(false);
+    }
+  };
+
+  const handleJoin = async () => {
+    if (displayName.trim()) {
+      setName(displayName.trim());
+    }
+    if (await startCamera()) {
+      // callUser/joinRoom need the stream from the next render - see the effect below
+      setIsJoining(true);
+    }
+  };
+
+  // Place the call / join the room as soon as the stream is in the context
+  useEffect(() => {
+    if (!isJoining || !stream) {
+      return;
+    }
+    console.log(`[INVITE] Using invite: ${invite.type} ${invite.target}`);
+    if (isCall) {
+      callUser(invite.target);
+    } else {
+      joinRoom(invite.target);
+    }
+    onClose();
+  }, [isJoining, stream, isCall, invite, callUser, joinRoom, onClose]);
+
+  return (
+    <Dialog open fullWidth maxWidth="xs" onClose={onClose}>
+      <DialogTitle>
+        {isCall ? `Call @${invite.target}` : `Join room '${invite.target}'`}
+      </DialogTitle>
+      <DialogContent>
+        {isOwnLink && (
+          <Alert severity="info" sx={{ mb: 2 }}>This is your own invite link - share it so others can call you.</Alert>
+        )}
+        {isCall && !isOwnLink && !canBeCalled(targetStatus) && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            @{invite.target} can't be called right now ({PRESENCE_LABELS[targetStatus]}).
+          </Alert>
+        )}
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <TextField
+          label="Your name"
+          value={displayName}
+          onChange={(e) => setDisplayName(e.target.value)}
+          helperText="Shown with your chat messages"
+          fullWidth
+          margin="normal"
+        />
+
+        <Box sx={{ mt: 1, borderRadius: 1, overflow: 'hidden', bgcolor: 'grey.900', aspectRatio: '4 / 3', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+          {stream ? (
+            <video ref={previewRef} playsInline muted autoPlay style={{ width: '100%', height: '100%', objectFit: 'cover', transform: 'scaleX(-1)' }} />
+          ) : (
+            <Box sx={{ textAlign: 'center', color: 'grey.500' }}>
+              <VideocamOffOutlined sx={{ fontSize: 48 }} />
+              <Typography variant="body2">Your camera starts when you join</Typography>
+            </Box>
+          )}
+        </Box>
+        {!stream && (
+          <Button size="small" sx={{ mt: 1 }} onClick={startCamera} disabled={isStartingCamera}>
+            Preview camera
+          </Button>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{isOwnLink ? 'Close' : 'Cancel'}</Button>
+        {!isOwnLink && (
+          <Button
+            variant="contained"
+            onClick={handleJoin}
+            disabled={!canJoin || isStartingCamera || isJoining}
+            startIcon={isStartingCamera ? <CircularProgress size={16} color="inherit" /> : null}
+          >
+            {isCall ? 'Call' : 'Join room'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default InviteDialog;
@@ -7,17 +7,20 @@
  * - This component listens for incoming call events from the signaling server
  * - When someone calls you, the 'callUser' event is received in Context.js
  * - This sets call.isReceivingCall to true, which triggers this modal
- * - User can accept (answerCall) or decline (leaveCall) the call
+ * - User can accept (answerCall) or decline (declineCall) the call
+ * - Declining tells the server, which lets the caller know ('callDeclined')
+ * - If the caller cancels or nobody answers in time, the modal closes and a
+ *   "Missed call" message is shown instead
  * 
  * FLOW:
  * 1. Incoming call → call.isReceivingCall = true
  * 2. Modal opens automatically
  * 3. User clicks Accept → answerCall() creates Peer connection
- * 4. User clicks Decline → leaveCall() rejects the call
+ * 4. User clicks Decline → declineCall() rejects the call and notifies the caller
  */
 
 import React, { useContext, useEffect, useState } from 'react';
-import { Box, Button, Grid, Modal, Typography } from "@mui/material";
+import { Alert, Box, Button, Grid, Modal, Snackbar, Typography } from "@mui/material";
 import { SocketContext } from '../../context/Context';
 import { Call, CallEnd } from '@mui/icons-material';
 
@@ -37,7 +40,7 @@ const modalStyle = {
 };
 
 const Notifications = () => {
-  const { answerCall, call, callAccepted, leaveCall } = useContext(SocketContext);
+  const { answerCall, call, callAccepted, declineCall, callOutcome, clearCallOutcome } = useContext(SocketContext);
   const [open, setOpen] = useState(false);
 
   /**
@@ -50,8 +53,8 @@ const Notifications = () => {
     if (call.isReceivingCall && !callAccepted) {
       console.log('[NOTIFICATIONS] 📞 Incoming call from:', call.name);
       setOpen(true);
-    } else if (callAccepted) {
-      // Close modal if call was accepted
+    } else if (callAccepted || !call.isReceivingCall) {
+      // Close modal if call was accepted, or the call went away (cancelled / timed out)
       setOpen(false);
     }
   }, [call, callAccepted]);
@@ -80,12 +83,12 @@ const Notifications = () => {
    * This will:
    * 1. Close the modal
    * 2. Reset call state
-   * 3. Notify the caller (if needed)
+   * 3. Notify the caller via the server ('callDeclined')
    */
   const handleDecline = () => {
     console.log('[NOTIFICATIONS] ❌ Declining call from:', call.name);
     setOpen(false);
-    leaveCall();
+    declineCall();
   };
 
   /**
@@ -99,56 +102,74 @@ const Notifications = () => {
     // leaveCall();
   };
 
+  // Missed calls (the caller cancelled or nobody answered) are shown to the callee
+  const missedCall = callOutcome?.role === 'callee' ? callOutcome : null;
+
   return (
-    <Modal 
-      open={open} 
-      onClose={handleClose}
-      aria-labelledby="incoming-call-modal"
-      aria-describedby="incoming-call-description"
-    >
-      <Box sx={modalStyle}>
-        <Grid container spacing={2} sx={{ alignItems: "center", justifyContent: "center" }}>
-          <Grid item xs={12} sx={{ textAlign: "center", mb: 2 }}>
-            <Typography variant="h5" component="h2" id="incoming-call-modal">
-              Incoming Call
-            </Typography>
-          </Grid>
-          
-          <Grid item xs={12} sx={{ textAlign: "center", mb: 2 }}>
-            <Typography variant="h6" color="primary">
-              {call.name || 'Unknown User'}
-            </Typography>
-            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
-              wants to video chat with you
-            </Typography>
-          </Grid>
-          
-          <Grid item xs={12} sx={{ display: 'flex', justifyContent: 'center', gap: 2, mt: 2 }}>
-            <Button 
-              variant="contained" 
-              color="success" 
-              size="large"
-              startIcon={<Call />}
-              onClick={handleAccept}
-              sx={{ minWidth: 120 }}
-            >
-              Accept
-            </Button>
+    <>
+      <Modal 
+        open={open} 
+        onClose={handleClose}
+        aria-labelledby="incoming-call-modal"
+        aria-describedby="incoming-call-description"
+      >
+        <Box sx={modalStyle}>
+          <Grid container spacing={2} sx={{ alignItems: "center", justifyContent: "center" }}>
+            <Grid item xs={12} sx={{ textAlign: "center", mb: 2 }}>
+              <Typography variant="h5" component="h2" id="incoming-call-modal">
+                Incoming Call
+              </Typography>
+            </Grid>
+            
+            <Grid item xs={12} sx={{ textAlign: "center", mb: 2 }}>
+              <Typography variant="h6" color="primary">
+                {call.name || 'Unknown User'}
+              </Typography>
+              {call.fromHandle && (
+                <Typography variant="caption" color="text.secondary">
+                  @{call.fromHandle}
+                </Typography>
+              )}
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                wants to video chat with you
+              </Typography>
+            </Grid>
             
-            <Button 
-              variant="contained" 
-              color="error" 
-              size="large"
-              startIcon={<CallEnd />}
-              onClick={handleDecline}
-              sx={{ minWidth: 120 }}
-            >
-              Decline
-            </Button>
+            <Grid item xs={12} sx={{ display: 'flex', justifyContent: 'center', gap: 2, mt: 2 }}>
+              <Button 
+                variant="contained" 
+                color="success" 
+                size="large"
+                startIcon={<Call />}
+                onClick={handleAccept}
+                sx={{ minWidth: 120 }}
+              >
+                Accept
+              </Button>
+              
+              <Button 
+                variant="contained" 
+                color="error" 
+                size="large"
+                startIcon={<CallEnd />}
+                onClick={handleDecline}
+                sx={{ minWidth: 120 }}
+              >
+                Decline
+              </Button>
+            </Grid>
           </Grid>
-        </Grid>
-      </Box>
-    </Modal>
+        </Box>
+      </Modal>
+      <Snackbar 
+        open={Boolean(missedCall)} 
+        autoHideDuration={8000} 
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }} 
+        onClose={clearCallOutcome}
+      >
+        <Alert severity="info" onClose={clearCallOutcome}>{missedCall?.message}</Alert>
+      </Snackbar>
+    </>
   );
 };
 
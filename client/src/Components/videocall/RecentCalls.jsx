@@ -0,0 +1,140 @@
+/**
+ * RecentCalls Component
+ *
+ * Shows the logged-in user's latest calls with one-click redial.
+ *
+ * EDUCATIONAL NOTES:
+ * - The signaling server writes a "call detail record" whenever a call ends
+ *   (who called whom, when, for how long, and why it ended)
+ * - This panel reads them from the REST endpoint GET /api/calls
+ * - The list refreshes whenever one of our own calls ends
+ */
+
+import React, { useCallback, useContext, useEffect, useState } from 'react';
+import { Box, CircularProgress, IconButton, List, ListItem, ListItemIcon, ListItemText, Paper, Tooltip, Typography } from '@mui/material';
+import { CallMade, CallReceived, PhoneMissed, Phone, Refresh } from '@mui/icons-material';
+import { SocketContext } from '../../context/Context';
+import { apiRequest } from '../../services/api';
+
+// How many calls to show
+const RECENT_CALLS_LIMIT = 10;
+
+// Human-readable text for calls that never connected
+const END_REASON_LABELS = {
+  declined: 'Declined',
+  cancelled: 'Cancelled',
+  timeout: 'No answer',
+  busy: 'Busy',
+  admin: 'Ended by an operator'
+};
+
+/**
+ * Format talk time as m:ss
+ */
+const formatDuration = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+const RecentCalls = () => {
+  const { authToken, handle, callUser, stream, isCalling, callAccepted, callEnded, callOutcome } = useContext(SocketContext);
+  const [calls, setCalls] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the latest call records from the server
+   */
+  const loadCalls = useCallback(async () => {
+    if (!authToken) {
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const { calls: records } = await apiRequest(`/api/calls?limit=${RECENT_CALLS_LIMIT}`, { token: authToken });
+      setCalls(records);
+      setError(null);
+    } catch (loadError) {
+      console.error('[RECENT CALLS] ❌ Failed to load call history:', loadError);
+      setError('Could not load recent calls');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [authToken]);
+
+  // Reload on login and whenever a call ends (or never connected)
+  useEffect(() => {
+    loadCalls();
+  }, [loadCalls, callEnded, callOutcome]);
+
+  const isInCall = isCalling || (callAccepted && !callEnded);
+
+  return (
+    <Paper elevation={10} sx={{ p: 2, height: '100%' }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h6">Recent calls</Typography>
+        <Tooltip title="Refresh">
+          <span>
+            <IconButton onClick={loadCalls} disabled={isLoading} size="small">
+              {isLoading ? <CircularProgress size={20} /> : <Refresh />}
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+
+      {error && (
+        <Typography variant="body2" color="error">{error}</Typography>
+      )}
+
+      {!error && calls.length === 0 && !isLoading && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+          No calls yet
+        </Typography>
+      )}
+
+      <List dense>
+        {calls.map((record) => {
+          const isOutgoing = record.callerHandle?.toLowerCase() === handle?.toLowerCase();
+          const peerHandle = isOutgoing ? record.calleeHandle : record.callerHandle;
+          const peerName = (isOutgoing ? record.calleeName : record.callerName) || peerHandle;
+          const missed = !record.answeredAt;
+
+          return (
+            <ListItem
+              key={record.id}
+              secondaryAction={
+                <Tooltip title={`Call @${peerHandle}`}>
+                  <span>
+                    <IconButton
+                      edge="end"
+                      color="primary"
+                      onClick={() => callUser(peerHandle)}
+                      disabled={!stream || isInCall || !peerHandle}
+                    >
+                      <Phone />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              }
+            >
+              <ListItemIcon>
+                {missed ? (
+                  <PhoneMissed color="error" />
+                ) : isOutgoing ? (
+                  <CallMade color="success" />
+                ) : (
+                  <CallReceived color="primary" />
+                )}
+              </ListItemIcon>
+              <ListItemText
+                primary={`${peerName} (@${peerHandle})`}
+                secondary={`${new Date(record.startedAt).toLocaleString()} · ${
+                  missed ? END_REASON_LABELS[record.endReason] || 'Not answered' : formatDuration(record.durationSeconds)
+                }`}
+              />
+            </ListItem>
+          );
+        })}
+      </List>
+    </Paper>
+  );
+};
+
+export default RecentCalls;
@@ -2,22 +2,35 @@
  * Sidebar Component
  * 
  * Provides controls for:
- * - Displaying and copying your Socket ID
- * - Entering another user's ID to call
- * - Initiating and ending calls
+ * - Displaying your handle and copying your Socket ID
+ * - Sharing invite links (and their QR codes) to call you or join your room
+ * - Logging out
+ * - Searching for another user by handle (or entering their ID) to call
+ * - Initiating, cancelling and ending calls
+ * - Showing why a call did not connect (declined, busy, no answer)
+ * - Joining and leaving multi-party rooms
+ * - Choosing your status and seeing who is online (and whether they can be called)
  * 
  * EDUCATIONAL NOTES:
  * - Socket ID is your unique identifier on the signaling server
- * - You need someone else's Socket ID to call them
- * - The ID is automatically generated by Socket.IO when you connect
+ * - The ID is automatically generated by Socket.IO when you connect, and changes on reconnect
+ * - Your handle is your username - others can search for it and call you
+ * - Rooms are joined by name instead - everyone who types the same name ends up together
+ * - The online list is kept live by the server's presence updates - nobody polls
+ * - Invite links use your handle or the room name, which (unlike the socket ID)
+ *   stay the same across reconnects - see services/inviteLinks
  */
 
 import React, { useState, useContext, useEffect } from 'react';
-import { Button, TextField, Grid, Typography, Container, Paper, Snackbar, Alert, Box, Chip } from '@mui/material';
+import { Button, TextField, Grid, Typography, Container, Paper, Snackbar, Alert, Box, Chip, Autocomplete, MenuItem, List, ListItem, ListItemIcon, ListItemText, IconButton, Tooltip, Dialog, DialogTitle, DialogContent, DialogActions } from '@mui/material';
 import { styled } from '@mui/system';
-import { Assignment, Phone, PhoneDisabled, Info } from '@mui/icons-material';
+import { Assignment, Phone, PhoneDisabled, PhoneMissed, Info, GroupAdd, ExitToApp, Logout, FiberManualRecord, Link as LinkIcon, QrCode2, AdminPanelSettings } from '@mui/icons-material';
+import { QRCodeSVG } from 'qrcode.react';
+import { useNavigate } from 'react-router-dom';
 
 import { SocketContext } from '../../context/Context';
+import { INVITE_TYPES, buildInviteLink, copyToClipboard } from '../../services/inviteLinks';
+import { SELECTABLE_STATUSES, PRESENCE_LABELS, PRESENCE_COLORS, PRESENCE_STATUS, canBeCalled } from '../../services/presence';
 
 const StyledForm = styled('form')({
   display: 'flex',
@@ -42,10 +55,39 @@ const StyledButton = styled(Button)(({ theme }) => ({
   marginTop: 20,
 }));
 
+// Wait for the user to pause typing before searching the directory
+const SEARCH_DEBOUNCE_MS = 250;
+
 const Sidebar = ({ children }) => {
-  const { me, callAccepted, name, setName, callEnded, leaveCall, callUser } = useContext(SocketContext);
+  const { 
+    me, 
+    handle, 
+    callAccepted, 
+    name, 
+    setName, 
+    callEnded, 
+    leaveCall, 
+    callUser, 
+    isCalling, 
+    cancelCall, 
+    callOutcome, 
+    clearCallOutcome, 
+    room, 
+    joinRoom, 
+    leaveRoom, 
+    logout, 
+    searchUsers, 
+    userSearchResults,
+    onlineUsers,
+    presenceStatus,
+    setPresenceStatus,
+    user
+  } = useContext(SocketContext);
+  const navigate = useNavigate();
   const [idToCall, setIdToCall] = useState('');
-  const [showCopySnackBar, setShowCopySnackBar] = useState(false);
+  const [roomToJoin, setRoomToJoin] = useState('');
+  const [copiedMessage, setCopiedMessage] = useState(null); // { title, text } shown after copying
+  const [qrInvite, setQrInvite] = useState(null); // { title, link } shown as a QR code
   const [warningMessage, setWarningMessage] = useState({
     message: '',
     open: false,
@@ -60,48 +102,66 @@ const Sidebar = ({ children }) => {
   }, [name, setName]);
 
   /**
-   * Handle paste event - automatically paste Socket ID when field is focused
-   * Socket.IO IDs are typically 20 characters long
+   * Search the directory as the user types in the "call" field (debounced)
    */
-  const onPasteIdToCall = (event) => {
-    event.preventDefault();
-    navigator.clipboard.readText().then(text => {
-      const trimmedText = text.trim();
-      // Socket.IO IDs are typically 20 characters, but we'll accept any reasonable length
-      if (trimmedText.length >= 10 && trimmedText.length <= 30) {
-        setIdToCall(trimmedText);
-        setWarningMessage({ open: false, message: '' });
-      } else {
-        setWarningMessage({ open: true, message: 'Invalid ID format. Please paste a valid Socket ID.' });
-        setIdToCall('');
-      }
-    }).catch(err => {
-      console.error("[SIDEBAR] Failed to read clipboard content:", err);
-      setWarningMessage({ open: true, message: 'Could not read clipboard. Please paste manually.' });
-    });
-  };
+  useEffect(() => {
+    const query = idToCall.trim();
+    if (!query) {
+      return undefined;
+    }
+    const timeoutId = setTimeout(() => searchUsers(query), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeoutId);
+  }, [idToCall, searchUsers]);
+
+
+  // Everyone online except us
+  const otherOnlineUsers = onlineUsers.filter((user) => !handle || user.handle.toLowerCase() !== handle.toLowerCase());
+  const typedUser = otherOnlineUsers.find((user) => user.handle.toLowerCase() === idToCall.trim().toLowerCase());
+  const isBusyWithCall = isCalling || (callAccepted && !callEnded);
 
   /**
    * Handle call initiation
    */
   const handleCall = () => {
     if (!idToCall || idToCall.trim() === '') {
-      setWarningMessage({ open: true, message: 'Please enter a user ID to call' });
+      setWarningMessage({ open: true, message: 'Please enter a handle or user ID to call' });
       return;
     }
 
-    if (idToCall === me) {
+    if (idToCall === me || (handle && idToCall.trim().toLowerCase() === handle.toLowerCase())) {
       setWarningMessage({ open: true, message: 'You cannot call yourself!' });
       return;
     }
 
+    if (typedUser?.status === PRESENCE_STATUS.DO_NOT_DISTURB) {
+      setWarningMessage({ open: true, message: `@${typedUser.handle} does not want to be disturbed` });
+      return;
+    }
+
     console.log('[SIDEBAR] Initiating call to:', idToCall);
-    callUser(idToCall);
+    callUser(idToCall.trim());
+  };
+
+  /**
+   * Handle joining a room by name
+   */
+  const handleJoinRoom = () => {
+    if (!roomToJoin || roomToJoin.trim() === '') {
+      setWarningMessage({ open: true, message: 'Please enter a room name' });
+      return;
+    }
+
+    if (callAccepted && !callEnded) {
+      setWarningMessage({ open: true, message: 'Hang up your current call before joining a room' });
+      return;
+    }
+
+    console.log('[SIDEBAR] Joining room:', roomToJoin);
+    joinRoom(roomToJoin);
   };
 
   /**
    * Handle copying Socket ID to clipboard
-   * Uses native Clipboard API with fallback for older browsers
    */
   const handleCopyId = async () => {
     if (!me || me.trim() === '') {
@@ -114,36 +174,9 @@ const Sidebar = ({ children }) => {
     }
 
     try {
-      // Try using the modern Clipboard API first
-      if (navigator.clipboard && navigator.clipboard.writeText) {
-        await navigator.clipboard.writeText(me);
-        console.log('[SIDEBAR] ✅ Socket ID copied to clipboard:', me);
-        setShowCopySnackBar(true);
-      } else {
-        // Fallback for older browsers
-        const textArea = document.createElement('textarea');
-        textArea.value = me;
-        textArea.style.position = 'fixed';
-        textArea.style.left = '-999999px';
-        textArea.style.top = '-999999px';
-        document.body.appendChild(textArea);
-        textArea.focus();
-        textArea.select();
-        
-        try {
-          const successful = document.execCommand('copy');
-          if (successful) {
-            console.log('[SIDEBAR] ✅ Socket ID copied to clipboard (fallback):', me);
-            setShowCopySnackBar(true);
-          } else {
-            throw new Error('Copy command failed');
-          }
-        } catch (err) {
-          throw new Error('Fallback copy failed');
-        } finally {
-          document.body.removeChild(textArea);
-        }
-      }
+      await copyToClipboard(me);
+      console.log('[SIDEBAR] ✅ Socket ID copied to clipboard:', me);
+      setCopiedMessage({ title: 'Socket ID copied to clipboard!', text: me });
     } catch (error) {
       console.error('[SIDEBAR] ❌ Failed to copy Socket ID:', error);
       setWarningMessage({ 
@@ -153,6 +186,24 @@ const Sidebar = ({ children }) => {
     }
   };
 
+  // Links others can open to call us, or to join the room we are in
+  const callInviteLink = handle ? buildInviteLink(INVITE_TYPES.CALL, handle) : null;
+  const roomInviteLink = room ? buildInviteLink(INVITE_TYPES.ROOM, room) : null;
+
+  /**
+   * Copy an invite link to the clipboard
+   */
+  const handleCopyLink = async (link) => {
+    try {
+      await copyToClipboard(link);
+      console.log('[SIDEBAR] ✅ Invite link copied to clipboard:', link);
+      setCopiedMessage({ title: 'Invite link copied to clipboard!', text: link });
+    } catch (error) {
+      console.error('[SIDEBAR] ❌ Failed to copy invite link:', error);
+      setWarningMessage({ open: true, message: 'Failed to copy the link. Please copy manually: ' + link });
+    }
+  };
+
   return (
     <Container>
       <Paper elevation={10}>
@@ -161,6 +212,27 @@ const Sidebar = ({ children }) => {
             <StyledGridItem item xs={12} md={6}>
               <Typography gutterBottom variant="h6">Account Info</Typography>
               <TextField label="Name" value={name}  onChange={(e) => setName(e.target.value)} fullWidth disabled/>
+              {handle && (
+                <Typography variant="body2" sx={{ mt: 1, display: 'block' }}>
+                  Others can call you as <strong>@{handle}</strong>
+                </Typography>
+              )}
+              <TextField
+                select
+                label="Your status"
+                value={presenceStatus}
+                onChange={(e) => setPresenceStatus(e.target.value)}
+                fullWidth
+                size="small"
+                sx={{ mt: 2 }}
+              >
+                {SELECTABLE_STATUSES.map((status) => (
+                  <MenuItem key={status} value={status}>
+                    <FiberManualRecord fontSize="small" sx={{ color: PRESENCE_COLORS[status], mr: 1, verticalAlign: 'middle' }} />
+                    {PRESENCE_LABELS[status]}
+                  </MenuItem>
+                ))}
+              </TextField>
               {me && (
                 <Typography variant="caption" color="text.secondary" sx={{ mt: 1, mb: 0.5, display: 'block' }}>
                   Your ID: {me}
@@ -176,19 +248,69 @@ const Sidebar = ({ children }) => {
               >
                 Copy Your ID
               </StyledButton>
+              {callInviteLink && (
+                <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+                  <Button variant="outlined" fullWidth startIcon={<LinkIcon />} onClick={() => handleCopyLink(callInviteLink)}>
+                    Copy invite link
+                  </Button>
+                  <Tooltip title="Show as QR code">
+                    <Button variant="outlined" onClick={() => setQrInvite({ title: `Call @${handle}`, link: callInviteLink })}>
+                      <QrCode2 />
+                    </Button>
+                  </Tooltip>
+                </Box>
+              )}
+              {user?.isAdmin && (
+                <StyledButton
+                  variant="outlined"
+                  fullWidth
+                  startIcon={<AdminPanelSettings fontSize="large" />}
+                  onClick={() => navigate('/admin')}
+                >
+                  Admin console
+                </StyledButton>
+              )}
+              <StyledButton 
+                variant="outlined" 
+                color="inherit" 
+                fullWidth 
+                startIcon={<Logout fontSize="large" />}
+                onClick={logout}
+              >
+                Log Out
+              </StyledButton>
             </StyledGridItem>
             <StyledGridItem item xs={12} md={6}>
               <Typography gutterBottom variant="h6">Make a call</Typography>
-              <TextField label="ID to call" value={idToCall} onChange={(e) => setIdToCall(e.target.value)} onFocus={onPasteIdToCall} fullWidth />
+              <Autocomplete
+                freeSolo
+                options={idToCall.trim() ? userSearchResults : []}
+                filterOptions={(options) => options} // The server already filtered them
+                getOptionLabel={(option) => (typeof option === 'string' ? option : option.handle)}
+                renderOption={(props, option) => (
+                  <li {...props} key={option.handle}>
+                    {option.name} (@{option.handle})
+                  </li>
+                )}
+                inputValue={idToCall}
+                onInputChange={(event, value) => setIdToCall(value || '')}
+                renderInput={(params) => (
+                  <TextField {...params} label="Handle or ID to call" fullWidth />
+                )}
+              />
               {callAccepted && !callEnded ? (
                 <StyledButton variant="contained" color="secondary" startIcon={<PhoneDisabled fontSize="large" />} fullWidth onClick={leaveCall}>
                   Hang Up
                 </StyledButton>
+              ) : isCalling ? (
+                <StyledButton variant="contained" color="warning" startIcon={<PhoneMissed fontSize="large" />} fullWidth onClick={cancelCall}>
+                  Cancel Call
+                </StyledButton>
               ) : (
                 <StyledButton 
                   variant="contained" 
                   color="primary" 
-                  disabled={!idToCall || idToCall.trim() === ''} 
+                  disabled={!idToCall || idToCall.trim() === '' || typedUser?.status === PRESENCE_STATUS.DO_NOT_DISTURB} 
                   startIcon={<Phone fontSize="large" />} 
                   fullWidth 
                   onClick={handleCall}
@@ -197,19 +319,116 @@ const Sidebar = ({ children }) => {
                 </StyledButton>
               )}
             </StyledGridItem>
+            <StyledGridItem item xs={12}>
+              <Typography gutterBottom variant="h6">Online now</Typography>
+              {otherOnlineUsers.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">Nobody else is online.</Typography>
+              ) : (
+                <List dense sx={{ maxHeight: 240, overflowY: 'auto' }}>
+                  {otherOnlineUsers.map((user) => (
+                    <ListItem
+                      key={user.handle}
+                      secondaryAction={
+                        <Tooltip title={canBeCalled(user.status) ? `Call @${user.handle}` : `@${user.handle} cannot be called right now`}>
+                          {/* span: disabled buttons don't fire the events Tooltip needs */}
+                          <span>
+                            <IconButton
+                              edge="end"
+                              color="primary"
+                              disabled={!canBeCalled(user.status) || isBusyWithCall}
+                              onClick={() => callUser(user.handle)}
+                            >
+                              <Phone />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      }
+                    >
+                      <ListItemIcon sx={{ minWidth: 32 }}>
+                        <FiberManualRecord fontSize="small" sx={{ color: PRESENCE_COLORS[user.status] }} />
+                      </ListItemIcon>
+                      <ListItemText
+                        primary={`${user.name} (@${user.handle})`}
+                        secondary={PRESENCE_LABELS[user.status] || user.status}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </StyledGridItem>
+            <StyledGridItem item xs={12}>
+              <Typography gutterBottom variant="h6">Join a room</Typography>
+              <TextField 
+                label="Room name" 
+                value={roomToJoin} 
+                onChange={(e) => setRoomToJoin(e.target.value)} 
+                helperText={room ? `You are in room '${room}'` : 'Everyone who joins the same room name is connected together'}
+                fullWidth 
+              />
+              {room && room === roomToJoin.trim() ? (
+                <StyledButton variant="contained" color="secondary" startIcon={<ExitToApp fontSize="large" />} fullWidth onClick={leaveRoom}>
+                  Leave Room
+                </StyledButton>
+              ) : (
+                <StyledButton 
+                  variant="contained" 
+                  color="primary" 
+                  disabled={!roomToJoin || roomToJoin.trim() === ''} 
+                  startIcon={<GroupAdd fontSize="large" />} 
+                  fullWidth 
+                  onClick={handleJoinRoom}
+                >
+                  {room ? 'Switch Room' : 'Join Room'}
+                </StyledButton>
+              )}
+              {roomInviteLink && (
+                <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+                  <Button variant="outlined" fullWidth startIcon={<LinkIcon />} onClick={() => handleCopyLink(roomInviteLink)}>
+                    Copy room link
+                  </Button>
+                  <Tooltip title="Show as QR code">
+                    <Button variant="outlined" onClick={() => setQrInvite({ title: `Join room '${room}'`, link: roomInviteLink })}>
+                      <QrCode2 />
+                    </Button>
+                  </Tooltip>
+                </Box>
+              )}
+            </StyledGridItem>
           </StyledGridContainer>
         </StyledForm>
         {children}
       </Paper>
       <Snackbar 
-        open={showCopySnackBar} 
+        open={Boolean(copiedMessage)} 
         autoHideDuration={5000} 
         anchorOrigin={{ vertical: 'top', horizontal: 'center' }} 
-        onClose={() => setShowCopySnackBar(false)}
+        onClose={() => setCopiedMessage(null)}
       >
         <Alert severity="success">
-          Socket ID copied to clipboard!<br />
-          <strong>{me}</strong>
+          {copiedMessage?.title}<br />
+          <strong>{copiedMessage?.text}</strong>
+        </Alert>
+      </Snackbar>
+      <Dialog open={Boolean(qrInvite)} onClose={() => setQrInvite(null)}>
+        <DialogTitle>{qrInvite?.title}</DialogTitle>
+        <DialogContent sx={{ textAlign: 'center' }}>
+          {/* Scan with a phone camera to open the link there */}
+          {qrInvite && <QRCodeSVG value={qrInvite.link} size={220} marginSize={4} />}
+          <Typography variant="body2" sx={{ mt: 1, wordBreak: 'break-all' }}>{qrInvite?.link}</Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => handleCopyLink(qrInvite.link)}>Copy link</Button>
+          <Button onClick={() => setQrInvite(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+      <Snackbar 
+        open={callOutcome?.role === 'caller'} 
+        autoHideDuration={6000} 
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }} 
+        onClose={clearCallOutcome}
+      >
+        <Alert severity={callOutcome?.type === 'declined' ? 'error' : 'warning'} onClose={clearCallOutcome}>
+          {callOutcome?.message}
         </Alert>
       </Snackbar>
       <Snackbar open={warningMessage.open} autoHideDuration={5000} anchorOrigin={{ vertical: 'top', horizontal: 'center' }} onClose={() => setWarningMessage({ message: '', open: false })}>
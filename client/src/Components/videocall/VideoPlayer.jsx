@@ -8,14 +8,31 @@
  * - Remote video: Other person's camera feed (from WebRTC peer connection)
  * - Video elements use refs to attach MediaStream objects
  * - Streams are attached via srcObject property (not src)
+ * - In a room, every remote participant gets their own tile (one stream per peer)
+ * - Screen sharing replaces the camera track on the existing connections; the other
+ *   side is told about it so it can show a "Screen share" badge
+ * - Mute and camera-off only disable the tracks (the call keeps running); the
+ *   other side shows a muted badge or an avatar instead of a frozen frame
+ * - A call can be recorded locally; both sides see a recording indicator and the
+ *   recorder gets a WebM file to download when it stops
+ * - Signal bars on the remote video open live connection stats (CallStatsOverlay)
+ * - The camera/mic come from the devices picked in DeviceSettings, and remote
+ *   audio plays on the chosen speaker (HTMLMediaElement.setSinkId)
+ * - When the network drops, the call shows "Reconnecting..." while an ICE
+ *   restart looks for a new path (the last frame stays frozen meanwhile)
  */
 
 import React, { useCallback, useContext, useEffect, useRef, useState } from 'react';
-import { Grid, Typography, Paper, Box, Button, Switch, Chip, CircularProgress } from '@mui/material';
-import { VideocamOff as VideoOffIcon, Videocam as VideoOnIcon } from '@mui/icons-material/';
+import { Grid, Typography, Paper, Box, Button, Switch, Chip, CircularProgress, IconButton, Tooltip, Avatar } from '@mui/material';
+import { VideocamOff as VideoOffIcon, Videocam as VideoOnIcon, ScreenShare, StopScreenShare, Settings, Mic, MicOff, FiberManualRecord, Stop, Download } from '@mui/icons-material/';
 import VideocamOffOutlinedIcon from '@mui/icons-material/VideocamOffOutlined';
 import { styled } from '@mui/system';
 import { SocketContext } from '../../context/Context';
+import { buildMediaConstraints } from '../../services/mediaDevices';
+import { supportsRecording } from '../../services/callRecorder';
+import DeviceSettings from './DeviceSettings';
+import CallStatsOverlay from './CallStatsOverlay';
+import { RECONNECTION_STATES } from '../../services/callReconnection';
 
 
 const VideoSwitch = styled(Switch)(({ theme }) => ({
@@ -76,6 +93,167 @@ const StyledPaper = styled(Paper)(({ theme }) => ({
   margin: '10px',
 }));
 
+/**
+ * Badge over a video that shows a shared screen
+ */
+const ScreenShareBadge = ({ label = 'Screen share' }) => (
+  <Chip
+    icon={<ScreenShare />}
+    label={label}
+    color="info"
+    size="small"
+    sx={{ position: 'absolute', top: 8, left: 8 }}
+  />
+);
+
+/**
+ * Covers the (frozen) remote video while the connection is being restored
+ */
+const ReconnectingOverlay = () => (
+  <Box
+    sx={{
+      position: 'absolute',
+      inset: 0,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      gap: 1,
+      bgcolor: 'rgba(0, 0, 0, 0.6)',
+      color: '#fff'
+    }}
+  >
+    <CircularProgress size={32} color="inherit" />
+    <Typography variant="body2">Reconnecting...</Typography>
+  </Box>
+);
+
+/**
+ * Play a remote video's audio on the chosen speaker
+ * 
+ * @param {HTMLMediaElement} element - Remote <video> element
+ * @param {string} deviceId - Speaker ('' = browser default)
+ */
+const applyAudioOutput = (element, deviceId) => {
+  if (!element || typeof element.setSinkId !== 'function' || element.sinkId === deviceId) {
+    return;
+  }
+  element.setSinkId(deviceId).catch((error) => {
+    console.warn('[VIDEOPLAYER] Could not change speaker:', error);
+  });
+};
+
+/**
+ * What to show over a video when its sender muted the mic or turned the camera off
+ * 
+ * @param {string} name - Whose video it is (for the avatar)
+ * @param {Object} mediaState - { audioMuted, videoOff, screenSharing }
+ */
+const MediaStateOverlay = ({ name, mediaState = {} }) => (
+  <>
+    {/* A disabled camera sends black frames - show who it is instead */}
+    {mediaState.videoOff && !mediaState.screenSharing && (
+      <Box
+        sx={{
+          position: 'absolute',
+          inset: 0,
+          bgcolor: 'grey.900',
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          justifyContent: 'center',
+          gap: 1
+        }}
+      >
+        <Avatar sx={{ width: 72, height: 72, fontSize: 32, bgcolor: 'primary.main' }}>
+          {(name || '?').charAt(0).toUpperCase()}
+        </Avatar>
+        <Typography variant="body2" sx={{ color: 'grey.400' }}>
+          Camera off
+        </Typography>
+      </Box>
+    )}
+    {mediaState.audioMuted && (
+      <Chip
+        icon={<MicOff />}
+        label="Muted"
+        color="error"
+        size="small"
+        sx={{ position: 'absolute', bottom: 8, left: 8 }}
+      />
+    )}
+  </>
+);
+
+// Screens are shown whole (text must stay readable); cameras fill the tile
+const videoStyle = (isScreen) => ({
+  objectFit: isScreen ? 'contain' : 'cover',
+  width: '100%',
+  height: '100%'
+});
+
+/**
+ * Video tile for a single remote room participant
+ * Each tile owns its <video> element, so each needs its own ref
+ */
+const ParticipantTile = ({ participant, audioOutputId }) => {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = participant.stream || null;
+      applyAudioOutput(videoRef.current, audioOutputId);
+    }
+  }, [participant.stream, audioOutputId]);
+
+  return (
+    <Grid item xs={12} sm={6} md={4}>
+      <StyledPaper>
+        <Box sx={{ mb: 1, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Typography variant="h6" color="success.main" noWrap>
+            {participant.name || 'Remote User'}
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            Participant
+          </Typography>
+        </Box>
+
+        <Box 
+          sx={{ 
+            width: "100%", 
+            height: "250px", 
+            overflow: "hidden",
+            borderRadius: 1,
+            bgcolor: 'grey.900',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            position: 'relative'
+          }}
+        >
+          {participant.stream ? (
+            <video 
+              playsInline 
+              ref={videoRef} 
+              autoPlay 
+              style={videoStyle(participant.mediaState?.screenSharing)} 
+            />
+          ) : (
+            <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 1 }}>
+              <CircularProgress size={40} />
+              <Typography variant="body2" color="text.secondary">
+                Connecting...
+              </Typography>
+            </Box>
+          )}
+          {participant.stream && <MediaStateOverlay name={participant.name} mediaState={participant.mediaState} />}
+          {participant.stream && participant.mediaState?.screenSharing && <ScreenShareBadge />}
+        </Box>
+      </StyledPaper>
+    </Grid>
+  );
+};
+
 const VideoPlayer = () => {
   const { 
     name, 
@@ -86,7 +264,25 @@ const VideoPlayer = () => {
     userStream, 
     connectionStatus,
     isCalling,
-    call
+    callOutcome,
+    call,
+    room,
+    roomParticipants,
+    isScreenSharing,
+    remoteMediaState,
+    startScreenShare,
+    stopScreenShare,
+    devicePreferences,
+    refreshMediaDevices,
+    isAudioMuted,
+    isVideoOff,
+    toggleAudio,
+    toggleVideo,
+    isRecording,
+    lastRecording,
+    startRecording,
+    stopRecording,
+    mediaConnectionState
   } = useContext(SocketContext);
   
   // Refs for video elements
@@ -96,10 +292,18 @@ const VideoPlayer = () => {
   const [videoOn, setVideoOn] = useState(false);
   const [isLoadingStream, setIsLoadingStream] = useState(false);
   const [error, setError] = useState(null);
+  const [showDeviceSettings, setShowDeviceSettings] = useState(false);
+
+  // A call or room is using our media right now
+  const isInCall = isCalling || (callAccepted && !callEnded) || Boolean(room);
+
+  // The 1:1 call's media connection dropped and an ICE restart is under way
+  const isReconnecting = callAccepted && !callEnded && mediaConnectionState === RECONNECTION_STATES.RECONNECTING;
 
   /**
    * Attach media streams to video elements
-   * This runs whenever stream or userStream changes
+   * This runs whenever stream or userStream changes, and when screen sharing or
+   * a device switch swaps a local track (reloads the preview with the new track)
    */
   useEffect(() => {
     try {
@@ -117,6 +321,7 @@ const VideoPlayer = () => {
       if (userStream && uV.current) {
         console.log('[VIDEOPLAYER] Attaching remote stream to video element');
         uV.current.srcObject = userStream;
+        applyAudioOutput(uV.current, devicePreferences.audioOutputId);
       } else if (!userStream && uV.current) {
         // Clear video element when stream is removed
         uV.current.srcObject = null;
@@ -125,7 +330,7 @@ const VideoPlayer = () => {
       console.error('[VIDEOPLAYER] Error attaching stream:', error);
       setError('Failed to display video stream');
     }
-  }, [stream, userStream]);
+  }, [stream, userStream, isScreenSharing, devicePreferences]);
 
   /**
    * Request access to user's camera and microphone
@@ -138,12 +343,9 @@ const VideoPlayer = () => {
       
       console.log('[VIDEOPLAYER] Requesting camera and microphone access...');
       
-      // Request media stream from browser
+      // Request media stream from browser, from the devices picked in the settings
       // This will prompt the user for permission
-      const currentStream = await navigator.mediaDevices.getUserMedia({ 
-        video: true,  // Request video track
-        audio: true   // Request audio track
-      });
+      const currentStream = await navigator.mediaDevices.getUserMedia(buildMediaConstraints(devicePreferences));
       
       console.log('[VIDEOPLAYER] ✅ Media stream obtained:', {
         videoTracks: currentStream.getVideoTracks().length,
@@ -152,6 +354,9 @@ const VideoPlayer = () => {
       
       setStream(currentStream);
       setVideoOn(true);
+
+      // Device names are only visible after permission was granted
+      refreshMediaDevices();
     } catch (error) {
       console.error('[VIDEOPLAYER] ❌ Error accessing media devices:', error);
       
@@ -171,13 +376,17 @@ const VideoPlayer = () => {
     } finally {
       setIsLoadingStream(false);
     }
-  }, [setStream]);
+  }, [setStream, devicePreferences, refreshMediaDevices]);
 
   /**
    * Stop all media tracks and release camera/microphone
    */
   const closeVideo = useCallback(() => {
     try {
+      // Bring the camera track back first, so it is stopped too
+      if (isScreenSharing) {
+        stopScreenShare();
+      }
       if (stream) {
         console.log('[VIDEOPLAYER] Stopping media tracks...');
         stream.getTracks().forEach(track => {
@@ -191,7 +400,7 @@ const VideoPlayer = () => {
     } catch (error) {
       console.error('[VIDEOPLAYER] Error closing video:', error);
     }
-  }, [stream, setStream]);
+  }, [stream, setStream, isScreenSharing, stopScreenShare]);
 
   /**
    * Handle video toggle switch
@@ -226,6 +435,24 @@ const VideoPlayer = () => {
     }
   };
 
+  /**
+   * Short label for how the last call attempt ended
+   */
+  const getOutcomeLabel = () => {
+    switch (callOutcome?.type) {
+      case 'declined':
+        return 'Call Declined';
+      case 'busy':
+        return 'User Busy';
+      case 'cancelled':
+        return 'Call Cancelled';
+      case 'timedOut':
+        return callOutcome.role === 'caller' ? 'No Answer' : 'Missed Call';
+      default:
+        return null;
+    }
+  };
+
   /**
    * Get connection status text
    */
@@ -246,7 +473,7 @@ const VideoPlayer = () => {
   return (
     <Box sx={{ width: '100%', p: 2 }}>
       {/* Connection Status Indicator */}
-      <Box sx={{ mb: 2, display: 'flex', alignItems: 'center', gap: 1 }}>
+      <Box sx={{ mb: 2, display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
         <Chip 
           label={getStatusText()} 
           color={getStatusColor()} 
@@ -262,11 +489,65 @@ const VideoPlayer = () => {
         )}
         {callAccepted && !callEnded && (
           <Chip 
-            label="In Call" 
-            color="success" 
+            label={isReconnecting ? 'Reconnecting...' : 'In Call'} 
+            color={isReconnecting ? 'warning' : 'success'} 
+            size="small"
+            icon={isReconnecting ? <CircularProgress size={16} /> : undefined}
+          />
+        )}
+        {callOutcome && !isCalling && !(callAccepted && !callEnded) && (
+          <Chip 
+            label={getOutcomeLabel()} 
+            color={callOutcome.type === 'declined' ? 'error' : 'warning'} 
+            size="small"
+          />
+        )}
+        {room && (
+          <Chip 
+            label={`Room: ${room} (${roomParticipants.length + 1})`} 
+            color="secondary" 
             size="small"
           />
         )}
+        {/* Recording indicators - everyone in the call must know it is being recorded */}
+        {isRecording && (
+          <Chip 
+            label="Recording" 
+            color="error" 
+            size="small"
+            icon={<FiberManualRecord />}
+          />
+        )}
+        {callAccepted && !callEnded && remoteMediaState.recording && (
+          <Chip 
+            label={`${call?.name || 'Remote user'} is recording this call`} 
+            color="error" 
+            size="small"
+            variant="outlined"
+            icon={<FiberManualRecord />}
+          />
+        )}
+        {callAccepted && !callEnded && userStream && supportsRecording() && (
+          <Button
+            size="small"
+            color="error"
+            variant={isRecording ? 'contained' : 'outlined'}
+            startIcon={isRecording ? <Stop /> : <FiberManualRecord />}
+            onClick={isRecording ? stopRecording : startRecording}
+          >
+            {isRecording ? 'Stop recording' : 'Record'}
+          </Button>
+        )}
+        {lastRecording && !isRecording && (
+          <Button
+            size="small"
+            startIcon={<Download />}
+            href={lastRecording.url}
+            download={lastRecording.fileName}
+          >
+            Download recording ({(lastRecording.size / 1024 / 1024).toFixed(1)} MB)
+          </Button>
+        )}
       </Box>
 
       {/* Error Message */}
@@ -280,7 +561,7 @@ const VideoPlayer = () => {
 
       <StyledGridContainer container spacing={2}>
         {/* Local Video (Your Camera) */}
-        <Grid item xs={12} md={6}>
+        <Grid item xs={12} sm={room ? 6 : 12} md={room ? 4 : 6}>
           <StyledPaper>
             <Box sx={{ mb: 1, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
               <Typography color="primary" variant="h6">
@@ -317,11 +598,7 @@ const VideoPlayer = () => {
                   muted 
                   ref={myV} 
                   autoPlay 
-                  style={{ 
-                    objectFit: 'cover', 
-                    width: '100%', 
-                    height: '100%' 
-                  }} 
+                  style={videoStyle(isScreenSharing)} 
                 />
               ) : (
                 <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 1 }}>
@@ -331,20 +608,69 @@ const VideoPlayer = () => {
                   </Typography>
                 </Box>
               )}
+              {stream && (
+                <MediaStateOverlay
+                  name={name || 'You'}
+                  mediaState={{ audioMuted: isAudioMuted, videoOff: isVideoOff, screenSharing: isScreenSharing }}
+                />
+              )}
+              {stream && isScreenSharing && <ScreenShareBadge label="Sharing your screen" />}
             </Box>
             
             <Box sx={{ mt: 2, display: 'flex', alignItems: 'center', gap: 1 }}>
+              {/* Releasing the devices would cut the media of a running call - use mute/camera off instead */}
               <VideoSwitch 
                 checked={videoOn} 
                 onChange={handleVideoChange} 
-                disabled={isLoadingStream}
+                disabled={isLoadingStream || (videoOn && isInCall)}
                 icon={<VideoOffIcon style={{ color: "black" }} />} 
                 checkedIcon={<VideoOnIcon color='primary' />} 
               />
               <Typography variant="body2">
                 {videoOn ? 'Camera On' : 'Camera Off'}
               </Typography>
+              <Tooltip title={isAudioMuted ? 'Unmute microphone' : 'Mute microphone'}>
+                <span>
+                  <IconButton
+                    size="small"
+                    color={isAudioMuted ? 'error' : 'default'}
+                    onClick={() => toggleAudio()}
+                    disabled={!stream}
+                  >
+                    {isAudioMuted ? <MicOff /> : <Mic />}
+                  </IconButton>
+                </span>
+              </Tooltip>
+              <Tooltip title={isVideoOff ? 'Turn camera on' : 'Turn camera off'}>
+                <span>
+                  <IconButton
+                    size="small"
+                    color={isVideoOff ? 'error' : 'default'}
+                    onClick={() => toggleVideo()}
+                    disabled={!stream}
+                  >
+                    {isVideoOff ? <VideoOffIcon /> : <VideoOnIcon />}
+                  </IconButton>
+                </span>
+              </Tooltip>
+              <Button
+                size="small"
+                variant={isScreenSharing ? 'contained' : 'outlined'}
+                color={isScreenSharing ? 'error' : 'primary'}
+                startIcon={isScreenSharing ? <StopScreenShare /> : <ScreenShare />}
+                onClick={isScreenSharing ? stopScreenShare : startScreenShare}
+                disabled={!stream}
+                sx={{ ml: 'auto' }}
+              >
+                {isScreenSharing ? 'Stop sharing' : 'Share screen'}
+              </Button>
+              <Tooltip title="Devices and video quality">
+                <IconButton size="small" onClick={() => setShowDeviceSettings(true)}>
+                  <Settings />
+                </IconButton>
+              </Tooltip>
             </Box>
+            <DeviceSettings open={showDeviceSettings} onClose={() => setShowDeviceSettings(false)} />
           </StyledPaper>
         </Grid>
 
@@ -379,11 +705,7 @@ const VideoPlayer = () => {
                     playsInline 
                     ref={uV} 
                     autoPlay 
-                    style={{ 
-                      objectFit: 'cover', 
-                      width: '100%', 
-                      height: '100%' 
-                    }} 
+                    style={videoStyle(remoteMediaState.screenSharing)} 
                   />
                 ) : (
                   <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 1 }}>
@@ -393,10 +715,21 @@ const VideoPlayer = () => {
                     </Typography>
                   </Box>
                 )}
+                {userStream && <MediaStateOverlay name={call?.name || 'Remote User'} mediaState={remoteMediaState} />}
+                {userStream && <CallStatsOverlay />}
+                {userStream && remoteMediaState.screenSharing && (
+                  <ScreenShareBadge label={`${call?.name || 'Remote user'} is sharing their screen`} />
+                )}
+                {isReconnecting && <ReconnectingOverlay />}
               </Box>
             </StyledPaper>
           </Grid>
         )}
+
+        {/* Room Participants (one tile per remote peer) */}
+        {room && roomParticipants.map((participant) => (
+          <ParticipantTile key={participant.id} participant={participant} audioOutputId={devicePreferences.audioOutputId} />
+        ))}
       </StyledGridContainer>
     </Box>
   );
@@ -0,0 +1,271 @@
+/**
+ * Admin Console Page
+ *
+ * For operators (users listed in the server's ADMIN_USERS): who is connected,
+ * which calls are ringing or running, and a live feed of the signaling traffic.
+ * Operators can force-disconnect a socket or end a call.
+ *
+ * EDUCATIONAL NOTES:
+ * - Sockets and calls come from the REST API (/api/admin) and are refreshed every
+ *   few seconds, and whenever the feed reports a connect or disconnect
+ * - The live feed is a second Socket.IO connection to the '/admin' namespace -
+ *   the server only lets operators in, and regular clients never receive it
+ * - The feed only shows a summary of each event: SDPs and ICE candidates
+ *   contain users' IP addresses and are never sent to the console
+ */
+
+import React, { useCallback, useContext, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { io } from 'socket.io-client';
+import { Alert, Box, Button, Chip, Container, Grid, Paper, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Tooltip, Typography } from '@mui/material';
+import { ArrowBack, CallEnd, LinkOff, Pause, PlayArrow, Refresh } from '@mui/icons-material';
+import { SocketContext } from '../../context/Context';
+import { SERVER_URL, apiRequest } from '../../services/api';
+
+// How often sockets and calls are reloaded
+const REFRESH_INTERVAL_MS = 5000;
+
+// Feed entries kept on screen (newest first)
+const MAX_FEED_ENTRIES = 200;
+
+const formatTime = (isoDate) => (isoDate ? new Date(isoDate).toLocaleTimeString() : '-');
+
+/**
+ * One feed entry as a line of text
+ */
+const describeFeedEntry = ({ type, username, socketId, event, reason, action, ...details }) => {
+  switch (type) {
+    case 'connect':
+      return `${username} connected (${socketId}, ${details.ip})`;
+    case 'disconnect':
+      return `${username} disconnected (${socketId}): ${reason}`;
+    case 'admin':
+      return `Operator ${username}: ${action} ${details.callId || socketId}`;
+    default: {
+      const summary = Object.entries(details)
+        .filter(([key]) => key !== 'at')
+        .map(([key, value]) => `${key}=${value}`)
+        .join(' ');
+      return `${username} → ${event} ${summary}`;
+    }
+  }
+};
+
+const AdminConsole = () => {
+  const { user, authToken } = useContext(SocketContext);
+  const navigate = useNavigate();
+  const [sockets, setSockets] = useState([]);
+  const [calls, setCalls] = useState([]);
+  const [feed, setFeed] = useState([]);
+  // Snapshot shown while the feed is paused (new entries keep arriving underneath)
+  const [pausedFeed, setPausedFeed] = useState(null);
+  const [isFeedConnected, setIsFeedConnected] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Reload connected sockets and active calls
+   */
+  const load = useCallback(async () => {
+    try {
+      const [socketList, callList] = await Promise.all([
+        apiRequest('/api/admin/sockets', { token: authToken }),
+        apiRequest('/api/admin/calls', { token: authToken })
+      ]);
+      setSockets(socketList.sockets);
+      setCalls(callList.calls);
+      setError(null);
+    } catch (loadError) {
+      console.error('[ADMIN] Could not load sessions:', loadError);
+      setError(loadError.message);
+    }
+  }, [authToken]);
+
+  useEffect(() => {
+    load();
+    const interval = setInterval(load, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [load]);
+
+  // Live feed over the '/admin' namespace
+  useEffect(() => {
+    const feedSocket = io(`${SERVER_URL}/admin`, {
+      auth: { token: authToken },
+      transports: ['websocket', 'polling']
+    });
+
+    feedSocket.on('connect', () => setIsFeedConnected(true));
+    feedSocket.on('disconnect', () => setIsFeedConnected(false));
+    feedSocket.on('connect_error', (connectError) => {
+      console.error('[ADMIN] Live feed refused:', connectError.message);
+      setIsFeedConnected(false);
+      setError(`Live feed: ${connectError.message}`);
+    });
+    feedSocket.on('signalingEvent', (entry) => {
+      setFeed((current) => [entry, ...current].slice(0, MAX_FEED_ENTRIES));
+      if (entry.type !== 'event') {
+        load();
+      }
+    });
+
+    return () => {
+      feedSocket.disconnect();
+    };
+  }, [authToken, load]);
+
+  /**
+   * Run an operator action, then reload the lists
+   */
+  const runAction = async (path, confirmation) => {
+    if (!window.confirm(confirmation)) {
+      return;
+    }
+    try {
+      await apiRequest(path, { method: 'POST', token: authToken });
+    } catch (actionError) {
+      setError(actionError.message);
+    }
+    load();
+  };
+
+  const disconnectSocket = (socket) => runAction(
+    `/api/admin/sockets/${encodeURIComponent(socket.id)}/disconnect`,
+    `Disconnect ${socket.username} (${socket.id})? Their call ends.`
+  );
+
+  const endCall = (call) => runAction(
+    `/api/admin/calls/${encodeURIComponent(call.id)}/end`,
+    `End the call between ${call.caller.handle} and ${call.callee.handle}?`
+  );
+
+  const isFeedPaused = pausedFeed !== null;
+  const visibleFeed = pausedFeed || feed;
+
+  return (
+    <Container maxWidth="xl" sx={{ py: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3 }}>
+        <Button startIcon={<ArrowBack />} onClick={() => navigate('/')}>Back</Button>
+        <Typography variant="h4" sx={{ flexGrow: 1 }}>Admin console</Typography>
+        <Typography variant="body2" color="text.secondary">Signed in as {user.username}</Typography>
+        <Button startIcon={<Refresh />} onClick={load}>Refresh</Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} lg={7}>
+          <Paper sx={{ p: 2, mb: 3 }}>
+            <Typography variant="h6" gutterBottom>Connected sockets ({sockets.length})</Typography>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>User</TableCell>
+                    <TableCell>IP</TableCell>
+                    <TableCell>User agent</TableCell>
+                    <TableCell>Connected</TableCell>
+                    <TableCell>Call</TableCell>
+                    <TableCell align="right" />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {sockets.map((socket) => (
+                    <TableRow key={socket.id}>
+                      <TableCell>
+                        {socket.displayName} (@{socket.username})
+                        <Typography variant="caption" display="block" color="text.secondary">{socket.id}</Typography>
+                      </TableCell>
+                      <TableCell>{socket.ip}</TableCell>
+                      <TableCell sx={{ maxWidth: 240 }}>
+                        <Tooltip title={socket.userAgent || ''}>
+                          <Typography variant="body2" noWrap>{socket.userAgent || '-'}</Typography>
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell>{formatTime(socket.connectedAt)}</TableCell>
+                      <TableCell>{socket.call ? <Chip size="small" label={socket.call.state} /> : '-'}</TableCell>
+                      <TableCell align="right">
+                        <Button size="small" color="error" startIcon={<LinkOff />} onClick={() => disconnectSocket(socket)}>
+                          Disconnect
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                  {sockets.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={6} align="center">Nobody is connected</TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+
+          <Paper sx={{ p: 2 }}>
+            <Typography variant="h6" gutterBottom>Active calls ({calls.length})</Typography>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Caller</TableCell>
+                    <TableCell>Callee</TableCell>
+                    <TableCell>State</TableCell>
+                    <TableCell>Started</TableCell>
+                    <TableCell>Answered</TableCell>
+                    <TableCell align="right" />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {calls.map((call) => (
+                    <TableRow key={call.id}>
+                      <TableCell>@{call.caller.handle}</TableCell>
+                      <TableCell>@{call.callee.handle}</TableCell>
+                      <TableCell>
+                        <Chip size="small" label={call.state} color={call.state === 'connected' ? 'success' : 'warning'} />
+                      </TableCell>
+                      <TableCell>{formatTime(call.createdAt)}</TableCell>
+                      <TableCell>{formatTime(call.answeredAt)}</TableCell>
+                      <TableCell align="right">
+                        <Button size="small" color="error" startIcon={<CallEnd />} onClick={() => endCall(call)}>
+                          End call
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                  {calls.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={6} align="center">No active calls</TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} lg={5}>
+          <Paper sx={{ p: 2 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <Typography variant="h6" sx={{ flexGrow: 1 }}>Live feed</Typography>
+              <Chip size="small" label={isFeedConnected ? 'Live' : 'Offline'} color={isFeedConnected ? 'success' : 'default'} />
+              <Button size="small" startIcon={isFeedPaused ? <PlayArrow /> : <Pause />} onClick={() => setPausedFeed(isFeedPaused ? null : feed)}>
+                {isFeedPaused ? 'Resume' : 'Pause'}
+              </Button>
+              <Button size="small" onClick={() => { setFeed([]); setPausedFeed((paused) => (paused ? [] : null)); }}>Clear</Button>
+            </Box>
+            <Box sx={{ height: 560, overflowY: 'auto', fontFamily: 'monospace', fontSize: 12, bgcolor: 'grey.100', p: 1, borderRadius: 1 }}>
+              {isFeedPaused && <Typography variant="body2" color="text.secondary">Paused - new events are still collected</Typography>}
+              {visibleFeed.length === 0 && <Typography variant="body2" color="text.secondary">Waiting for signaling traffic...</Typography>}
+              {visibleFeed.map((entry, index) => (
+                <Box key={`${entry.at}-${index}`} sx={{ whiteSpace: 'nowrap' }}>
+                  <Box component="span" sx={{ color: 'text.secondary', mr: 1 }}>{formatTime(entry.at)}</Box>
+                  {describeFeedEntry(entry)}
+                </Box>
+              ))}
+            </Box>
+          </Paper>
+        </Grid>
+      </Grid>
+    </Container>
+  );
+};
+
+export default AdminConsole;
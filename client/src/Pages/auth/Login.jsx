@@ -0,0 +1,146 @@
+/**
+ * Login Page
+ *
+ * Shown in front of VideoChat until the user has logged in. When the app was
+ * opened through an invite link, it says so - the invite is used after login.
+ *
+ * EDUCATIONAL NOTES:
+ * - Logging in (or registering) calls the server's REST API, which returns a signed token
+ * - The token is then presented when the Socket.IO connection is opened
+ * - The signaling server refuses sockets without a valid token, so nobody can
+ *   ring other users anonymously or pretend to be someone else
+ */
+
+import React, { useContext, useState } from 'react';
+import { Alert, Box, Button, CircularProgress, Container, Link, Paper, TextField, Typography } from '@mui/material';
+import { Login as LoginIcon, PersonAdd } from '@mui/icons-material';
+import { SocketContext } from '../../context/Context';
+import { INVITE_TYPES } from '../../services/inviteLinks';
+
+/**
+ * @param {Object} props
+ * @param {Object} [props.invite] - { type, target } when opened through an invite link
+ */
+const Login = ({ invite }) => {
+  const { login, register, isRestoringSession } = useContext(SocketContext);
+  const [isRegistering, setIsRegistering] = useState(false);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Submit the login or registration form
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+
+    try {
+      if (isRegistering) {
+        await register(username.trim(), password, displayName.trim());
+      } else {
+        await login(username.trim(), password);
+      }
+    } catch (submitError) {
+      console.error('[LOGIN] ❌ Authentication failed:', submitError);
+      setError(submitError.message || 'Could not reach the server. Please try again.');
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Switch between "log in" and "create account"
+   */
+  const toggleMode = () => {
+    setIsRegistering((previous) => !previous);
+    setError(null);
+  };
+
+  // Checking a token from a previous visit - avoid flashing the form
+  if (isRestoringSession) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 10 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Container maxWidth="xs" sx={{ mt: 8 }}>
+      <Paper elevation={10} sx={{ p: 4 }}>
+        <Typography variant="h5" gutterBottom>
+          {isRegistering ? 'Create an account' : 'Log in to Video Chat'}
+        </Typography>
+
+        {invite && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            {invite.type === INVITE_TYPES.CALL
+              ? `Log in to call @${invite.target}.`
+              : `Log in to join room '${invite.target}'.`}
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>
+        )}
+
+        <Box component="form" onSubmit={handleSubmit} noValidate>
+          <TextField
+            label="Username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            margin="normal"
+            fullWidth
+            required
+          />
+          {isRegistering && (
+            <TextField
+              label="Display name"
+              value={displayName}
+              onChange={(e) => setDisplayName(e.target.value)}
+              helperText="Shown to the people you call"
+              margin="normal"
+              fullWidth
+            />
+          )}
+          <TextField
+            label="Password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={isRegistering ? 'new-password' : 'current-password'}
+            helperText={isRegistering ? 'At least 8 characters' : ''}
+            margin="normal"
+            fullWidth
+            required
+          />
+          <Button
+            type="submit"
+            variant="contained"
+            color="primary"
+            size="large"
+            startIcon={isRegistering ? <PersonAdd /> : <LoginIcon />}
+            disabled={isSubmitting || !username.trim() || !password}
+            sx={{ mt: 2 }}
+            fullWidth
+          >
+            {isRegistering ? 'Create Account' : 'Log In'}
+          </Button>
+        </Box>
+
+        <Typography variant="body2" sx={{ mt: 2 }}>
+          {isRegistering ? 'Already have an account? ' : 'New here? '}
+          <Link component="button" type="button" onClick={toggleMode}>
+            {isRegistering ? 'Log in' : 'Create an account'}
+          </Link>
+        </Typography>
+      </Paper>
+    </Container>
+  );
+};
+
+export default Login;
@@ -1,10 +1,58 @@
-import { Container, Typography } from "@mui/material";
-import React from "react";
+import { Box, Container, Grid, Typography } from "@mui/material";
+import React, { useCallback, useContext, useState } from "react";
+import { useNavigate } from "react-router-dom";
 import VideoPlayer from "../../Components/videocall/VideoPlayer";
 import Sidebar from "../../Components/videocall/Sidebar";
 import Notifications from "../../Components/videocall/Notifications";
+import RecentCalls from "../../Components/videocall/RecentCalls";
+import ChatPanel from "../../Components/videocall/ChatPanel";
+import FileTransfers from "../../Components/videocall/FileTransfers";
+import InviteDialog from "../../Components/videocall/InviteDialog";
+import { SocketContext } from "../../context/Context";
+
+/**
+ * @param {Object} props
+ * @param {Object} [props.invite] - { type, target } when opened through an invite link (see App.js)
+ */
+const VideoChat = ({ invite }) => {
+  const { callAccepted, callEnded, chatMessages, fileTransfers, isDataChannelOpen, sendFile } = useContext(SocketContext);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const navigate = useNavigate();
+
+  // An invite is used once - afterwards the URL goes back to the plain app
+  const closeInvite = useCallback(() => navigate("/", { replace: true }), [navigate]);
+
+  // Chat and files sit next to the video during a call, and stay afterwards
+  // while there is a transcript to export or a received file to download
+  const showCallPanels = (callAccepted && !callEnded) || chatMessages.length > 0 || fileTransfers.length > 0;
+
+  // Files dropped onto the call view are sent to the other party
+  const canDropFiles = isDataChannelOpen;
+
+  const handleDragOver = (event) => {
+    if (!canDropFiles || !event.dataTransfer.types.includes("Files")) {
+      return;
+    }
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "copy";
+    setIsDraggingFile(true);
+  };
+
+  const handleDragLeave = (event) => {
+    // Ignore moving between child elements
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      setIsDraggingFile(false);
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDraggingFile(false);
+    if (canDropFiles) {
+      Array.from(event.dataTransfer.files).forEach(sendFile);
+    }
+  };
 
-const VideoChat = () => {
   return (
     <>
       <Container maxWidth="xl" sx={{ width: "100%" }}>
@@ -15,10 +63,54 @@ const VideoChat = () => {
         >
           Video Chat
         </Typography>
-        <VideoPlayer />
-        <Sidebar>
-          <Notifications />
-        </Sidebar>
+        <Grid
+          container
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+          sx={{ position: "relative" }}
+        >
+          <Grid item xs={12} md={showCallPanels ? 8 : 12}>
+            <VideoPlayer />
+          </Grid>
+          {showCallPanels && (
+            <Grid item xs={12} md={4}>
+              <ChatPanel />
+              <FileTransfers />
+            </Grid>
+          )}
+          {isDraggingFile && (
+            <Box
+              sx={{
+                position: "absolute",
+                inset: 0,
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+                border: "3px dashed",
+                borderColor: "primary.main",
+                bgcolor: "rgba(255, 255, 255, 0.8)",
+                pointerEvents: "none",
+                zIndex: 1
+              }}
+            >
+              <Typography variant="h5" color="primary">Drop to send the file</Typography>
+            </Box>
+          )}
+        </Grid>
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={8}>
+            <Sidebar>
+              <Notifications />
+            </Sidebar>
+          </Grid>
+          <Grid item xs={12} md={4}>
+            <RecentCalls />
+          </Grid>
+        </Grid>
+        {invite && (
+          <InviteDialog key={`${invite.type}/${invite.target}`} invite={invite} onClose={closeInvite} />
+        )}
       </Container>
     </>
   );
@@ -14,13 +14,91 @@
  *    - Creates peer-to-peer connections for media streaming
  *    - Once connected, video/audio flows directly between browsers
  *    - Requires signaling to exchange connection offers/answers
+ *    - Uses Trickle ICE: network candidates are sent one by one as they are found,
+ *      instead of waiting for gathering to finish (much faster call setup)
  * 
  * 3. MEDIA STREAMS:
  *    - Local stream: Your own camera/microphone
  *    - Remote stream: The other person's camera/microphone
  * 
+ * 4. ROOMS (mesh):
+ *    - A room holds 3+ people; we keep ONE Peer per remote participant
+ *    - The newest member initiates a connection to everyone already in the room
+ *    - Each remote participant gets its own stream (and its own video tile)
+ * 
+ * 5. AUTHENTICATION & HANDLES:
+ *    - Users log in over REST and get a signed token (kept in localStorage)
+ *    - The socket only connects after login, presenting the token in its handshake
+ *    - The server registers our username as our handle, so others can call us by name
+ *    - Calls can target a handle; the server resolves it to the current socket ID
+ * 
+ * 6. CALL OUTCOMES:
+ *    - The server tracks every call and tells us how it ended if it never connected:
+ *      declined, busy, cancelled by the caller, or timed out (nobody answered)
+ *    - The latest outcome is kept in callOutcome so the UI can show it
+ * 
+ * 7. IN-CALL CHAT (data channel):
+ *    - Text messages travel over the call's WebRTC data channel, peer-to-peer
+ *    - The receiver answers every message with a 'delivered' receipt
+ *    - Typing indicators use the same channel (see services/dataChannel)
+ *    - The transcript is kept after the call ends so it can be exported
+ * 
+ * 8. FILE TRANSFER (data channel):
+ *    - Files are sent in chunks over the same data channel (see services/fileTransfer)
+ *    - A received file has to be accepted first - nothing arrives until the user agrees
+ *    - Transfers can be paused, resumed and cancelled, and are checked with a SHA-256 checksum
+ *    - Files never pass through the signaling server
+ * 
+ * 9. SCREEN SHARING:
+ *    - getDisplayMedia captures a screen/window as a video track
+ *    - replaceTrack swaps it in for the camera on every peer - no renegotiation needed
+ *    - Each side tells its peers what it is sending ('media:state' on the data channel)
+ * 
+ * 10. MUTE / CAMERA OFF:
+ *    - Muting disables the track (track.enabled = false): the connection stays up
+ *      and sends silence/black frames, so unmuting is instant
+ *    - The state goes to the other side with 'media:state', so it can show a
+ *      muted badge or an avatar instead of a frozen frame
+ * 
+ * 11. VIDEO QUALITY:
+ *    - Outgoing video is capped with RTCRtpSender.setParameters (bitrate, resolution, frame rate)
+ *    - 'auto' steps down when the network is congested and back up when it recovers
+ *      (see services/videoQuality); 'data saver' and 'high quality' are fixed
+ * 
+ * 12. RECORDING:
+ *    - Either side can record the call locally into a WebM file (see services/callRecorder)
+ *    - Starting/stopping is announced with 'media:state', so both sides show a recording indicator
+ * 
+ * 13. DEVICES:
+ *    - Camera, microphone and speaker can be chosen (remembered in localStorage)
+ *    - Switching camera/mic mid-call replaces the track on the live peers
+ *    - The device list is refreshed on 'devicechange' (plugging in a headset, ...)
+ * 
+ * 14. RECONNECTION (ICE restart):
+ *    - When the network blips, the media connection goes 'disconnected'/'failed'
+ *    - Instead of ending the call we restart ICE: a new offer/answer over the
+ *      signaling server ('callSignal') finds a new network path (see services/callReconnection)
+ *    - Retries back off and stop after a grace period - only then does the call end
+ * 
+ * 15. SIGNALING SESSION (reconnects):
+ *    - A reconnect gives us a new socket ID. The server hands out a session token
+ *      ('session') that we keep in sessionStorage and present when we reconnect
+ *    - The server then moves our handle and our call to the new socket and replays
+ *      what we missed (a ring, an answer, a hang-up) - the other side notices nothing
+ *    - If we were away too long the server ends our call; we hear that from
+ *      'session' { resumed: false } and clean up as well
+ *    - A duplicated tab copies sessionStorage: the server asks the socket holding the
+ *      session whether it is still there ('sessionProbe'), and only hands the session
+ *      over if it is not - a live tab keeps its call
+ * 
+ * 16. PRESENCE:
+ *    - The server sends who is online on connect ('presenceList'), then only
+ *      the changes ('presenceUpdate') - see services/presence
+ *    - We pick our own status (available, busy, do-not-disturb); 'in-call' is set by the server
+ *    - Users in do-not-disturb cannot be called
+ * 
  * FLOW:
- * 1. Connect to Socket.IO server → Get socket ID
+ * 1. Log in → Connect to Socket.IO server with the token → Get socket ID
  * 2. Get local media stream (getUserMedia)
  * 3. Create Peer instance when calling/answering
  * 4. Exchange signals via Socket.IO
@@ -31,30 +109,93 @@
 import React, { createContext, useState, useRef, useEffect, useCallback } from 'react';
 import { io } from 'socket.io-client';
 import Peer from 'simple-peer';
+import { SERVER_URL, apiRequest } from '../services/api';
+import { DATA_MESSAGE_TYPES, encodeDataMessage, decodeDataMessage, createMessageId } from '../services/dataChannel';
+import { formatTranscript, downloadTextFile } from '../services/chatTranscript';
+import { createFileTransferManager, isFileChunk, isFileTransferMessage } from '../services/fileTransfer';
+import { loadDevicePreferences, saveDevicePreferences, listMediaDevices } from '../services/mediaDevices';
+import { createVideoQualityController, VIDEO_QUALITY_PRESETS } from '../services/videoQuality';
+import { startCallRecording } from '../services/callRecorder';
+import { PRESENCE_STATUS, applyPresenceUpdate } from '../services/presence';
+import { createCallReconnection, RECONNECTION_STATES } from '../services/callReconnection';
+import { getPeerConnection } from '../services/peerInternals';
 
 const SocketContext = createContext();
 
 // Connect to the signaling server
 // This connection is used ONLY for signaling, not for media
-// Note: process.env is injected by Create React App at build time
-// In development, if not set, default to localhost:3001
-const getServerUrl = () => {
-  // Safely access process.env (may not be available in all contexts)
-  if (typeof process !== 'undefined' && process.env && process.env.REACT_APP_SERVER_URL) {
-    return process.env.REACT_APP_SERVER_URL;
-  }
-  // Default to localhost:3001 for development
-  return 'http://13.36.208.154:3001';
-};
-
-const SERVER_URL = getServerUrl();
+// It does not connect until the user has logged in (the server rejects sockets without a token)
 const socket = io.connect(SERVER_URL, {
+  autoConnect: false,
   reconnection: true,
   reconnectionDelay: 1000,
   reconnectionAttempts: 5,
   transports: ['websocket', 'polling']
 });
 
+// Key under which the login token is remembered between visits
+const TOKEN_STORAGE_KEY = 'webrtc.authToken';
+
+const getStoredToken = () => {
+  try {
+    return localStorage.getItem(TOKEN_STORAGE_KEY) || '';
+  } catch (error) {
+    // Storage can be unavailable (e.g. privacy mode) - the user just logs in again next time
+    return '';
+  }
+};
+
+const storeToken = (token) => {
+  try {
+    if (token) {
+      localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    } else {
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('[CONTEXT] Could not store login token:', error);
+  }
+};
+
+// Key under which this tab keeps its signaling session token (see api/services/signalingSessions)
+// sessionStorage: it survives reconnects and reloads, but every tab gets its own
+const SIGNALING_SESSION_STORAGE_KEY = 'webrtc.signalingSession';
+
+const getStoredSignalingSession = () => {
+  try {
+    return sessionStorage.getItem(SIGNALING_SESSION_STORAGE_KEY) || '';
+  } catch (error) {
+    return '';
+  }
+};
+
+const storeSignalingSession = (sessionToken) => {
+  try {
+    if (sessionToken) {
+      sessionStorage.setItem(SIGNALING_SESSION_STORAGE_KEY, sessionToken);
+    } else {
+      sessionStorage.removeItem(SIGNALING_SESSION_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('[CONTEXT] Could not store signaling session:', error);
+  }
+};
+
+// Fetch fresh ICE servers when the cached TURN credentials have less than this left
+const ICE_CREDENTIALS_MIN_REMAINING_MS = 5 * 60 * 1000;
+
+// Stop showing "typing..." if the other side goes quiet without saying it stopped
+const TYPING_INDICATOR_TIMEOUT_MS = 5000;
+
+// Server rejections that concern a call the user is actively placing/answering
+const CALL_ERROR_EVENTS = ['callUser', 'answerCall', 'declineCall', 'cancelCall', 'endCall'];
+
+// Friendlier wording for abuse-protection errors
+const CALL_ERROR_MESSAGES = {
+  RATE_LIMITED: 'You are placing calls too quickly. Please wait a few seconds and try again.',
+  BANNED: 'Too many rejected requests from your network. Please try again in a few minutes.'
+};
+
 const ContextProvider = ({ children }) => {
   // Call state
   const [callAccepted, setCallAccepted] = useState(false);
@@ -65,13 +206,57 @@ const ContextProvider = ({ children }) => {
   const [stream, setStream] = useState(null); // Local stream (your camera/mic)
   const [userStream, setUserStream] = useState(null); // Remote stream (other person's camera/mic)
   
+  // Authentication
+  const [user, setUser] = useState(null); // Logged-in account ({ username, displayName, isAdmin }), null when logged out
+  const [authToken, setAuthToken] = useState(''); // Signed token from the login endpoint
+  const [isRestoringSession, setIsRestoringSession] = useState(() => Boolean(getStoredToken()));
+  
   // User info
   const [name, setName] = useState('');
   const [me, setMe] = useState(''); // Socket ID (used to identify this user)
+  const [handle, setHandle] = useState(''); // Our handle (= username) - what others use to call us
+  const [userSearchResults, setUserSearchResults] = useState([]); // [{ handle, name }] from the directory
+  
+  // Presence: everyone online (including us) and the status we picked
+  const [onlineUsers, setOnlineUsers] = useState([]); // [{ handle, name, status }], sorted by handle
+  const [presenceStatus, setPresenceStatusState] = useState(PRESENCE_STATUS.AVAILABLE);
   
   // Connection status
   const [connectionStatus, setConnectionStatus] = useState('disconnected'); // disconnected, connecting, connected, error
   const [isCalling, setIsCalling] = useState(false);
+  const [callOutcome, setCallOutcome] = useState(null); // { type, role, message } - how the last call attempt ended
+  
+  // Room state (multi-party mesh)
+  const [room, setRoom] = useState(null); // Name of the room we are in (null when not in a room)
+  const [roomParticipants, setRoomParticipants] = useState([]); // [{ id, name, stream }] for each remote participant
+  
+  // In-call chat (over the call's data channel)
+  const [chatMessages, setChatMessages] = useState([]); // [{ id, author, text, sentAt, fromMe, status }]
+  const [isDataChannelOpen, setIsDataChannelOpen] = useState(false); // Chat can only be sent while connected
+  const [peerTyping, setPeerTyping] = useState(null); // Name of the other party while they type, else null
+  const [fileTransfers, setFileTransfers] = useState([]); // Files sent/received during the call (see services/fileTransfer)
+  
+  // Screen sharing and what the other side of a 1:1 call is sending
+  const [isScreenSharing, setIsScreenSharing] = useState(false);
+  const [remoteMediaState, setRemoteMediaState] = useState({}); // { screenSharing, audioMuted, videoOff }
+  
+  // Our own mic/camera toggles (the tracks stay, they are only disabled)
+  const [isAudioMuted, setIsAudioMuted] = useState(false);
+  const [isVideoOff, setIsVideoOff] = useState(false);
+  
+  // Cameras, microphones and speakers, and which ones the user picked (see services/mediaDevices)
+  const [mediaDevices, setMediaDevices] = useState({ videoinput: [], audioinput: [], audiooutput: [] });
+  const [devicePreferences, setDevicePreferences] = useState(loadDevicePreferences);
+  
+  // Outgoing video quality: the chosen preset and the level currently sent
+  const [videoQuality, setVideoQuality] = useState({ preset: VIDEO_QUALITY_PRESETS.AUTO, level: null });
+  
+  // Media connection of the 1:1 call: connected, or reconnecting after a network blip
+  const [mediaConnectionState, setMediaConnectionState] = useState(RECONNECTION_STATES.CONNECTED);
+  
+  // Local call recording
+  const [isRecording, setIsRecording] = useState(false);
+  const [lastRecording, setLastRecording] = useState(null); // { url, fileName, size } of the last finished recording
   
   // Legacy refs (kept for backward compatibility)
   const [loadMyCamera, setLoadMyCamera] = useState(null);
@@ -81,26 +266,67 @@ const ContextProvider = ({ children }) => {
   // WebRTC peer connection reference
   const connectionRef = useRef(null);
   
+  // ICE restart logic watching the call's peer (see services/callReconnection)
+  const reconnectionRef = useRef(null);
+  
+  // Room peer connections: remote socket ID -> Peer instance (one per participant)
+  const peersRef = useRef(new Map());
+  
+  // Outgoing call while it rings: { callId, to } (the call ID is needed to cancel it)
+  const outgoingCallRef = useRef(null);
+  
+  // ICE candidates that arrived before we created our peer (e.g. while the call is ringing)
+  // [{ from, candidate }] - applied as soon as we answer
+  const pendingCandidatesRef = useRef([]);
+  
+  // Latest STUN/TURN configuration from the server: { iceServers, expiresAt }
+  // TURN credentials are short-lived, so this is refreshed before it runs out
+  const iceConfigRef = useRef({ iceServers: [], expiresAt: 0 });
+  
+  // Clears the "typing..." indicator if the other side stops sending updates
+  const peerTypingTimeoutRef = useRef(null);
+  
+  // Runs file transfers over the call's data channel (created once, always uses the current peer)
+  const [fileTransferManager] = useState(() => createFileTransferManager({
+    getPeer: () => connectionRef.current,
+    onChange: setFileTransfers
+  }));
+  
+  // Adapts the 1:1 call's outgoing video to the network
+  const [videoQualityController] = useState(() => createVideoQualityController({
+    getPeerConnection: () => getPeerConnection(connectionRef.current),
+    onChange: setVideoQuality
+  }));
+  
+  // What we are sending, announced to every peer on connect and whenever it changes
+  const localMediaStateRef = useRef({ screenSharing: false, audioMuted: false, videoOff: false, recording: false });
+  
+  // The camera track waiting to come back while the screen is shared
+  const cameraTrackRef = useRef(null);
+  
+  // The running call recording (see services/callRecorder)
+  const recorderRef = useRef(null);
+  
   // Track if socket is already initialized (prevents duplicate listeners during hot reload)
   const socketInitializedRef = useRef(false);
   
   // Refs to track call state (for use in socket event handlers to avoid stale closures)
-  const callAcceptedRef = useRef(callAccepted);
   const callRef = useRef(call);
-  const userStreamRef = useRef(userStream);
+  const streamRef = useRef(stream);
+  const lastSearchRef = useRef('');
   
   // Update refs when state changes
-  useEffect(() => {
-    callAcceptedRef.current = callAccepted;
-  }, [callAccepted]);
-  
   useEffect(() => {
     callRef.current = call;
   }, [call]);
   
   useEffect(() => {
-    userStreamRef.current = userStream;
-  }, [userStream]);
+    streamRef.current = stream;
+    // A freshly opened camera/mic starts unmuted
+    setIsAudioMuted(false);
+    setIsVideoOff(false);
+    localMediaStateRef.current = { ...localMediaStateRef.current, audioMuted: false, videoOff: false };
+  }, [stream]);
 
   /**
    * Initialize Socket.IO connection and set up event listeners
@@ -161,6 +387,349 @@ const ContextProvider = ({ children }) => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  /**
+   * Tell one peer what we are sending (screen share, ...)
+   * 
+   * @param {Peer} peer - Call or room peer
+   */
+  const sendMediaState = useCallback((peer) => {
+    if (!peer || !peer.connected) {
+      return;
+    }
+    try {
+      peer.send(encodeDataMessage(DATA_MESSAGE_TYPES.MEDIA_STATE, localMediaStateRef.current));
+    } catch (error) {
+      console.warn('[CONTEXT] Could not send media state:', error.message);
+    }
+  }, []);
+
+  /**
+   * Change what we announce we are sending, and tell the call and room peers
+   * 
+   * @param {Object} changes - e.g. { screenSharing: true }
+   */
+  const updateLocalMediaState = useCallback((changes) => {
+    localMediaStateRef.current = { ...localMediaStateRef.current, ...changes };
+    [connectionRef.current, ...peersRef.current.values()].forEach(sendMediaState);
+  }, [sendMediaState]);
+
+  /**
+   * Swap one of our outgoing tracks on every peer, without renegotiating
+   * 
+   * RTCRtpSender.replaceTrack() (via simple-peer) keeps the same sender, so the
+   * other side just sees different frames. The local stream is updated too, so
+   * the preview and peers created later use the new track.
+   * 
+   * @param {MediaStreamTrack} oldTrack - Track currently in the local stream
+   * @param {MediaStreamTrack} newTrack - Track to send instead
+   */
+  const replaceOutgoingTrack = useCallback((oldTrack, newTrack) => {
+    const localStream = streamRef.current;
+    [connectionRef.current, ...peersRef.current.values()].forEach((peer) => {
+      if (!peer || peer.destroyed) {
+        return;
+      }
+      try {
+        peer.replaceTrack(oldTrack, newTrack, localStream);
+      } catch (error) {
+        console.error('[CONTEXT] ❌ Could not replace track on a peer:', error);
+      }
+    });
+
+    if (localStream) {
+      localStream.removeTrack(oldTrack);
+      localStream.addTrack(newTrack);
+    }
+  }, []);
+
+  /**
+   * Stop sharing the screen and send the camera again
+   * Also runs when the user clicks the browser's own "Stop sharing" button
+   */
+  const stopScreenShare = useCallback(() => {
+    const cameraTrack = cameraTrackRef.current;
+    const screenTrack = streamRef.current?.getVideoTracks()[0];
+    if (!cameraTrack) {
+      return;
+    }
+    cameraTrackRef.current = null;
+
+    if (screenTrack && screenTrack !== cameraTrack) {
+      replaceOutgoingTrack(screenTrack, cameraTrack);
+      screenTrack.onended = null;
+      screenTrack.stop();
+    }
+
+    console.log('[CONTEXT] 🖥️ Screen sharing stopped');
+    setIsScreenSharing(false);
+    updateLocalMediaState({ screenSharing: false });
+  }, [replaceOutgoingTrack, updateLocalMediaState]);
+
+  /**
+   * Share a screen, window or tab instead of the camera
+   */
+  const startScreenShare = useCallback(async () => {
+    const cameraTrack = streamRef.current?.getVideoTracks()[0];
+    if (!cameraTrack) {
+      alert('Please enable your camera first!');
+      return;
+    }
+    if (cameraTrackRef.current) {
+      return; // Already sharing
+    }
+    if (!navigator.mediaDevices?.getDisplayMedia) {
+      alert('Screen sharing is not supported in this browser.');
+      return;
+    }
+
+    try {
+      // The browser asks the user what to share
+      const displayStream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: false });
+      const screenTrack = displayStream.getVideoTracks()[0];
+
+      // Keep the camera running so it comes back instantly
+      cameraTrackRef.current = cameraTrack;
+      replaceOutgoingTrack(cameraTrack, screenTrack);
+      screenTrack.onended = stopScreenShare;
+
+      console.log('[CONTEXT] 🖥️ Screen sharing started');
+      setIsScreenSharing(true);
+      updateLocalMediaState({ screenSharing: true });
+    } catch (error) {
+      if (error.name === 'NotAllowedError') {
+        console.log('[CONTEXT] Screen sharing cancelled by the user');
+        return;
+      }
+      console.error('[CONTEXT] ❌ Could not share screen:', error);
+      alert(`Could not share your screen: ${error.message}`);
+    }
+  }, [replaceOutgoingTrack, stopScreenShare, updateLocalMediaState]);
+
+  /**
+   * Mute or unmute the microphone
+   * 
+   * @param {boolean} [muted] - New state (default: toggle)
+   */
+  const toggleAudio = useCallback((muted = !localMediaStateRef.current.audioMuted) => {
+    const localStream = streamRef.current;
+    if (!localStream) {
+      return;
+    }
+    localStream.getAudioTracks().forEach((track) => {
+      track.enabled = !muted;
+    });
+    setIsAudioMuted(muted);
+    updateLocalMediaState({ audioMuted: muted });
+  }, [updateLocalMediaState]);
+
+  /**
+   * Turn the camera off or on
+   * While the screen is shared this applies to the camera waiting to come back
+   * 
+   * @param {boolean} [off] - New state (default: toggle)
+   */
+  const toggleVideo = useCallback((off = !localMediaStateRef.current.videoOff) => {
+    const cameraTrack = cameraTrackRef.current || streamRef.current?.getVideoTracks()[0];
+    if (!cameraTrack) {
+      return;
+    }
+    cameraTrack.enabled = !off;
+    setIsVideoOff(off);
+    updateLocalMediaState({ videoOff: off });
+  }, [updateLocalMediaState]);
+
+  /**
+   * Read the 1:1 call's connection statistics (RTCPeerConnection.getStats)
+   * 
+   * @returns {Promise<Array<Object>|null>} Stats reports, or null without a connected call
+   */
+  const getCallStats = useCallback(() => new Promise((resolve) => {
+    const peer = connectionRef.current;
+    if (!peer || peer.destroyed) {
+      resolve(null);
+      return;
+    }
+    try {
+      peer.getStats((error, reports) => resolve(error ? null : reports));
+    } catch (error) {
+      // The connection may be closing
+      resolve(null);
+    }
+  }), []);
+
+  /**
+   * Remember a device choice
+   * 
+   * @param {Object} changes - e.g. { videoInputId: '...' }
+   */
+  const updateDevicePreferences = useCallback((changes) => {
+    setDevicePreferences((prev) => {
+      const next = { ...prev, ...changes };
+      saveDevicePreferences(next);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Re-read the list of cameras, microphones and speakers
+   * 
+   * @returns {Promise<Object>} The devices, grouped by kind
+   */
+  const refreshMediaDevices = useCallback(async () => {
+    try {
+      const devices = await listMediaDevices();
+      setMediaDevices(devices);
+      return devices;
+    } catch (error) {
+      console.error('[CONTEXT] ❌ Could not list media devices:', error);
+      return null;
+    }
+  }, []);
+
+  /**
+   * Use another camera or microphone
+   * 
+   * Without a local stream the choice is only remembered (used when the camera
+   * is turned on). During a call the new track replaces the old one on every peer.
+   * 
+   * @param {string} kind - 'videoinput' or 'audioinput'
+   * @param {string} deviceId - Device to use ('' = browser default)
+   * @param {Object} [options]
+   * @param {boolean} [options.remember] - Save as the user's choice (false for automatic fallbacks)
+   */
+  const switchInputDevice = useCallback(async (kind, deviceId, { remember = true } = {}) => {
+    const isVideo = kind === 'videoinput';
+    const preferenceKey = isVideo ? 'videoInputId' : 'audioInputId';
+    const localStream = streamRef.current;
+
+    if (!localStream) {
+      if (remember) {
+        updateDevicePreferences({ [preferenceKey]: deviceId });
+      }
+      return;
+    }
+
+    try {
+      const constraints = deviceId ? { deviceId: { exact: deviceId } } : true;
+      const deviceStream = await navigator.mediaDevices.getUserMedia(isVideo ? { video: constraints } : { audio: constraints });
+      const newTrack = isVideo ? deviceStream.getVideoTracks()[0] : deviceStream.getAudioTracks()[0];
+
+      // While the screen is shared, the camera is not being sent - swap the one waiting to come back
+      const oldTrack = isVideo && cameraTrackRef.current
+        ? cameraTrackRef.current
+        : (isVideo ? localStream.getVideoTracks()[0] : localStream.getAudioTracks()[0]);
+
+      if (oldTrack) {
+        newTrack.enabled = oldTrack.enabled; // Keep muted/camera-off as it was
+        if (oldTrack === cameraTrackRef.current) {
+          cameraTrackRef.current = newTrack;
+        } else {
+          replaceOutgoingTrack(oldTrack, newTrack);
+        }
+        oldTrack.stop();
+      } else {
+        newTrack.stop();
+      }
+
+      console.log(`[CONTEXT] 🎛️ Switched ${isVideo ? 'camera' : 'microphone'} to`, newTrack.label);
+      if (remember) {
+        updateDevicePreferences({ [preferenceKey]: deviceId });
+      }
+    } catch (error) {
+      console.error('[CONTEXT] ❌ Could not switch device:', error);
+      alert(`Could not switch ${isVideo ? 'camera' : 'microphone'}: ${error.message}`);
+    }
+  }, [replaceOutgoingTrack, updateDevicePreferences]);
+
+  /**
+   * Play remote audio on another speaker (applied by VideoPlayer with setSinkId)
+   * 
+   * @param {string} deviceId - Speaker to use ('' = browser default)
+   */
+  const setAudioOutputDevice = useCallback((deviceId) => {
+    updateDevicePreferences({ audioOutputId: deviceId });
+  }, [updateDevicePreferences]);
+
+  // Keep the device list current, and fall back to the default device when the one in use is unplugged
+  useEffect(() => {
+    if (!navigator.mediaDevices?.addEventListener) {
+      return undefined;
+    }
+
+    const handleDeviceChange = async () => {
+      const devices = await refreshMediaDevices();
+      const localStream = streamRef.current;
+      if (!devices || !localStream) {
+        return;
+      }
+
+      const tracksInUse = {
+        videoinput: cameraTrackRef.current || localStream.getVideoTracks()[0],
+        audioinput: localStream.getAudioTracks()[0]
+      };
+      Object.entries(tracksInUse).forEach(([kind, track]) => {
+        const deviceId = track?.getSettings().deviceId;
+        if (deviceId && !devices[kind].some((device) => device.deviceId === deviceId)) {
+          console.warn(`[CONTEXT] ${kind} in use was removed - switching to the default`);
+          // Keep the saved choice, so the device is used again when it comes back
+          switchInputDevice(kind, '', { remember: false });
+        }
+      });
+    };
+
+    refreshMediaDevices();
+    navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', handleDeviceChange);
+  }, [refreshMediaDevices, switchInputDevice]);
+
+  /**
+   * Stop recording and offer the file for download
+   */
+  const stopRecording = useCallback(async () => {
+    const recorder = recorderRef.current;
+    if (!recorder) {
+      return;
+    }
+    recorderRef.current = null;
+    setIsRecording(false);
+    updateLocalMediaState({ recording: false });
+
+    const blob = await recorder.stop();
+    setLastRecording((previous) => {
+      if (previous) {
+        URL.revokeObjectURL(previous.url);
+      }
+      return {
+        url: URL.createObjectURL(blob),
+        fileName: `call-recording-${new Date().toISOString().replace(/[:.]/g, '-')}.webm`,
+        size: blob.size
+      };
+    });
+  }, [updateLocalMediaState]);
+
+  /**
+   * Record the 1:1 call (both videos side by side, both voices mixed)
+   * The other party is told, so they see that they are being recorded
+   */
+  const startRecording = useCallback(() => {
+    if (recorderRef.current || !streamRef.current || !userStream) {
+      return;
+    }
+    try {
+      recorderRef.current = startCallRecording({
+        localStream: streamRef.current,
+        remoteStream: userStream,
+        labels: [name || 'Me', callRef.current?.name || 'Remote user']
+      });
+      setIsRecording(true);
+      updateLocalMediaState({ recording: true });
+    } catch (error) {
+      console.error('[CONTEXT] ❌ Could not start recording:', error);
+      recorderRef.current = null;
+      alert(`Could not start recording: ${error.message}`);
+    }
+  }, [userStream, name, updateLocalMediaState]);
+
   /**
    * Internal function to handle call cleanup
    */
@@ -168,8 +737,26 @@ const ContextProvider = ({ children }) => {
     setCallEnded(true);
     setCallAccepted(false);
     setIsCalling(false);
+    pendingCandidatesRef.current = [];
+    outgoingCallRef.current = null;
+
+    // The chat transcript stays (it can be exported), but nobody is on the other end anymore
+    setIsDataChannelOpen(false);
+    setPeerTyping(null);
+    clearTimeout(peerTypingTimeoutRef.current);
+    fileTransferManager.interruptAll();
+    videoQualityController.stop();
+    reconnectionRef.current?.stop();
+    reconnectionRef.current = null;
+    setMediaConnectionState(RECONNECTION_STATES.CONNECTED);
+    setRemoteMediaState({});
+    // Keep what was recorded so far
+    stopRecording();
     
     try {
+      // Put the camera back so it is stopped with the rest of the local stream
+      stopScreenShare();
+
       // Destroy WebRTC peer connection
       if (connectionRef.current) {
         console.log('[CONTEXT] Destroying peer connection...');
@@ -203,7 +790,266 @@ const ContextProvider = ({ children }) => {
     } catch (error) {
       console.error('[CONTEXT] Error during call cleanup:', error);
     }
-  }, [stream, userStream]);
+  }, [stream, userStream, fileTransferManager, videoQualityController, stopScreenShare, stopRecording]);
+
+  // The latest handleCallEnd, for socket listeners and timers that outlive the render that
+  // created them (the listeners are registered once, when stream/userStream are still null)
+  const handleCallEndRef = useRef(handleCallEnd);
+  useEffect(() => {
+    handleCallEndRef.current = handleCallEnd;
+  }, [handleCallEnd]);
+
+  /**
+   * Add a remote room participant, or update the one we already know about
+   * 
+   * @param {string} id - Socket ID of the remote participant
+   * @param {Object} changes - Fields to set (name, stream)
+   */
+  const upsertRoomParticipant = useCallback((id, changes) => {
+    setRoomParticipants((prev) => {
+      if (!prev.some((participant) => participant.id === id)) {
+        return [...prev, { id, name: 'Anonymous', stream: null, mediaState: {}, ...changes }];
+      }
+      return prev.map((participant) => (
+        participant.id === id ? { ...participant, ...changes } : participant
+      ));
+    });
+  }, []);
+
+  /**
+   * Destroy the peer connection to one room participant and remove their tile
+   * 
+   * @param {string} id - Socket ID of the remote participant
+   */
+  const removeRoomPeer = useCallback((id) => {
+    const peer = peersRef.current.get(id);
+    if (peer) {
+      // Delete first so the peer's 'close' handler does not run this twice
+      peersRef.current.delete(id);
+      peer.destroy();
+    }
+    setRoomParticipants((prev) => prev.filter((participant) => participant.id !== id));
+  }, []);
+
+  /**
+   * Get the ICE servers (STUN + TURN) to create a peer with
+   * 
+   * TURN credentials are issued by the server and expire (coturn REST API scheme),
+   * so they are fetched again whenever the cached ones are about to run out.
+   * They are never built into the app bundle.
+   * 
+   * @returns {Promise<Array<Object>>} RTCIceServer list for new Peer({ config: { iceServers } })
+   */
+  const getIceServers = useCallback(async () => {
+    const cached = iceConfigRef.current;
+    if (cached.expiresAt - Date.now() > ICE_CREDENTIALS_MIN_REMAINING_MS) {
+      return cached.iceServers;
+    }
+
+    try {
+      // socket.auth always holds the current login token (set in startSession)
+      const { iceServers, ttl } = await apiRequest('/api/ice-servers', { token: socket.auth?.token });
+      iceConfigRef.current = { iceServers, expiresAt: Date.now() + ttl * 1000 };
+      return iceServers;
+    } catch (error) {
+      // Without fresh servers the call may still work on simple networks - try anyway
+      console.warn('[CONTEXT] Could not fetch ICE servers:', error.message);
+      return cached.iceServers;
+    }
+  }, []);
+
+  /**
+   * Handle a message from the other party on the call's data channel
+   * 
+   * @param {string|Uint8Array} data - Raw message (see services/dataChannel)
+   */
+  const handleCallData = useCallback((data) => {
+    // File contents arrive as binary chunks rather than JSON messages
+    if (isFileChunk(data)) {
+      fileTransferManager.handleChunk(data);
+      return;
+    }
+
+    const message = decodeDataMessage(data);
+    if (!message) {
+      console.warn('[CONTEXT] Ignoring unknown data channel message');
+      return;
+    }
+
+    switch (message.type) {
+      case DATA_MESSAGE_TYPES.CHAT_MESSAGE:
+        setChatMessages((prev) => [...prev, {
+          id: message.id,
+          author: message.author,
+          text: message.text,
+          sentAt: message.sentAt,
+          fromMe: false
+        }]);
+        // A message also means they stopped typing
+        setPeerTyping(null);
+        // Tell the sender it arrived
+        connectionRef.current?.send(encodeDataMessage(DATA_MESSAGE_TYPES.CHAT_DELIVERED, { id: message.id }));
+        break;
+
+      case DATA_MESSAGE_TYPES.CHAT_DELIVERED:
+        setChatMessages((prev) => prev.map((chatMessage) => (
+          chatMessage.id === message.id ? { ...chatMessage, status: 'delivered' } : chatMessage
+        )));
+        break;
+
+      case DATA_MESSAGE_TYPES.CHAT_TYPING:
+        clearTimeout(peerTypingTimeoutRef.current);
+        if (message.isTyping) {
+          setPeerTyping(message.author || 'Remote user');
+          peerTypingTimeoutRef.current = setTimeout(() => setPeerTyping(null), TYPING_INDICATOR_TIMEOUT_MS);
+        } else {
+          setPeerTyping(null);
+        }
+        break;
+
+      case DATA_MESSAGE_TYPES.MEDIA_STATE: {
+        const { type, ...mediaState } = message;
+        setRemoteMediaState(mediaState);
+        break;
+      }
+
+      default:
+        if (isFileTransferMessage(message)) {
+          fileTransferManager.handleMessage(message);
+          break;
+        }
+        console.warn('[CONTEXT] Unhandled data channel message type:', message.type);
+    }
+  }, [fileTransferManager]);
+
+  /**
+   * Send a signal from the call's peer to the other party
+   * The first offer/answer starts the call ('callUser'/'answerCall'); later ones
+   * (ICE restarts) are relayed with 'callSignal'
+   * 
+   * @param {Object} data - Offer, answer or renegotiate request from simple-peer
+   * @param {string} callId - The call's ID
+   */
+  const sendRenegotiationSignal = useCallback((data, callId) => {
+    console.log(`[CONTEXT] 📤 Sending ${data.type} signal (renegotiation)`);
+    socket.emit('callSignal', { callId, signal: data });
+  }, []);
+
+  /**
+   * Wire a new 1:1 call peer to the chat, file transfers, media state, video quality control
+   * and reconnection
+   * Starts a fresh transcript - the previous call's chat and files are gone once a new call begins
+   * 
+   * @param {Peer} peer - The call's simple-peer instance
+   * @param {Object} options
+   * @param {boolean} options.isInitiator - Whether we are the caller
+   * @param {Function} options.getCallId - Returns the call's ID (the caller only learns it once the call rings)
+   */
+  const attachCallPeer = useCallback((peer, { isInitiator, getCallId }) => {
+    setChatMessages([]);
+    setPeerTyping(null);
+    fileTransferManager.reset();
+    setRemoteMediaState({});
+
+    // Restart ICE instead of dropping the call when the network blips
+    reconnectionRef.current?.stop();
+    setMediaConnectionState(RECONNECTION_STATES.CONNECTED);
+    reconnectionRef.current = createCallReconnection({
+      peer,
+      isInitiator,
+      // The caller's restart offers travel like any other renegotiation
+      sendSignal: (signal) => sendRenegotiationSignal(signal, getCallId()),
+      // The callee asks the caller for a new offer
+      requestRestart: () => socket.emit('callSignal', { callId: getCallId(), signal: { type: 'renegotiate', renegotiate: true } }),
+      onStateChange: setMediaConnectionState,
+      onGiveUp: () => {
+        socket.emit('endCall', { callId: getCallId() });
+        handleCallEndRef.current();
+        alert('The connection was lost and could not be restored.');
+      }
+    });
+
+    peer.on('connect', () => {
+      setIsDataChannelOpen(true);
+      sendMediaState(peer);
+      videoQualityController.start();
+    });
+    peer.on('close', () => setIsDataChannelOpen(false));
+    peer.on('data', handleCallData);
+  }, [handleCallData, fileTransferManager, sendMediaState, videoQualityController, sendRenegotiationSignal]);
+
+  /**
+   * Create a peer connection to one room participant
+   * 
+   * In a mesh every pair of participants has its own connection:
+   * - initiator: true  → we just joined and are calling an existing member
+   * - initiator: false → a new member sent us an offer and we answer it
+   * 
+   * @param {string} id - Socket ID of the remote participant
+   * @param {string} peerName - Display name of the remote participant
+   * @param {boolean} initiator - Whether we create the offer
+   * @returns {Peer} The new peer instance
+   */
+  const createRoomPeer = useCallback((id, peerName, initiator) => {
+    console.log(`[CONTEXT] 👥 Creating room peer for ${peerName} (${id}), initiator: ${initiator}`);
+
+    // Uses the ICE servers fetched when we joined (kept fresh on participantJoined),
+    // because signals for this peer may already be waiting to be applied
+    const peer = new Peer({
+      initiator,
+      trickle: true,
+      stream: streamRef.current,
+      config: { iceServers: iceConfigRef.current.iceServers }
+    });
+
+    // Offers, answers and ICE candidates are relayed by the server to this participant only
+    // (simple-peer queues candidates that arrive before the remote description is set)
+    peer.on('signal', (data) => {
+      socket.emit('roomSignal', { to: id, signal: data });
+    });
+
+    peer.on('stream', (remoteStream) => {
+      console.log('[CONTEXT] 📹 Received room stream from', peerName);
+      upsertRoomParticipant(id, { stream: remoteStream });
+    });
+
+    peer.on('connect', () => {
+      console.log('[CONTEXT] ✅ Room connection established with', peerName);
+      sendMediaState(peer);
+    });
+
+    // Room peers use their data channel only to say what they are sending
+    peer.on('data', (data) => {
+      const message = decodeDataMessage(data);
+      if (message?.type === DATA_MESSAGE_TYPES.MEDIA_STATE) {
+        const { type, ...mediaState } = message;
+        upsertRoomParticipant(id, { mediaState });
+      }
+    });
+
+    peer.on('close', () => {
+      removeRoomPeer(id);
+    });
+
+    peer.on('error', (error) => {
+      console.error('[CONTEXT] ❌ Room peer error with', peerName, error);
+      removeRoomPeer(id);
+    });
+
+    peersRef.current.set(id, peer);
+    upsertRoomParticipant(id, { name: peerName || 'Anonymous' });
+    return peer;
+  }, [upsertRoomParticipant, removeRoomPeer, sendMediaState]);
+
+  /**
+   * Destroy every room peer connection and reset room state
+   */
+  const resetRoom = useCallback(() => {
+    peersRef.current.forEach((peer) => peer.destroy());
+    peersRef.current.clear();
+    setRoomParticipants([]);
+    setRoom(null);
+  }, []);
 
   /**
    * Set up Socket.IO event listeners
@@ -246,11 +1092,24 @@ const ContextProvider = ({ children }) => {
           console.log('[CONTEXT] ❌ Disconnected from signaling server:', reason);
           setConnectionStatus('disconnected');
         }
+
+        // The server closed our socket on purpose (an operator, or a ban): it has
+        // ended our call, and Socket.IO will not reconnect by itself
+        if (reason === 'io server disconnect') {
+          handleCallEndRef.current();
+        }
       });
 
       socket.on('connect_error', (error) => {
         console.error('[CONTEXT] Connection error:', error);
         setConnectionStatus('error');
+
+        // Our token was rejected (expired or forged) - go back to the login screen
+        if (error.message === 'Authentication required') {
+          storeToken('');
+          setAuthToken('');
+          setUser(null);
+        }
       });
 
       // Receive our socket ID from the server
@@ -272,13 +1131,69 @@ const ContextProvider = ({ children }) => {
         setConnectionStatus('connected');
       }
 
+      // Our signaling session: keep the token so a reconnect picks up where we left off
+      socket.on('session', ({ sessionToken, resumed }) => {
+        storeSignalingSession(sessionToken);
+        socket.auth = { ...socket.auth, sessionToken };
+
+        if (resumed) {
+          console.log('[CONTEXT] 🔁 Signaling session resumed');
+        } else if (connectionRef.current || outgoingCallRef.current) {
+          // We were away too long - the server has already ended our call
+          console.warn('[CONTEXT] ⚠️ Signaling session expired while we were away - ending the call');
+          handleCallEndRef.current();
+        }
+      });
+
+      // Another connection presented our session token - say we are still here
+      socket.on('sessionProbe', (ack) => {
+        if (typeof ack === 'function') {
+          ack(true);
+        }
+      });
+
+      // Our session moved to a newer connection (this one was considered dead)
+      socket.on('sessionReplaced', ({ reason }) => {
+        console.warn('[CONTEXT] ⚠️ Session replaced:', reason);
+      });
+
+      // The server registered our username as our handle
+      socket.on('userRegistered', ({ handle: registeredHandle }) => {
+        console.log('[CONTEXT] 🏷️ Registered as:', registeredHandle);
+        setHandle(registeredHandle);
+      });
+
+      // Directory search results (only keep results for the latest query)
+      socket.on('searchResults', ({ query, users = [] }) => {
+        if (query === lastSearchRef.current) {
+          setUserSearchResults(users);
+        }
+      });
+
+      // Everyone who is online, sent once per connection
+      socket.on('presenceList', ({ users = [], status }) => {
+        setOnlineUsers(users);
+        if (status) {
+          setPresenceStatusState(status);
+        }
+      });
+
+      // Someone came online, went offline or changed status
+      socket.on('presenceUpdate', (update) => {
+        setOnlineUsers((prev) => applyPresenceUpdate(prev, update));
+      });
+
       // Receive incoming call (WebRTC offer)
       // This happens when someone calls us
-      socket.on('callUser', ({ from, name: callerName, signal }) => {
-        console.log('[CONTEXT] 📞 Incoming call from:', callerName, '(', from, ')');
+      socket.on('callUser', ({ callId, from, fromHandle, name: callerName, signal }) => {
+        console.log('[CONTEXT] 📞 Incoming call from:', callerName, '(', fromHandle || from, ')');
+        // The caller's candidates follow right behind the offer - start a fresh buffer
+        pendingCandidatesRef.current = [];
         setCall({ 
           isReceivingCall: true, 
+          callId,
           from, 
+          fromHandle,
           name: callerName, 
           signal 
         });
@@ -295,39 +1210,143 @@ const ContextProvider = ({ children }) => {
         }
       });
 
-      // Call ended (other user disconnected)
-      // Only handle this if we're actually in a call
-      socket.on('callEnded', ({ disconnectedUserId } = {}) => {
-        // Check if we're in a call by checking multiple conditions using refs
-        // This prevents false "call ended" messages when other users disconnect
-        // Using refs ensures we get current values, not stale closure values
-        const isInCall = callAcceptedRef.current || 
-                        callRef.current?.isReceivingCall || 
-                        connectionRef.current || 
-                        userStreamRef.current !== null;
-        
-        if (isInCall) {
-          console.log('[CONTEXT] 📴 Call ended by other user:', disconnectedUserId);
-          handleCallEnd();
+      // Our outgoing call is ringing on the other side
+      socket.on('callRinging', ({ callId, to }) => {
+        console.log('[CONTEXT] 🔔 Ringing', to);
+        outgoingCallRef.current = { callId, to };
+      });
+
+      // The person we called declined
+      socket.on('callDeclined', ({ by }) => {
+        console.log('[CONTEXT] 🚫 Call declined by', by);
+        setCallOutcome({ type: 'declined', role: 'caller', message: `@${by} declined your call` });
+        handleCallEndRef.current();
+      });
+
+      // The person we called is already ringing or in another call
+      socket.on('callBusy', ({ to }) => {
+        console.log('[CONTEXT] ⛔ User is busy:', to);
+        setCallOutcome({ type: 'busy', role: 'caller', message: `@${to} is busy in another call` });
+        handleCallEndRef.current();
+      });
+
+      // The caller gave up before we answered
+      socket.on('callCancelled', ({ by }) => {
+        console.log('[CONTEXT] 📵 Call cancelled by', by);
+        setCallOutcome({ type: 'cancelled', role: 'callee', message: `Missed call from @${by}` });
+        handleCallEndRef.current();
+      });
+
+      // Nobody answered in time (sent to both sides)
+      socket.on('callTimedOut', ({ callId }) => {
+        const wasCaller = outgoingCallRef.current?.callId === callId;
+        console.log('[CONTEXT] ⏰ Call timed out');
+        setCallOutcome(wasCaller
+          ? { type: 'timedOut', role: 'caller', message: `@${outgoingCallRef.current.to} did not answer` }
+          : { type: 'timedOut', role: 'callee', message: `Missed call from ${callRef.current?.name || 'someone'}` });
+        handleCallEndRef.current();
+      });
+
+      // A single ICE candidate from the other call party (Trickle ICE)
+      socket.on('iceCandidate', ({ from, fromHandle, candidate }) => {
+        if (connectionRef.current) {
+          // simple-peer queues it internally if the remote description isn't set yet
+          connectionRef.current.signal({ type: 'candidate', candidate });
         } else {
-          // Ignore callEnded events when not in a call
-          // This happens when other users connect/disconnect but we're not calling them
-          // Silently ignore to avoid console spam
+          // No peer yet (call still ringing) - keep it until we answer
+          pendingCandidatesRef.current.push({ from, fromHandle, candidate });
+        }
+      });
+
+      // Renegotiation during the call (ICE restart): an offer/answer for our peer,
+      // or the callee asking us (the caller) to restart
+      socket.on('callSignal', ({ signal }) => {
+        const peer = connectionRef.current;
+        if (!peer || peer.destroyed) {
+          return;
         }
+        if (signal.type === 'renegotiate') {
+          console.log('[CONTEXT] 🔄 The other side asked for an ICE restart');
+          reconnectionRef.current?.restartIce();
+          return;
+        }
+        console.log(`[CONTEXT] 📥 Received ${signal.type} signal (renegotiation)`);
+        peer.signal(signal);
+      });
+
+      // Call ended - the other participant hung up or disconnected
+      // The server only sends this to the participants of our call, so no guessing is needed
+      socket.on('callEnded', ({ by, reason }) => {
+        console.log('[CONTEXT] 📴 Call ended by', by, `(${reason})`);
+        handleCallEndRef.current();
       });
 
       // Call error
-      socket.on('callError', ({ message }) => {
-        console.error('[CONTEXT] ❌ Call error:', message);
-        alert(`Call error: ${message}`);
+      // The server rejected something we sent: { event, code, message }
+      // (code is machine-readable, e.g. RATE_LIMITED - see api/sockets/errorCodes)
+      socket.on('callError', ({ event, code, message }) => {
+        console.error(`[CONTEXT] ❌ Call error (${code || 'UNKNOWN'}) for '${event || 'unknown event'}':`, message);
+
+        // A rejected call/answer leaves a half-built peer behind - throw it away
+        if (event === 'callUser' || event === 'answerCall') {
+          handleCallEndRef.current();
+        }
+
+        // Rejected ICE candidates, searches etc. are not worth interrupting the user for
+        if (event && !CALL_ERROR_EVENTS.includes(event) && code !== 'BANNED') {
+          return;
+        }
+
+        alert(`Call error: ${CALL_ERROR_MESSAGES[code] || message}`);
         setIsCalling(false);
       });
 
+      // We joined a room - connect to everyone who was already there
+      socket.on('roomJoined', ({ room: joinedRoom, participants = [] }) => {
+        console.log(`[CONTEXT] 👥 Joined room '${joinedRoom}' with ${participants.length} other participant(s)`);
+        setRoom(joinedRoom);
+        participants.forEach(({ id, name: participantName }) => {
+          if (!peersRef.current.has(id)) {
+            createRoomPeer(id, participantName, true);
+          }
+        });
+      });
+
+      // Someone joined our room - they will send us an offer shortly
+      socket.on('participantJoined', ({ participant }) => {
+        console.log('[CONTEXT] 👋 Participant joined:', participant.name);
+        upsertRoomParticipant(participant.id, { name: participant.name });
+
+        // Their offer follows shortly - make sure our TURN credentials are still valid
+        getIceServers();
+      });
+
+      // Offer or answer from another room member
+      socket.on('roomSignal', ({ from, name: participantName, signal }) => {
+        let peer = peersRef.current.get(from);
+        if (!peer) {
+          // First signal from a newcomer is their offer - answer it
+          peer = createRoomPeer(from, participantName, false);
+        }
+        peer.signal(signal);
+      });
+
+      // Someone left our room (or disconnected)
+      socket.on('participantLeft', ({ id, reason }) => {
+        console.log('[CONTEXT] 👋 Participant left:', id, reason);
+        removeRoomPeer(id);
+      });
+
+      socket.on('roomError', ({ message }) => {
+        console.error('[CONTEXT] ❌ Room error:', message);
+        alert(`Room error: ${message}`);
+      });
+
     } catch (error) {
       console.error('[CONTEXT] Error initializing socket:', error);
       setConnectionStatus('error');
     }
-  }, [handleCallEnd]);
+  }, [createRoomPeer, upsertRoomParticipant, removeRoomPeer, getIceServers]);
 
   /**
    * Answer an incoming call
@@ -335,13 +1354,13 @@ const ContextProvider = ({ children }) => {
    * This creates a WebRTC peer connection as the "answerer" (non-initiator)
    * 
    * Process:
-   * 1. Create Peer instance with initiator: false (we're answering, not initiating)
+   * 1. Fetch ICE servers, then create Peer instance with initiator: false (we're answering, not initiating)
    * 2. When peer generates answer signal, send it via Socket.IO
    * 3. Provide the incoming offer signal to the peer
    * 4. Wait for WebRTC connection to establish
    * 5. Receive remote stream when connection is ready
    */
-  const answerCall = useCallback(() => {
+  const answerCall = useCallback(async () => {
     if (!stream) {
       console.warn('[CONTEXT] Cannot answer call: no local stream available');
       alert('Please enable your camera first!');
@@ -358,20 +1377,42 @@ const ContextProvider = ({ children }) => {
       setCallAccepted(true);
       setIsCalling(false);
 
+      // STUN/TURN servers (with fresh TURN credentials) so calls work behind strict NATs
+      const iceServers = await getIceServers();
+
       // Create Peer instance as answerer (non-initiator)
       // initiator: false means we're answering, not initiating the call
       const peer = new Peer({ 
         initiator: false,  // We're answering, not initiating
-        trickle: false,     // Send all ICE candidates at once (simpler for learning)
-        stream: stream     // Our local media stream
+        trickle: true,     // Send ICE candidates as soon as they are found
+        stream: stream,    // Our local media stream
+        config: { iceServers }
       });
 
+      // Chat, file transfer, media state, quality control and reconnection for this call
+      attachCallPeer(peer, { isInitiator: false, getCallId: () => call.callId });
+
       // When peer generates answer signal, send it to the caller via Socket.IO
+      let hasAnswered = false;
       peer.on('signal', (data) => {
+        // Trickle ICE: candidates travel separately from the answer
+        if (data.type === 'candidate') {
+          // Address the caller by handle - it stays the same if they reconnect
+          socket.emit('iceCandidate', { to: call.fromHandle || call.from, candidate: data.candidate });
+          return;
+        }
+
+        // Answers to ICE restart offers
+        if (hasAnswered) {
+          sendRenegotiationSignal(data, call.callId);
+          return;
+        }
+        hasAnswered = true;
+
         console.log('[CONTEXT] 📤 Sending answer signal...');
         socket.emit('answerCall', { 
-          signal: data, 
-          to: call.from 
+          callId: call.callId,
+          signal: data
         });
       });
 
@@ -389,12 +1430,20 @@ const ContextProvider = ({ children }) => {
       peer.on('error', (error) => {
         console.error('[CONTEXT] ❌ Peer connection error:', error);
         alert('Connection error occurred. Please try again.');
-        handleCallEnd();
+        socket.emit('endCall'); // Let the other side know the call is gone
+        handleCallEndRef.current();
       });
 
       // Provide the offer signal to complete the connection
       peer.signal(call.signal);
 
+      // Apply the caller's candidates that arrived while the call was ringing
+      // (matched by handle too - the caller may have reconnected with a new socket ID since)
+      pendingCandidatesRef.current
+        .filter(({ from, fromHandle }) => from === call.from || (fromHandle && fromHandle === call.fromHandle))
+        .forEach(({ candidate }) => peer.signal({ type: 'candidate', candidate }));
+      pendingCandidatesRef.current = [];
+
       // Store peer reference for cleanup
       connectionRef.current = peer;
 
@@ -403,7 +1452,7 @@ const ContextProvider = ({ children }) => {
       alert('Failed to answer call. Please try again.');
       handleCallEnd();
     }
-  }, [stream, call, handleCallEnd]);
+  }, [stream, call, handleCallEnd, getIceServers, attachCallPeer, sendRenegotiationSignal]);
 
   /**
    * Initiate a call to another user
@@ -411,15 +1460,15 @@ const ContextProvider = ({ children }) => {
    * This creates a WebRTC peer connection as the "caller" (initiator)
    * 
    * Process:
-   * 1. Create Peer instance with initiator: true (we're initiating the call)
+   * 1. Fetch ICE servers, then create Peer instance with initiator: true (we're initiating the call)
    * 2. When peer generates offer signal, send it via Socket.IO
    * 3. Wait for answer signal from the other user
    * 4. Provide answer signal to peer to complete connection
    * 5. Receive remote stream when connection is ready
    * 
-   * @param {string} id - Socket ID of the user to call
+   * @param {string} id - Handle (or socket ID) of the user to call
    */
-  const callUser = useCallback((id) => {
+  const callUser = useCallback(async (id) => {
     if (!id || id.trim() === '') {
       console.warn('[CONTEXT] Cannot call: invalid user ID');
       return;
@@ -431,7 +1480,7 @@ const ContextProvider = ({ children }) => {
       return;
     }
 
-    if (id === me) {
+    if (id === me || (handle && id.trim().toLowerCase() === handle.toLowerCase())) {
       alert('You cannot call yourself!');
       return;
     }
@@ -440,23 +1489,44 @@ const ContextProvider = ({ children }) => {
       console.log('[CONTEXT] 📞 Calling user:', id);
       setIsCalling(true);
       setCallEnded(false);
+      setCallOutcome(null);
+
+      // STUN/TURN servers (with fresh TURN credentials) so calls work behind strict NATs
+      const iceServers = await getIceServers();
 
       // Create Peer instance as initiator (caller)
       // initiator: true means we're starting the call
       const peer = new Peer({ 
         initiator: true,   // We're initiating the call
-        trickle: false,    // Send all ICE candidates at once
-        stream: stream    // Our local media stream
+        trickle: true,     // Send ICE candidates as soon as they are found
+        stream: stream,    // Our local media stream
+        config: { iceServers }
       });
 
+      // Chat, file transfer, media state, quality control and reconnection for this call
+      attachCallPeer(peer, { isInitiator: true, getCallId: () => outgoingCallRef.current?.callId });
+
       // When peer generates offer signal, send it to the target user via Socket.IO
+      let hasOffered = false;
       peer.on('signal', (data) => {
+        // Trickle ICE: candidates travel separately from the offer
+        if (data.type === 'candidate') {
+          socket.emit('iceCandidate', { to: id, candidate: data.candidate });
+          return;
+        }
+
+        // ICE restart offers during the call
+        if (hasOffered) {
+          sendRenegotiationSignal(data, outgoingCallRef.current?.callId);
+          return;
+        }
+        hasOffered = true;
+
         console.log('[CONTEXT] 📤 Sending offer signal to', id);
+        // The server adds who we are (from our login) - we only say who to call
         socket.emit('callUser', { 
           userToCall: id, 
-          signalData: data, 
-          from: me, 
-          name: name || 'Anonymous' 
+          signalData: data
         });
       });
 
@@ -475,8 +1545,9 @@ const ContextProvider = ({ children }) => {
       peer.on('error', (error) => {
         console.error('[CONTEXT] ❌ Peer connection error:', error);
         alert('Connection error occurred. Please try again.');
+        socket.emit('endCall'); // Let the other side know the call is gone
         setIsCalling(false);
-        handleCallEnd();
+        handleCallEndRef.current();
       });
 
       // Store peer reference for cleanup
@@ -487,15 +1558,269 @@ const ContextProvider = ({ children }) => {
       alert('Failed to initiate call. Please try again.');
       setIsCalling(false);
     }
-  }, [stream, me, name, handleCallEnd]);
+  }, [stream, me, handle, getIceServers, attachCallPeer, sendRenegotiationSignal]);
+
+  /**
+   * Decline the incoming call and tell the caller
+   */
+  const declineCall = useCallback(() => {
+    console.log('[CONTEXT] 🚫 Declining call from', call.name);
+    if (call.callId) {
+      socket.emit('declineCall', { callId: call.callId });
+    }
+    handleCallEnd();
+  }, [call, handleCallEnd]);
+
+  /**
+   * Stop ringing the person we are calling
+   */
+  const cancelCall = useCallback(() => {
+    console.log('[CONTEXT] 📵 Cancelling outgoing call');
+    // No call ID yet means the offer was never sent - just tear down locally
+    if (outgoingCallRef.current) {
+      socket.emit('cancelCall', { callId: outgoingCallRef.current.callId });
+    }
+    handleCallEnd();
+  }, [handleCallEnd]);
 
   /**
-   * End the current call and clean up resources
+   * Forget the last call outcome (e.g. after the user dismissed the message)
+   */
+  const clearCallOutcome = useCallback(() => {
+    setCallOutcome(null);
+  }, []);
+
+  /**
+   * End the current call, tell the other participant and clean up resources
    */
   const leaveCall = useCallback(() => {
     console.log('[CONTEXT] 📴 Ending call...');
+    socket.emit('endCall', { callId: call.callId || outgoingCallRef.current?.callId });
     handleCallEnd();
-  }, [handleCallEnd]);
+  }, [call, handleCallEnd]);
+
+  /**
+   * Start an authenticated session: remember the token and connect the socket with it
+   * 
+   * @param {string} token - Signed token from the server
+   * @param {Object} account - Logged-in user ({ username, displayName })
+   */
+  const startSession = useCallback((token, account) => {
+    storeToken(token);
+    setAuthToken(token);
+    setUser(account);
+    setName(account.displayName);
+
+    // The server's io.use() middleware checks this token before accepting the socket
+    // (the session token lets the server recognise us after a reconnect)
+    socket.auth = { token, sessionToken: getStoredSignalingSession() };
+    if (!socket.connected) {
+      setConnectionStatus('connecting');
+      socket.connect();
+    }
+  }, []);
+
+  /**
+   * Log in with username and password
+   * 
+   * @throws {Error} With the server's message if the credentials are wrong
+   */
+  const login = useCallback(async (username, password) => {
+    const { token, user: account } = await apiRequest('/api/auth/login', {
+      method: 'POST',
+      body: { username, password }
+    });
+    console.log('[CONTEXT] 🔑 Logged in as', account.username);
+    startSession(token, account);
+  }, [startSession]);
+
+  /**
+   * Create an account and log in with it
+   * 
+   * @throws {Error} With the server's message if the account cannot be created
+   */
+  const register = useCallback(async (username, password, displayName) => {
+    const { token, user: account } = await apiRequest('/api/auth/register', {
+      method: 'POST',
+      body: { username, password, displayName }
+    });
+    console.log('[CONTEXT] 🔑 Registered and logged in as', account.username);
+    startSession(token, account);
+  }, [startSession]);
+
+  /**
+   * Restore the previous session (if we have a stored token) when the app loads
+   */
+  useEffect(() => {
+    const storedToken = getStoredToken();
+    if (!storedToken) {
+      return;
+    }
+
+    apiRequest('/api/auth/me', { token: storedToken })
+      .then(({ user: account }) => startSession(storedToken, account))
+      .catch((error) => {
+        console.warn('[CONTEXT] Stored session is no longer valid:', error.message);
+        storeToken('');
+      })
+      .finally(() => setIsRestoringSession(false));
+  }, [startSession]);
+
+  /**
+   * Search the user directory by handle or name
+   * Results arrive asynchronously in userSearchResults
+   * 
+   * @param {string} query - Text typed by the user
+   */
+  const searchUsers = useCallback((query) => {
+    lastSearchRef.current = query;
+    socket.emit('searchUsers', { query });
+  }, []);
+
+  /**
+   * Change the status others see
+   * 
+   * @param {string} status - 'available', 'busy' or 'do-not-disturb'
+   */
+  const setPresenceStatus = useCallback((status) => {
+    setPresenceStatusState(status);
+    socket.emit('setPresence', { status });
+  }, []);
+
+  /**
+   * Join a named multi-party room
+   * 
+   * The server answers with 'roomJoined' and the current roster,
+   * and we then open one peer connection per existing participant.
+   * 
+   * @param {string} roomName - Name of the room to join
+   */
+  const joinRoom = useCallback(async (roomName) => {
+    if (!roomName || roomName.trim() === '') {
+      console.warn('[CONTEXT] Cannot join room: invalid room name');
+      return;
+    }
+
+    if (!stream) {
+      console.warn('[CONTEXT] Cannot join room: no local stream available');
+      alert('Please enable your camera first!');
+      return;
+    }
+
+    // Switching rooms - drop connections to the old room first
+    if (room) {
+      resetRoom();
+    }
+
+    // Room peers are created as signals arrive, so have the ICE servers ready before joining
+    await getIceServers();
+
+    console.log('[CONTEXT] 👥 Joining room:', roomName.trim());
+    socket.emit('joinRoom', { room: roomName.trim() });
+  }, [stream, room, resetRoom, getIceServers]);
+
+  /**
+   * Leave the current room and close every room peer connection
+   */
+  const leaveRoom = useCallback(() => {
+    console.log('[CONTEXT] 👥 Leaving room:', room);
+    socket.emit('leaveRoom');
+    resetRoom();
+  }, [room, resetRoom]);
+
+  /**
+   * Send a chat message to the other party of the current call
+   * It shows as 'sent' right away and as 'delivered' once their receipt arrives
+   * 
+   * @param {string} text - Message text
+   */
+  const sendChatMessage = useCallback((text) => {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed || !connectionRef.current || !isDataChannelOpen) {
+      return;
+    }
+
+    const message = {
+      id: createMessageId(),
+      author: name || 'Me',
+      text: trimmed,
+      sentAt: new Date().toISOString()
+    };
+
+    try {
+      connectionRef.current.send(encodeDataMessage(DATA_MESSAGE_TYPES.CHAT_MESSAGE, message));
+      setChatMessages((prev) => [...prev, { ...message, fromMe: true, status: 'sent' }]);
+    } catch (error) {
+      console.error('[CONTEXT] ❌ Could not send chat message:', error);
+      setChatMessages((prev) => [...prev, { ...message, fromMe: true, status: 'failed' }]);
+    }
+  }, [name, isDataChannelOpen]);
+
+  /**
+   * Tell the other party we started/stopped typing
+   * 
+   * @param {boolean} isTyping
+   */
+  const sendTypingState = useCallback((isTyping) => {
+    if (!connectionRef.current || !isDataChannelOpen) {
+      return;
+    }
+    try {
+      connectionRef.current.send(encodeDataMessage(DATA_MESSAGE_TYPES.CHAT_TYPING, { author: name || 'Remote user', isTyping }));
+    } catch (error) {
+      // Typing indicators are best-effort
+    }
+  }, [name, isDataChannelOpen]);
+
+  /**
+   * Download the chat of the current (or just-ended) call as a text file
+   */
+  const exportChatTranscript = useCallback(() => {
+    if (chatMessages.length === 0) {
+      return;
+    }
+    const date = new Date(chatMessages[0].sentAt).toISOString().slice(0, 10);
+    downloadTextFile(formatTranscript(chatMessages), `call-chat-${date}.txt`);
+  }, [chatMessages]);
+
+  /**
+   * Send a file to the other party of the current call
+   * 
+   * @param {File} file - File picked or dropped by the user
+   */
+  const sendFile = useCallback(async (file) => {
+    if (!connectionRef.current || !isDataChannelOpen) {
+      return;
+    }
+    try {
+      await fileTransferManager.sendFile(file);
+    } catch (error) {
+      console.error('[CONTEXT] ❌ Could not send file:', error);
+      alert(`Could not send ${file.name}: ${error.message}`);
+    }
+  }, [isDataChannelOpen, fileTransferManager]);
+
+  /**
+   * Log out: end any call or room, drop the token and disconnect the socket
+   */
+  const logout = useCallback(() => {
+    console.log('[CONTEXT] 🔒 Logging out');
+    handleCallEnd();
+    resetRoom();
+    socket.disconnect();
+    storeToken('');
+    storeSignalingSession('');
+    setAuthToken('');
+    setUser(null);
+    iceConfigRef.current = { iceServers: [], expiresAt: 0 };
+    setChatMessages([]);
+    fileTransferManager.reset();
+    setMe('');
+    setHandle('');
+    setOnlineUsers([]);
+    setPresenceStatusState(PRESENCE_STATUS.AVAILABLE);
+    setConnectionStatus('disconnected');
+  }, [handleCallEnd, resetRoom, fileTransferManager]);
 
   /**
    * Cleanup function for component unmount
@@ -504,6 +1829,7 @@ const ContextProvider = ({ children }) => {
   const cleanup = useCallback(() => {
     console.log('[CONTEXT] Cleaning up...');
     handleCallEnd();
+    resetRoom();
     
     // Remove all listeners
     socket.removeAllListeners();
@@ -522,16 +1848,25 @@ const ContextProvider = ({ children }) => {
     }
     
     socketInitializedRef.current = false;
-  }, [handleCallEnd]);
+  }, [handleCallEnd, resetRoom]);
 
   return (
     <SocketContext.Provider value={{
+      // Authentication
+      user,
+      authToken,
+      isRestoringSession,
+      login,
+      register,
+      logout,
+      
       // Call state
       call,
       callAccepted,
       setCallAccepted,
       callEnded,
       isCalling,
+      callOutcome,
       
       // Media streams
       stream,
@@ -542,14 +1877,82 @@ const ContextProvider = ({ children }) => {
       name,
       setName,
       me,
+      handle,
+      userSearchResults,
       
       // Connection status
       connectionStatus,
       
+      // Room state
+      room,
+      roomParticipants,
+      
+      // In-call chat
+      chatMessages,
+      isDataChannelOpen,
+      peerTyping,
+      sendChatMessage,
+      sendTypingState,
+      exportChatTranscript,
+      
+      // File transfer
+      fileTransfers,
+      sendFile,
+      acceptFileTransfer: fileTransferManager.accept,
+      declineFileTransfer: fileTransferManager.decline,
+      pauseFileTransfer: fileTransferManager.pause,
+      resumeFileTransfer: fileTransferManager.resume,
+      cancelFileTransfer: fileTransferManager.cancel,
+      dismissFileTransfer: fileTransferManager.dismiss,
+      
+      // Screen sharing
+      isScreenSharing,
+      remoteMediaState,
+      startScreenShare,
+      stopScreenShare,
+      
+      // Mute / camera off
+      isAudioMuted,
+      isVideoOff,
+      toggleAudio,
+      toggleVideo,
+      
+      // Call quality
+      getCallStats,
+      videoQuality,
+      setVideoQualityPreset: videoQualityController.setPreset,
+      
+      // Reconnection
+      mediaConnectionState,
+      
+      // Recording
+      isRecording,
+      lastRecording,
+      startRecording,
+      stopRecording,
+      
+      // Presence
+      onlineUsers,
+      presenceStatus,
+      setPresenceStatus,
+      
+      // Devices
+      mediaDevices,
+      devicePreferences,
+      refreshMediaDevices,
+      switchInputDevice,
+      setAudioOutputDevice,
+      
       // Functions
       callUser,
       leaveCall,
       answerCall,
+      declineCall,
+      cancelCall,
+      clearCallOutcome,
+      joinRoom,
+      leaveRoom,
+      searchUsers,
       
       // Legacy refs (for backward compatibility)
       myVideo,
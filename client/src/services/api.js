@@ -0,0 +1,55 @@
+/**
+ * Signaling Server REST API
+ *
+ * The signaling server exposes a few HTTP endpoints next to Socket.IO
+ * (login, etc.). This module knows where the server lives and wraps fetch()
+ * so every caller gets the same error handling.
+ */
+
+// Note: process.env is injected by Create React App at build time
+// In development, if not set, fall back to the default server
+const getServerUrl = () => {
+  // Safely access process.env (may not be available in all contexts)
+  if (typeof process !== 'undefined' && process.env && process.env.REACT_APP_SERVER_URL) {
+    return process.env.REACT_APP_SERVER_URL;
+  }
+  // Default to localhost:3001 for development
+  return 'http://13.36.208.154:3001';
+};
+
+export const SERVER_URL = getServerUrl();
+
+/**
+ * Call a REST endpoint on the signaling server
+ *
+ * @param {string} path - Path starting with '/', e.g. '/api/auth/login'
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method (default GET)
+ * @param {Object} [options.body] - JSON body
+ * @param {string} [options.token] - Auth token, sent as a Bearer token
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {Error} With the server's error message and an HTTP `status` property
+ */
+export const apiRequest = async (path, { method = 'GET', body, token } = {}) => {
+  const headers = {};
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(`${SERVER_URL}${path}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+};
@@ -0,0 +1,176 @@
+/**
+ * Call Reconnection (ICE restart)
+ *
+ * A Wi-Fi blip or a switch between networks breaks the path the media was
+ * using. The browser notices: the ICE connection state goes 'disconnected'
+ * (no packets for a few seconds) and later 'failed' (it gave up).
+ *
+ * Instead of ending the call, we look for a new path with an ICE restart:
+ * - The caller (the side that made the original offer) creates a new offer with
+ *   fresh ICE credentials, and both sides gather new candidates
+ * - The offer/answer travel over the signaling server ('callSignal'), the
+ *   candidates as usual ('iceCandidate')
+ * - The callee can't make offers in simple-peer, so it asks the caller to restart
+ *
+ * The peer's RTCPeerConnection is used through its standard API:
+ * 'iceconnectionstatechange' to notice the drop, createOffer({ iceRestart: true })
+ * for the new offer. simple-peer applies the answer and trickles the new
+ * candidates as it does for any other offer.
+ *
+ * simple-peer would destroy the peer once ICE is 'failed'; we keep it alive
+ * (see services/peerInternals) and keep restarting until the grace period is over.
+ *
+ * Nothing else about the call changes: tracks, the data channel (chat, files)
+ * and the encryption keys all survive the restart.
+ *
+ * Attempts are retried with growing delays (1s, 2s, 4s, ... max 8s). If the
+ * connection is not back within the grace period, the call is given up.
+ */
+
+import { getPeerConnection, keepPeerAliveOnFailure } from './peerInternals';
+
+export const RECONNECTION_STATES = Object.freeze({
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  FAILED: 'failed'
+});
+
+// 'disconnected' often heals by itself within a second or two - give it that chance first
+const FIRST_ATTEMPT_DELAY_MS = 1000;
+const MAX_ATTEMPT_DELAY_MS = 8000;
+
+// How long we keep trying before the call ends
+const DEFAULT_GRACE_PERIOD_MS = 30 * 1000;
+
+/**
+ * Watch a call's peer and restart ICE when its connection drops
+ *
+ * @param {Object} options
+ * @param {Peer} options.peer - The call's simple-peer instance
+ * @param {boolean} options.isInitiator - Whether we made the original offer (the caller)
+ * @param {Function} options.sendSignal - Caller only: send a restart offer to the other party ('callSignal')
+ * @param {Function} options.requestRestart - Callee only: ask the caller to restart ICE
+ * @param {Function} options.onStateChange - Called with a RECONNECTION_STATES value
+ * @param {Function} options.onGiveUp - Called once if the connection did not come back in time
+ * @param {number} [options.gracePeriodMs] - How long to keep trying
+ * @returns {Object} { restartIce, stop }
+ */
+export const createCallReconnection = ({
+  peer,
+  isInitiator,
+  sendSignal,
+  requestRestart,
+  onStateChange,
+  onGiveUp,
+  gracePeriodMs = DEFAULT_GRACE_PERIOD_MS
+}) => {
+  const pc = getPeerConnection(peer);
+  keepPeerAliveOnFailure(peer);
+  let state = RECONNECTION_STATES.CONNECTED;
+  let startedAt = 0;
+  let attempt = 0;
+  let retryTimeout = null;
+  let stopped = false;
+
+  const setState = (next) => {
+    if (state !== next) {
+      state = next;
+      onStateChange(next);
+    }
+  };
+
+  /**
+   * Caller: new offer with fresh ICE credentials
+   */
+  const restartIce = async () => {
+    if (stopped || peer.destroyed) {
+      return;
+    }
+    // The answer to an earlier restart offer never arrived (signaling was down too) - drop that offer
+    if (pc.signalingState === 'have-local-offer') {
+      await pc.setLocalDescription({ type: 'rollback' });
+    }
+
+    const offer = await pc.createOffer({ iceRestart: true });
+    await pc.setLocalDescription(offer);
+    sendSignal({ type: pc.localDescription.type, sdp: pc.localDescription.sdp });
+  };
+
+  const scheduleAttempt = (delay) => {
+    clearTimeout(retryTimeout);
+    retryTimeout = setTimeout(async () => {
+      if (stopped || state !== RECONNECTION_STATES.RECONNECTING) {
+        return;
+      }
+      if (Date.now() - startedAt > gracePeriodMs) {
+        console.warn('[RECONNECT] ❌ Connection did not come back - giving up');
+        stop();
+        setState(RECONNECTION_STATES.FAILED);
+        onGiveUp();
+        return;
+      }
+
+      attempt += 1;
+      console.log(`[RECONNECT] 🔄 ICE restart attempt ${attempt}`);
+      try {
+        if (isInitiator) {
+          await restartIce();
+        } else {
+          requestRestart();
+        }
+      } catch (error) {
+        console.error('[RECONNECT] ICE restart failed:', error);
+      }
+      scheduleAttempt(Math.min(FIRST_ATTEMPT_DELAY_MS * 2 ** attempt, MAX_ATTEMPT_DELAY_MS));
+    }, delay);
+  };
+
+  const handleIceStateChange = () => {
+    const { iceConnectionState } = pc;
+    if (stopped) {
+      return;
+    }
+
+    if (iceConnectionState === 'connected' || iceConnectionState === 'completed') {
+      if (state === RECONNECTION_STATES.RECONNECTING) {
+        console.log(`[RECONNECT] ✅ Connection restored after ${Math.round((Date.now() - startedAt) / 1000)}s`);
+      }
+      clearTimeout(retryTimeout);
+      setState(RECONNECTION_STATES.CONNECTED);
+      return;
+    }
+
+    if (iceConnectionState === 'disconnected' || iceConnectionState === 'failed') {
+      if (state !== RECONNECTION_STATES.RECONNECTING) {
+        console.warn(`[RECONNECT] ⚠️ Media connection ${iceConnectionState} - trying to reconnect`);
+        startedAt = Date.now();
+        attempt = 0;
+        setState(RECONNECTION_STATES.RECONNECTING);
+        scheduleAttempt(iceConnectionState === 'failed' ? 0 : FIRST_ATTEMPT_DELAY_MS);
+      } else if (iceConnectionState === 'failed' && attempt === 0) {
+        // No point waiting any longer for 'disconnected' to heal
+        scheduleAttempt(0);
+      }
+      return;
+    }
+
+    if (iceConnectionState === 'closed') {
+      stop();
+    }
+  };
+  pc.addEventListener('iceconnectionstatechange', handleIceStateChange);
+
+  /**
+   * Stop watching (the call ended)
+   */
+  const stop = () => {
+    stopped = true;
+    clearTimeout(retryTimeout);
+    pc.removeEventListener('iceconnectionstatechange', handleIceStateChange);
+  };
+
+  return {
+    restartIce,
+    stop
+  };
+};
@@ -0,0 +1,165 @@
+import { createCallReconnection, RECONNECTION_STATES } from './callReconnection';
+
+/**
+ * A simple-peer stand-in: its RTCPeerConnection, with the handlers simple-peer installs
+ */
+const createFakePeer = () => {
+  const pc = new EventTarget();
+  // simple-peer destroys the peer from these when the state is 'failed'
+  const simplePeerHandler = jest.fn();
+  pc.oniceconnectionstatechange = simplePeerHandler;
+  pc.onconnectionstatechange = jest.fn();
+  pc.iceConnectionState = 'connected';
+  pc.signalingState = 'stable';
+  pc.localDescription = null;
+  pc.createOffer = jest.fn(async () => ({ type: 'offer', sdp: 'restart-offer' }));
+  pc.setLocalDescription = jest.fn(async (description) => {
+    pc.localDescription = description;
+    pc.signalingState = description.type === 'rollback' ? 'stable' : 'have-local-offer';
+  });
+
+  const setIceState = (iceConnectionState) => {
+    pc.iceConnectionState = iceConnectionState;
+    const event = new Event('iceconnectionstatechange');
+    pc.oniceconnectionstatechange?.(event);
+    pc.dispatchEvent(event);
+  };
+
+  return { peer: { _pc: pc, destroyed: false }, pc, setIceState, simplePeerHandler };
+};
+
+// Stopped after each test so no retry timer is left behind
+const reconnections = [];
+
+const setUp = ({ isInitiator = true, gracePeriodMs } = {}) => {
+  const fake = createFakePeer();
+  const options = {
+    peer: fake.peer,
+    isInitiator,
+    sendSignal: jest.fn(),
+    requestRestart: jest.fn(),
+    onStateChange: jest.fn(),
+    onGiveUp: jest.fn(),
+    gracePeriodMs
+  };
+  const reconnection = createCallReconnection(options);
+  reconnections.push(reconnection);
+  return { ...fake, options, reconnection };
+};
+
+// Let the restart's awaited promises settle
+const flushPromises = () => new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  reconnections.splice(0).forEach((reconnection) => reconnection.stop());
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+test('the caller sends an ICE restart offer over the signaling path', async () => {
+  const { pc, setIceState, options } = setUp();
+
+  setIceState('disconnected');
+  expect(options.onStateChange).toHaveBeenLastCalledWith(RECONNECTION_STATES.RECONNECTING);
+  expect(pc.createOffer).not.toHaveBeenCalled();
+
+  jest.advanceTimersByTime(1000);
+  await flushPromises();
+
+  expect(pc.createOffer).toHaveBeenCalledWith({ iceRestart: true });
+  expect(options.sendSignal).toHaveBeenCalledWith({ type: 'offer', sdp: 'restart-offer' });
+  expect(options.requestRestart).not.toHaveBeenCalled();
+
+  setIceState('connected');
+  expect(options.onStateChange).toHaveBeenLastCalledWith(RECONNECTION_STATES.CONNECTED);
+});
+
+test('a new attempt rolls back the offer whose answer never arrived', async () => {
+  const { pc, setIceState, options } = setUp();
+
+  setIceState('disconnected');
+  jest.advanceTimersByTime(1000);
+  await flushPromises();
+  jest.advanceTimersByTime(2000);
+  await flushPromises();
+
+  expect(pc.setLocalDescription).toHaveBeenCalledWith({ type: 'rollback' });
+  expect(options.sendSignal).toHaveBeenCalledTimes(2);
+});
+
+test('the callee asks the caller to restart instead of making an offer', async () => {
+  const { pc, setIceState, options } = setUp({ isInitiator: false });
+
+  setIceState('disconnected');
+  jest.advanceTimersByTime(1000);
+  await flushPromises();
+
+  expect(options.requestRestart).toHaveBeenCalledTimes(1);
+  expect(pc.createOffer).not.toHaveBeenCalled();
+});
+
+test('gives up once the grace period is over', async () => {
+  const { setIceState, options } = setUp({ gracePeriodMs: 5000 });
+
+  setIceState('disconnected');
+  for (let elapsed = 0; elapsed < 20000; elapsed += 1000) {
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+  }
+
+  expect(options.onGiveUp).toHaveBeenCalledTimes(1);
+  expect(options.onStateChange).toHaveBeenLastCalledWith(RECONNECTION_STATES.FAILED);
+});
+
+test('keeps restarting through \'failed\' without letting simple-peer destroy the peer', async () => {
+  const { pc, setIceState, options, simplePeerHandler } = setUp();
+
+  setIceState('disconnected');
+  expect(simplePeerHandler).toHaveBeenCalledTimes(1);
+
+  setIceState('failed');
+  expect(simplePeerHandler).toHaveBeenCalledTimes(1);
+  expect(options.onStateChange).toHaveBeenLastCalledWith(RECONNECTION_STATES.RECONNECTING);
+
+  // 'failed' skips the wait for 'disconnected' to heal
+  jest.advanceTimersByTime(0);
+  await flushPromises();
+  expect(pc.createOffer).toHaveBeenCalledTimes(1);
+
+  jest.advanceTimersByTime(2000);
+  await flushPromises();
+  expect(pc.createOffer).toHaveBeenCalledTimes(2);
+  expect(options.onGiveUp).not.toHaveBeenCalled();
+
+  setIceState('connected');
+  expect(simplePeerHandler).toHaveBeenCalledTimes(2);
+  expect(options.onStateChange).toHaveBeenLastCalledWith(RECONNECTION_STATES.CONNECTED);
+});
+
+test('a failed connection is given up after the grace period', async () => {
+  const { setIceState, options } = setUp({ gracePeriodMs: 5000 });
+
+  setIceState('failed');
+  for (let elapsed = 0; elapsed < 20000; elapsed += 1000) {
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+  }
+
+  expect(options.onGiveUp).toHaveBeenCalledTimes(1);
+  expect(options.onStateChange).toHaveBeenLastCalledWith(RECONNECTION_STATES.FAILED);
+});
+
+test('stop() stops listening to the peer connection', () => {
+  const { setIceState, options, reconnection } = setUp();
+
+  reconnection.stop();
+  setIceState('disconnected');
+
+  expect(options.onStateChange).not.toHaveBeenCalled();
+});
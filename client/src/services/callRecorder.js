@@ -0,0 +1,146 @@
+/**
+ * Local Call Recording
+ *
+ * Records a 1:1 call in the browser into a single WebM file - nothing is
+ * uploaded. Two streams have to become one before MediaRecorder can record them:
+ *
+ * - Video: both videos are drawn side by side onto a <canvas> many times a
+ *   second, and canvas.captureStream() turns the canvas into a video track
+ * - Audio: Web Audio mixes both microphones into one track
+ *   (MediaStreamAudioDestinationNode)
+ */
+
+// Size of the recorded picture (two 640x480 halves)
+const RECORDING_WIDTH = 1280;
+const RECORDING_HEIGHT = 480;
+const RECORDING_FPS = 30;
+
+// Hand recorded data over every second, so a crash loses little
+const RECORDER_TIMESLICE_MS = 1000;
+
+// Best first - the browser picks the first one it supports
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+/**
+ * Whether this browser can record calls
+ */
+export const supportsRecording = () => (
+  typeof MediaRecorder !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  'captureStream' in HTMLCanvasElement.prototype
+);
+
+/**
+ * Play a stream in a detached <video>, so its frames can be drawn on the canvas
+ */
+const createSourceVideo = (stream) => {
+  const video = document.createElement('video');
+  video.muted = true; // Audio is recorded through Web Audio, not played here
+  video.playsInline = true;
+  video.srcObject = stream;
+  video.play().catch(() => {});
+  return video;
+};
+
+/**
+ * Draw a video into a box, keeping its aspect ratio (black bars around it)
+ */
+const drawFitted = (context, video, x, y, width, height) => {
+  if (!video.videoWidth || !video.videoHeight) {
+    return;
+  }
+  const scale = Math.min(width / video.videoWidth, height / video.videoHeight);
+  const drawWidth = video.videoWidth * scale;
+  const drawHeight = video.videoHeight * scale;
+  context.drawImage(video, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+};
+
+/**
+ * Start recording a call
+ *
+ * @param {Object} options
+ * @param {MediaStream} options.localStream - Our camera/mic
+ * @param {MediaStream} options.remoteStream - The other party's camera/mic
+ * @param {Array<string>} [options.labels] - Names drawn under each half, [local, remote]
+ * @returns {Object} { mimeType, stop() → Promise<Blob> }
+ */
+export const startCallRecording = ({ localStream, remoteStream, labels = [] }) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = RECORDING_WIDTH;
+  canvas.height = RECORDING_HEIGHT;
+  const context = canvas.getContext('2d');
+
+  const videos = [createSourceVideo(localStream), createSourceVideo(remoteStream)];
+  const halfWidth = RECORDING_WIDTH / 2;
+
+  // A timer instead of requestAnimationFrame: it keeps running (slower) when the tab is in the background
+  const drawInterval = setInterval(() => {
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, RECORDING_WIDTH, RECORDING_HEIGHT);
+    videos.forEach((video, index) => {
+      drawFitted(context, video, index * halfWidth, 0, halfWidth, RECORDING_HEIGHT);
+      if (labels[index]) {
+        context.fillStyle = '#fff';
+        context.font = '20px sans-serif';
+        context.fillText(labels[index], index * halfWidth + 12, RECORDING_HEIGHT - 16);
+      }
+    });
+  }, 1000 / RECORDING_FPS);
+
+  // Mix both sides' audio into one track
+  const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  const audioDestination = audioContext.createMediaStreamDestination();
+  [localStream, remoteStream].forEach((stream) => {
+    if (stream.getAudioTracks().length > 0) {
+      audioContext.createMediaStreamSource(stream).connect(audioDestination);
+    }
+  });
+
+  const [canvasTrack] = canvas.captureStream(RECORDING_FPS).getVideoTracks();
+  const recordedStream = new MediaStream([canvasTrack, ...audioDestination.stream.getAudioTracks()]);
+
+  const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+  const recorder = new MediaRecorder(recordedStream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data && event.data.size > 0) {
+      chunks.push(event.data);
+    }
+  };
+  recorder.start(RECORDER_TIMESLICE_MS);
+  console.log('[RECORDER] ⏺️ Recording started', recorder.mimeType);
+
+  const cleanup = () => {
+    clearInterval(drawInterval);
+    canvasTrack.stop();
+    audioContext.close().catch(() => {});
+    videos.forEach((video) => {
+      video.pause();
+      video.srcObject = null;
+    });
+  };
+
+  return {
+    mimeType: recorder.mimeType || 'video/webm',
+
+    /**
+     * Stop recording
+     *
+     * @returns {Promise<Blob>} The whole recording as one WebM file
+     */
+    stop: () => new Promise((resolve) => {
+      if (recorder.state === 'inactive') {
+        cleanup();
+        resolve(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+        return;
+      }
+      // The last chunk arrives before 'stop' fires
+      recorder.onstop = () => {
+        cleanup();
+        console.log('[RECORDER] ⏹️ Recording stopped');
+        resolve(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+      };
+      recorder.stop();
+    })
+  };
+};
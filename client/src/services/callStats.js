@@ -0,0 +1,160 @@
+/**
+ * Call Quality Statistics
+ *
+ * Turns RTCPeerConnection.getStats() reports into the numbers people care about
+ * when a call is choppy. getStats() returns cumulative counters (bytes sent so
+ * far, packets lost so far, ...), so rates are computed from two samples.
+ *
+ * Report types used:
+ * - 'outbound-rtp' / 'inbound-rtp'  media we send / receive (bytes, packets, jitter, frames)
+ * - 'candidate-pair'                the network path in use (round-trip time)
+ * - 'local-candidate' / 'remote-candidate'  how each side is reachable:
+ *     host  = direct (same network), srflx/prflx = through NAT (via STUN),
+ *     relay = through a TURN server
+ * - 'codec'                         which codec the media uses
+ */
+
+/**
+ * Find the ICE candidate pair the connection is actually using
+ */
+const findSelectedCandidatePair = (reports, byId) => {
+  const transport = reports.find((report) => report.type === 'transport' && report.selectedCandidatePairId);
+  if (transport) {
+    return byId.get(transport.selectedCandidatePairId) || null;
+  }
+  // Firefox marks the pair itself instead
+  return reports.find((report) => report.type === 'candidate-pair' &&
+    (report.selected || (report.nominated && report.state === 'succeeded'))) || null;
+};
+
+/**
+ * @returns {string|null} e.g. 'VP8'
+ */
+const codecName = (byId, codecId) => {
+  const codec = codecId && byId.get(codecId);
+  return codec?.mimeType ? codec.mimeType.split('/')[1] : null;
+};
+
+/**
+ * Summarize one getStats() sample
+ *
+ * @param {Array<Object>} reports - Stats reports (from peer.getStats)
+ * @param {Object|null} previous - The previous summary (for rates), or null for the first sample
+ * @returns {Object} Totals, rates (bits per second, loss %) and connection details
+ */
+export const summarizeStats = (reports, previous) => {
+  const byId = new Map(reports.map((report) => [report.id, report]));
+  const summary = {
+    timestamp: Date.now(),
+    bytesSent: 0,
+    bytesReceived: 0,
+    packetsReceived: 0,
+    packetsLost: 0,
+    jitterMs: null,
+    rttMs: null,
+    fps: null,
+    resolution: null,
+    sendCodec: null,
+    receiveCodec: null,
+    localCandidateType: null,
+    remoteCandidateType: null,
+    sendBitrate: null,
+    receiveBitrate: null,
+    packetLoss: null
+  };
+
+  reports.forEach((report) => {
+    const kind = report.kind || report.mediaType;
+
+    if (report.type === 'outbound-rtp' && !report.isRemote) {
+      summary.bytesSent += report.bytesSent || 0;
+      if (kind === 'video') {
+        summary.sendCodec = codecName(byId, report.codecId) || summary.sendCodec;
+      }
+    }
+
+    if (report.type === 'inbound-rtp' && !report.isRemote) {
+      summary.bytesReceived += report.bytesReceived || 0;
+      summary.packetsReceived += report.packetsReceived || 0;
+      summary.packetsLost += Math.max(0, report.packetsLost || 0);
+      if (typeof report.jitter === 'number') {
+        summary.jitterMs = Math.max(summary.jitterMs || 0, report.jitter * 1000);
+      }
+      if (kind === 'video') {
+        summary.fps = report.framesPerSecond ?? summary.fps;
+        if (report.frameWidth && report.frameHeight) {
+          summary.resolution = `${report.frameWidth}×${report.frameHeight}`;
+        }
+        summary.receiveCodec = codecName(byId, report.codecId) || summary.receiveCodec;
+      }
+    }
+  });
+
+  const pair = findSelectedCandidatePair(reports, byId);
+  if (pair) {
+    if (typeof pair.currentRoundTripTime === 'number') {
+      summary.rttMs = pair.currentRoundTripTime * 1000;
+    }
+    summary.localCandidateType = byId.get(pair.localCandidateId)?.candidateType || null;
+    summary.remoteCandidateType = byId.get(pair.remoteCandidateId)?.candidateType || null;
+  }
+
+  if (previous) {
+    const seconds = (summary.timestamp - previous.timestamp) / 1000;
+    if (seconds > 0) {
+      summary.sendBitrate = Math.max(0, ((summary.bytesSent - previous.bytesSent) * 8) / seconds);
+      summary.receiveBitrate = Math.max(0, ((summary.bytesReceived - previous.bytesReceived) * 8) / seconds);
+    }
+    const lost = summary.packetsLost - previous.packetsLost;
+    const received = summary.packetsReceived - previous.packetsReceived;
+    if (lost + received > 0) {
+      summary.packetLoss = Math.max(0, (lost / (lost + received)) * 100);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * How the connection reaches the other side, from the selected candidate pair
+ *
+ * @returns {string|null} 'relay' (TURN), 'srflx'/'prflx' (through NAT) or 'host' (direct)
+ */
+export const connectionPathType = ({ localCandidateType, remoteCandidateType }) => {
+  const types = [localCandidateType, remoteCandidateType];
+  return ['relay', 'srflx', 'prflx', 'host'].find((type) => types.includes(type)) || null;
+};
+
+/**
+ * Rate the call quality as 0-4 signal bars (the worst of loss, round-trip time and jitter)
+ *
+ * @param {Object} summary - From summarizeStats
+ * @returns {number|null} Bars, or null until there is enough data
+ */
+export const rateQuality = ({ packetLoss, rttMs, jitterMs }) => {
+  if (packetLoss === null && rttMs === null) {
+    return null;
+  }
+  const barsFor = (value, thresholds) => (
+    value === null ? 4 : 4 - thresholds.filter((threshold) => value >= threshold).length
+  );
+  return Math.min(
+    barsFor(packetLoss, [2, 5, 10, 20]),   // %
+    barsFor(rttMs, [200, 400, 800, 1500]), // ms
+    barsFor(jitterMs, [30, 50, 100, 200])  // ms
+  );
+};
+
+/**
+ * @param {number|null} bitsPerSecond
+ * @returns {string} e.g. '1.2 Mbps'
+ */
+export const formatBitrate = (bitsPerSecond) => {
+  if (bitsPerSecond === null) {
+    return '–';
+  }
+  if (bitsPerSecond >= 1000 * 1000) {
+    return `${(bitsPerSecond / 1000 / 1000).toFixed(1)} Mbps`;
+  }
+  return `${Math.round(bitsPerSecond / 1000)} kbps`;
+};
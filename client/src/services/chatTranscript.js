@@ -0,0 +1,36 @@
+/**
+ * Chat Transcript Export
+ *
+ * Turns the in-call chat into a plain-text file the user can download
+ * once the call is over (the messages only ever existed in the two browsers).
+ */
+
+/**
+ * Format chat messages as readable text
+ *
+ * @param {Array<Object>} messages - Chat messages ({ author, text, sentAt })
+ * @returns {string} One "[time] author: text" line per message
+ */
+export const formatTranscript = (messages) => {
+  const lines = messages.map(({ author, text, sentAt }) => (
+    `[${new Date(sentAt).toLocaleString()}] ${author}: ${text}`
+  ));
+  return `Call chat transcript (exported ${new Date().toLocaleString()})\n\n${lines.join('\n')}\n`;
+};
+
+/**
+ * Let the browser download text as a file
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export const downloadTextFile = (text, fileName) => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/plain;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
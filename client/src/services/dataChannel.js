@@ -0,0 +1,71 @@
+/**
+ * Call Data Channel Protocol
+ *
+ * Besides audio and video, every simple-peer connection has a data channel:
+ * a reliable, ordered, peer-to-peer pipe for our own messages. They never
+ * pass through the signaling server.
+ *
+ * Several features share the one channel, so every message is a JSON object
+ * with a `type` saying which feature it belongs to:
+ *
+ * - 'chat:message'   { id, text, author, sentAt }  A chat message
+ * - 'chat:delivered' { id }                         The other side received message `id`
+ * - 'chat:typing'    { author, isTyping }           The other side started/stopped typing
+ * - 'file:offer'     { id, name, size, mimeType, checksum, chunkSize, totalChunks }
+ *                                                    Sender wants to send (or resume) a file
+ * - 'file:request'   { id, fromChunk }               Receiver asks for the chunks from `fromChunk` on
+ * - 'file:pause'     { id }                          Either side paused the transfer
+ * - 'file:cancel'    { id, reason }                  Either side gave up on the transfer
+ * - 'file:result'    { id, ok }                      Receiver checked the file's checksum
+ * - 'media:state'    { screenSharing, audioMuted, videoOff, recording }
+ *                                                    What the sender is sending right now
+ *
+ * File contents are not JSON: they travel as binary chunks (see services/fileTransfer).
+ */
+
+export const DATA_MESSAGE_TYPES = Object.freeze({
+  CHAT_MESSAGE: 'chat:message',
+  CHAT_DELIVERED: 'chat:delivered',
+  CHAT_TYPING: 'chat:typing',
+  FILE_OFFER: 'file:offer',
+  FILE_REQUEST: 'file:request',
+  FILE_PAUSE: 'file:pause',
+  FILE_CANCEL: 'file:cancel',
+  FILE_RESULT: 'file:result',
+  MEDIA_STATE: 'media:state'
+});
+
+/**
+ * Serialize a message for peer.send()
+ *
+ * @param {string} type - One of DATA_MESSAGE_TYPES
+ * @param {Object} [payload] - Message fields
+ * @returns {string}
+ */
+export const encodeDataMessage = (type, payload = {}) => JSON.stringify({ ...payload, type });
+
+/**
+ * Parse a message received in peer.on('data')
+ * simple-peer may hand us a string or bytes, depending on the browser
+ *
+ * @param {string|Uint8Array} data - Raw data from the channel
+ * @returns {Object|null} The message, or null if it is not one of ours
+ */
+export const decodeDataMessage = (data) => {
+  try {
+    const text = typeof data === 'string' ? data : new TextDecoder().decode(data);
+    const message = JSON.parse(text);
+    return message && typeof message.type === 'string' ? message : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Unique ID for a message (used to match 'delivered' receipts)
+ */
+export const createMessageId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
@@ -0,0 +1,566 @@
+/**
+ * Peer-to-Peer File Transfer
+ *
+ * Sends files to the other party of a 1:1 call over the call's data channel
+ * (see services/dataChannel). The file goes straight from one browser to the
+ * other - it never touches the signaling server.
+ *
+ * How a transfer works:
+ * 1. The sender hashes the file (SHA-256) and sends a 'file:offer'
+ * 2. The receiver's user accepts it - the receiver answers with 'file:request'
+ *    { fromChunk: 0 } - or declines it ('file:cancel'). Nothing is received until then.
+ * 3. The sender streams the file as binary chunks, waiting whenever the
+ *    channel's send buffer is full (backpressure) instead of queueing the whole file
+ * 4. The receiver rebuilds the file, checks the hash and sends 'file:result'
+ *
+ * Pausing stops the chunks; resuming is just another offer/request round, where
+ * the receiver asks for the chunks from where it stopped. Chunks are never resent.
+ *
+ * Binary chunk layout: [0x00][id length][id (ASCII)][chunk index (uint32)][bytes]
+ * JSON messages never start with a 0 byte, so the two are easy to tell apart.
+ */
+
+import { DATA_MESSAGE_TYPES, encodeDataMessage, createMessageId } from './dataChannel';
+
+// 16 KB chunks are safe in every browser (larger messages can fail between Chrome and Firefox)
+export const FILE_CHUNK_SIZE = 16 * 1024;
+
+// The receiver keeps the whole file in memory until it is complete
+export const MAX_FILE_SIZE = 256 * 1024 * 1024;
+
+// Stop sending while this much is waiting in the channel's buffer...
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+// ...and check again this often
+const BUFFER_POLL_MS = 25;
+
+// Progress updates re-render the UI, so they are batched over this many ms
+const PROGRESS_UPDATE_INTERVAL_MS = 100;
+
+const CHUNK_MARKER = 0;
+
+/**
+ * Transfer states shown in the UI
+ */
+export const TRANSFER_STATES = Object.freeze({
+  PREPARING: 'preparing',   // Sender is hashing the file
+  WAITING: 'waiting',       // Offer sent, waiting for the receiver
+  OFFERED: 'offered',       // Offer received, waiting for our user to accept or decline
+  SENDING: 'sending',
+  RECEIVING: 'receiving',
+  PAUSED: 'paused',
+  VERIFYING: 'verifying',   // All chunks sent/received, checking the hash
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+});
+
+const FINISHED_STATES = [TRANSFER_STATES.COMPLETED, TRANSFER_STATES.FAILED, TRANSFER_STATES.CANCELLED];
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {Blob} blob - File contents
+ * @returns {Promise<string|null>} Hex SHA-256, or null where WebCrypto is unavailable (non-HTTPS pages)
+ */
+const sha256Hex = async (blob) => {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    return null;
+  }
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Build one binary chunk
+ *
+ * @param {string} id - Transfer ID
+ * @param {number} index - Chunk number
+ * @param {Uint8Array} bytes - Chunk contents
+ * @returns {Uint8Array}
+ */
+const encodeFileChunk = (id, index, bytes) => {
+  const idBytes = new TextEncoder().encode(id);
+  const frame = new Uint8Array(2 + idBytes.length + 4 + bytes.length);
+  frame[0] = CHUNK_MARKER;
+  frame[1] = idBytes.length;
+  frame.set(idBytes, 2);
+  new DataView(frame.buffer).setUint32(2 + idBytes.length, index);
+  frame.set(bytes, 2 + idBytes.length + 4);
+  return frame;
+};
+
+/**
+ * @param {Uint8Array} frame - Binary chunk from the data channel
+ * @returns {Object|null} { id, index, bytes }
+ */
+const decodeFileChunk = (frame) => {
+  if (frame.length < 6) {
+    return null;
+  }
+  const idLength = frame[1];
+  const headerLength = 2 + idLength + 4;
+  if (frame.length < headerLength) {
+    return null;
+  }
+  const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+  return {
+    id: new TextDecoder().decode(frame.subarray(2, 2 + idLength)),
+    index: view.getUint32(2 + idLength),
+    // Copy - the channel may reuse the underlying buffer
+    bytes: frame.slice(headerLength)
+  };
+};
+
+/**
+ * @param {string|Uint8Array} data - Raw data from the channel
+ * @returns {boolean} Whether this is a file chunk rather than a JSON message
+ */
+export const isFileChunk = (data) => typeof data !== 'string' && data.length > 0 && data[0] === CHUNK_MARKER;
+
+/**
+ * @param {Object} message - Decoded data channel message
+ * @returns {boolean} Whether it belongs to file transfer
+ */
+export const isFileTransferMessage = (message) => message.type.startsWith('file:');
+
+/**
+ * Create the file transfer manager for the current call
+ *
+ * @param {Object} options
+ * @param {Function} options.getPeer - Returns the call's simple-peer instance (or null)
+ * @param {Function} options.onChange - Called with the list of transfers whenever one changes
+ */
+export const createFileTransferManager = ({ getPeer, onChange }) => {
+  // What the UI sees: id -> { id, name, size, mimeType, direction, status, transferredBytes, url, error }
+  const transfers = new Map();
+  // Sender bookkeeping: id -> { file, checksum, totalChunks, nextChunk, paused, pumping }
+  const outgoing = new Map();
+  // Receiver bookkeeping: id -> { chunks, totalChunks, checksum, mimeType }
+  const incoming = new Map();
+  // Offers our user has not accepted yet: id -> { totalChunks, checksum, mimeType }
+  const offered = new Map();
+
+  let progressTimeout = null;
+
+  const emit = () => {
+    clearTimeout(progressTimeout);
+    progressTimeout = null;
+    onChange(Array.from(transfers.values(), (transfer) => ({ ...transfer })));
+  };
+
+  // Progress-only changes are batched; state changes are shown right away
+  const emitProgress = () => {
+    if (!progressTimeout) {
+      progressTimeout = setTimeout(emit, PROGRESS_UPDATE_INTERVAL_MS);
+    }
+  };
+
+  const update = (id, changes, { progressOnly = false } = {}) => {
+    const transfer = transfers.get(id);
+    if (!transfer) {
+      return;
+    }
+    transfers.set(id, { ...transfer, ...changes });
+    if (progressOnly) {
+      emitProgress();
+    } else {
+      emit();
+    }
+  };
+
+  const send = (type, payload) => {
+    const peer = getPeer();
+    if (!peer || !peer.connected) {
+      throw new Error('Not connected');
+    }
+    peer.send(encodeDataMessage(type, payload));
+  };
+
+  // Best-effort notice (e.g. cancel) - the other side may already be gone
+  const trySend = (type, payload) => {
+    try {
+      send(type, payload);
+    } catch (error) {
+      console.warn(`[FILE TRANSFER] Could not send ${type}:`, error.message);
+    }
+  };
+
+  const offer = (id) => {
+    const transfer = transfers.get(id);
+    const entry = outgoing.get(id);
+    send(DATA_MESSAGE_TYPES.FILE_OFFER, {
+      id,
+      name: transfer.name,
+      size: transfer.size,
+      mimeType: transfer.mimeType,
+      checksum: entry.checksum,
+      chunkSize: FILE_CHUNK_SIZE,
+      totalChunks: entry.totalChunks
+    });
+    update(id, { status: TRANSFER_STATES.WAITING, error: null });
+  };
+
+  /**
+   * Send chunks until the file is done, paused, cancelled or the connection drops
+   */
+  const pump = async (id) => {
+    const entry = outgoing.get(id);
+    // A single loop per transfer - a resume while it still runs just moves nextChunk
+    if (!entry || entry.pumping) {
+      return;
+    }
+    entry.pumping = true;
+    const { file, totalChunks } = entry;
+
+    try {
+      while (outgoing.get(id) === entry && !entry.paused && entry.nextChunk < totalChunks) {
+        const peer = getPeer();
+        if (!peer || !peer.connected) {
+          entry.paused = true;
+          update(id, { status: TRANSFER_STATES.PAUSED, error: 'Connection lost' });
+          return;
+        }
+
+        // Backpressure: let the channel drain instead of buffering the whole file
+        if (peer.bufferSize > MAX_BUFFERED_BYTES) {
+          await wait(BUFFER_POLL_MS);
+          continue;
+        }
+
+        const index = entry.nextChunk;
+        const start = index * FILE_CHUNK_SIZE;
+        const bytes = new Uint8Array(await file.slice(start, start + FILE_CHUNK_SIZE).arrayBuffer());
+        // Paused or cancelled while reading the chunk
+        if (outgoing.get(id) !== entry || entry.paused || entry.nextChunk !== index) {
+          continue;
+        }
+        peer.send(encodeFileChunk(id, index, bytes));
+        entry.nextChunk = index + 1;
+        update(id, { transferredBytes: Math.min(file.size, entry.nextChunk * FILE_CHUNK_SIZE) }, { progressOnly: true });
+      }
+
+      if (outgoing.get(id) === entry && entry.nextChunk >= totalChunks) {
+        // Everything is sent - the receiver reports whether the checksum matched
+        update(id, { status: TRANSFER_STATES.VERIFYING, transferredBytes: file.size });
+      }
+    } catch (error) {
+      console.error('[FILE TRANSFER] ❌ Sending failed:', error);
+      entry.paused = true;
+      update(id, { status: TRANSFER_STATES.PAUSED, error: 'Sending failed - resume to retry' });
+    } finally {
+      entry.pumping = false;
+    }
+  };
+
+  /**
+   * All chunks are in: rebuild the file and check it
+   */
+  const finishIncoming = async (id) => {
+    const entry = incoming.get(id);
+    incoming.delete(id);
+    update(id, { status: TRANSFER_STATES.VERIFYING });
+
+    const blob = new Blob(entry.chunks, { type: entry.mimeType || 'application/octet-stream' });
+    const checksum = await sha256Hex(blob);
+    const ok = blob.size === transfers.get(id)?.size && (!entry.checksum || !checksum || checksum === entry.checksum);
+
+    trySend(DATA_MESSAGE_TYPES.FILE_RESULT, { id, ok });
+    if (ok) {
+      console.log('[FILE TRANSFER] ✅ Received', transfers.get(id)?.name);
+      update(id, { status: TRANSFER_STATES.COMPLETED, url: URL.createObjectURL(blob) });
+    } else {
+      update(id, { status: TRANSFER_STATES.FAILED, error: 'Checksum mismatch - the file was corrupted' });
+    }
+  };
+
+  const handleOffer = (message) => {
+    const { id, name, size, mimeType, checksum, chunkSize, totalChunks } = message;
+
+    // Resume of a transfer we already started receiving
+    const existing = incoming.get(id);
+    if (existing) {
+      send(DATA_MESSAGE_TYPES.FILE_REQUEST, { id, fromChunk: existing.chunks.length });
+      update(id, { status: TRANSFER_STATES.RECEIVING, error: null });
+      return;
+    }
+    // Already known - e.g. the sender resumed while our user is still deciding
+    if (transfers.has(id)) {
+      return;
+    }
+
+    const isValid = typeof id === 'string' && typeof name === 'string' && Number.isInteger(size) && size >= 0 &&
+      chunkSize === FILE_CHUNK_SIZE && totalChunks === Math.max(1, Math.ceil(size / FILE_CHUNK_SIZE));
+    if (!isValid || size > MAX_FILE_SIZE) {
+      trySend(DATA_MESSAGE_TYPES.FILE_CANCEL, { id, reason: isValid ? 'File is too large' : 'Invalid file offer' });
+      return;
+    }
+
+    // Nothing is requested (or kept) until our user accepts the file
+    offered.set(id, { totalChunks, checksum, mimeType });
+    transfers.set(id, {
+      id,
+      name,
+      size,
+      mimeType,
+      direction: 'incoming',
+      status: TRANSFER_STATES.OFFERED,
+      transferredBytes: 0,
+      url: null,
+      error: null
+    });
+    emit();
+  };
+
+  const handleRequest = ({ id, fromChunk }) => {
+    const entry = outgoing.get(id);
+    if (!entry || !Number.isInteger(fromChunk) || fromChunk < 0 || fromChunk > entry.totalChunks) {
+      return;
+    }
+    entry.nextChunk = fromChunk;
+    entry.paused = false;
+    update(id, { status: TRANSFER_STATES.SENDING, error: null });
+    pump(id);
+  };
+
+  const handlePause = ({ id }) => {
+    const entry = outgoing.get(id);
+    if (entry) {
+      entry.paused = true;
+    }
+    if (entry || incoming.has(id)) {
+      update(id, { status: TRANSFER_STATES.PAUSED, error: 'Paused by the other side' });
+    }
+  };
+
+  const handleCancel = ({ id, reason }) => {
+    if (!transfers.has(id) || FINISHED_STATES.includes(transfers.get(id).status)) {
+      return;
+    }
+    outgoing.delete(id);
+    incoming.delete(id);
+    offered.delete(id);
+    update(id, { status: TRANSFER_STATES.CANCELLED, error: reason || 'Cancelled by the other side' });
+  };
+
+  const handleResult = ({ id, ok }) => {
+    if (!outgoing.delete(id)) {
+      return;
+    }
+    update(id, ok
+      ? { status: TRANSFER_STATES.COMPLETED }
+      : { status: TRANSFER_STATES.FAILED, error: 'Checksum mismatch - the file was corrupted' });
+  };
+
+  return {
+    /**
+     * Start sending a file to the other party
+     *
+     * @param {File} file - File picked or dropped by the user
+     */
+    sendFile: async (file) => {
+      if (file.size > MAX_FILE_SIZE) {
+        throw new Error(`Files can be at most ${MAX_FILE_SIZE / 1024 / 1024} MB`);
+      }
+
+      const id = createMessageId();
+      transfers.set(id, {
+        id,
+        name: file.name,
+        size: file.size,
+        mimeType: file.type,
+        direction: 'outgoing',
+        status: TRANSFER_STATES.PREPARING,
+        transferredBytes: 0,
+        url: null,
+        error: null
+      });
+      emit();
+
+      try {
+        const checksum = await sha256Hex(file);
+        // Cancelled while hashing
+        if (transfers.get(id)?.status !== TRANSFER_STATES.PREPARING) {
+          return;
+        }
+        outgoing.set(id, {
+          file,
+          checksum,
+          totalChunks: Math.max(1, Math.ceil(file.size / FILE_CHUNK_SIZE)),
+          nextChunk: 0,
+          paused: false,
+          pumping: false
+        });
+        offer(id);
+      } catch (error) {
+        outgoing.delete(id);
+        update(id, { status: TRANSFER_STATES.FAILED, error: error.message });
+        throw error;
+      }
+    },
+
+    /**
+     * Handle a 'file:*' message from the other party
+     */
+    handleMessage: (message) => {
+      try {
+        switch (message.type) {
+          case DATA_MESSAGE_TYPES.FILE_OFFER: return handleOffer(message);
+          case DATA_MESSAGE_TYPES.FILE_REQUEST: return handleRequest(message);
+          case DATA_MESSAGE_TYPES.FILE_PAUSE: return handlePause(message);
+          case DATA_MESSAGE_TYPES.FILE_CANCEL: return handleCancel(message);
+          case DATA_MESSAGE_TYPES.FILE_RESULT: return handleResult(message);
+          default:
+            console.warn('[FILE TRANSFER] Unhandled message type:', message.type);
+        }
+      } catch (error) {
+        console.error('[FILE TRANSFER] ❌ Could not handle', message.type, error);
+      }
+    },
+
+    /**
+     * Handle a binary chunk from the other party
+     *
+     * @param {Uint8Array} data - Raw chunk (see isFileChunk)
+     */
+    handleChunk: (data) => {
+      const chunk = decodeFileChunk(data);
+      const entry = chunk && incoming.get(chunk.id);
+      // Chunks arrive in order; anything else is left over from a cancelled transfer
+      if (!entry || chunk.index !== entry.chunks.length) {
+        return;
+      }
+
+      entry.chunks.push(chunk.bytes);
+      const transfer = transfers.get(chunk.id);
+      update(chunk.id, { transferredBytes: transfer.transferredBytes + chunk.bytes.length }, { progressOnly: true });
+
+      if (entry.chunks.length === entry.totalChunks) {
+        finishIncoming(chunk.id);
+      }
+    },
+
+    /**
+     * Accept a file the other party offered - the transfer starts
+     */
+    accept: (id) => {
+      const entry = offered.get(id);
+      if (!entry) {
+        return;
+      }
+      try {
+        send(DATA_MESSAGE_TYPES.FILE_REQUEST, { id, fromChunk: 0 });
+      } catch (error) {
+        update(id, { error: `Could not accept: ${error.message}` });
+        return;
+      }
+      offered.delete(id);
+      incoming.set(id, { chunks: [], ...entry });
+      update(id, { status: TRANSFER_STATES.RECEIVING, error: null });
+    },
+
+    /**
+     * Decline a file the other party offered (the sender sees it as cancelled)
+     */
+    decline: (id) => {
+      if (!offered.delete(id)) {
+        return;
+      }
+      trySend(DATA_MESSAGE_TYPES.FILE_CANCEL, { id, reason: 'Declined by the other side' });
+      update(id, { status: TRANSFER_STATES.CANCELLED, error: 'Declined' });
+    },
+
+    /**
+     * Pause a transfer (either direction); resume() continues where it stopped
+     */
+    pause: (id) => {
+      const entry = outgoing.get(id);
+      if (!entry && !incoming.has(id)) {
+        return;
+      }
+      if (entry) {
+        entry.paused = true;
+      }
+      trySend(DATA_MESSAGE_TYPES.FILE_PAUSE, { id });
+      update(id, { status: TRANSFER_STATES.PAUSED, error: null });
+    },
+
+    /**
+     * Resume a paused transfer
+     */
+    resume: (id) => {
+      try {
+        if (outgoing.has(id)) {
+          // The receiver answers with the chunk it needs next
+          offer(id);
+        } else if (incoming.has(id)) {
+          send(DATA_MESSAGE_TYPES.FILE_REQUEST, { id, fromChunk: incoming.get(id).chunks.length });
+          update(id, { status: TRANSFER_STATES.RECEIVING, error: null });
+        }
+      } catch (error) {
+        update(id, { error: `Could not resume: ${error.message}` });
+      }
+    },
+
+    /**
+     * Cancel a transfer and tell the other party
+     */
+    cancel: (id) => {
+      const transfer = transfers.get(id);
+      if (!transfer || FINISHED_STATES.includes(transfer.status)) {
+        return;
+      }
+      outgoing.delete(id);
+      incoming.delete(id);
+      offered.delete(id);
+      trySend(DATA_MESSAGE_TYPES.FILE_CANCEL, { id, reason: 'Cancelled by the other side' });
+      update(id, { status: TRANSFER_STATES.CANCELLED, error: null });
+    },
+
+    /**
+     * Remove a finished transfer from the list (and free its downloaded file)
+     */
+    dismiss: (id) => {
+      const transfer = transfers.get(id);
+      if (!transfer || !FINISHED_STATES.includes(transfer.status)) {
+        return;
+      }
+      if (transfer.url) {
+        URL.revokeObjectURL(transfer.url);
+      }
+      transfers.delete(id);
+      emit();
+    },
+
+    /**
+     * The call ended: unfinished transfers cannot continue
+     * Received files stay downloadable until reset()
+     */
+    interruptAll: () => {
+      outgoing.clear();
+      incoming.clear();
+      offered.clear();
+      transfers.forEach((transfer, id) => {
+        if (!FINISHED_STATES.includes(transfer.status)) {
+          transfers.set(id, { ...transfer, status: TRANSFER_STATES.FAILED, error: 'Call ended' });
+        }
+      });
+      emit();
+    },
+
+    /**
+     * Forget all transfers (new call or logout)
+     */
+    reset: () => {
+      outgoing.clear();
+      incoming.clear();
+      offered.clear();
+      transfers.forEach((transfer) => {
+        if (transfer.url) {
+          URL.revokeObjectURL(transfer.url);
+        }
+      });
+      transfers.clear();
+      emit();
+    }
+  };
+};
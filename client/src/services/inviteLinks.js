@@ -0,0 +1,56 @@
+/**
+ * Invite Links
+ *
+ * Shareable URLs that open the app and call someone or join a room:
+ * - /call/<handle>  calls the user with that handle
+ * - /room/<name>    joins the room with that name
+ *
+ * Handles and room names never change (unlike socket IDs), so a link keeps
+ * working. The server answers every path with index.html, and the client-side
+ * router (see App.js) picks the invite out of the URL.
+ */
+
+export const INVITE_TYPES = Object.freeze({
+  CALL: 'call',
+  ROOM: 'room'
+});
+
+/**
+ * Full URL of an invite
+ *
+ * @param {string} type - INVITE_TYPES.CALL or INVITE_TYPES.ROOM
+ * @param {string} target - Handle to call or room to join
+ * @returns {string}
+ */
+export const buildInviteLink = (type, target) => `${window.location.origin}/${type}/${encodeURIComponent(target)}`;
+
+/**
+ * Copy text to the clipboard
+ * Uses the Clipboard API, with a fallback for older browsers
+ *
+ * @param {string} text - Text to copy
+ * @returns {Promise<void>} Rejects if the text could not be copied
+ */
+export const copyToClipboard = async (text) => {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+
+  const textArea = document.createElement('textarea');
+  textArea.value = text;
+  textArea.style.position = 'fixed';
+  textArea.style.left = '-999999px';
+  textArea.style.top = '-999999px';
+  document.body.appendChild(textArea);
+  textArea.focus();
+  textArea.select();
+
+  try {
+    if (!document.execCommand('copy')) {
+      throw new Error('Copy command failed');
+    }
+  } finally {
+    document.body.removeChild(textArea);
+  }
+};
@@ -0,0 +1,85 @@
+/**
+ * Media Devices
+ *
+ * Which camera, microphone and speaker to use. The choice is remembered in
+ * localStorage, so the next visit opens the same devices.
+ *
+ * Device IDs come from navigator.mediaDevices.enumerateDevices(). Browsers only
+ * show device names (labels) after the user has allowed camera/mic access once.
+ */
+
+// Key under which the chosen devices are remembered between visits
+const DEVICE_PREFERENCES_KEY = 'webrtc.devicePreferences';
+
+export const DEFAULT_DEVICE_PREFERENCES = Object.freeze({
+  videoInputId: '',   // '' = browser default
+  audioInputId: '',
+  audioOutputId: ''
+});
+
+/**
+ * @returns {Object} Saved device choices (see DEFAULT_DEVICE_PREFERENCES)
+ */
+export const loadDevicePreferences = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DEVICE_PREFERENCES_KEY) || '{}');
+    return { ...DEFAULT_DEVICE_PREFERENCES, ...saved };
+  } catch (error) {
+    return { ...DEFAULT_DEVICE_PREFERENCES };
+  }
+};
+
+/**
+ * @param {Object} preferences - Device choices to remember
+ */
+export const saveDevicePreferences = (preferences) => {
+  try {
+    localStorage.setItem(DEVICE_PREFERENCES_KEY, JSON.stringify(preferences));
+  } catch (error) {
+    console.warn('[DEVICES] Could not store device preferences:', error);
+  }
+};
+
+/**
+ * List the available devices, grouped by kind
+ *
+ * @returns {Promise<Object>} { videoinput: [], audioinput: [], audiooutput: [] } of { deviceId, label }
+ */
+export const listMediaDevices = async () => {
+  const groups = { videoinput: [], audioinput: [], audiooutput: [] };
+  if (!navigator.mediaDevices?.enumerateDevices) {
+    return groups;
+  }
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  devices.forEach((device) => {
+    // Skip the 'default'/'communications' aliases - they duplicate a real device
+    if (!groups[device.kind] || device.deviceId === 'default' || device.deviceId === 'communications') {
+      return;
+    }
+    groups[device.kind].push({
+      deviceId: device.deviceId,
+      label: device.label || `${device.kind} ${groups[device.kind].length + 1}`
+    });
+  });
+  return groups;
+};
+
+/**
+ * getUserMedia constraints for the chosen devices
+ * The saved devices are preferred ('ideal'), so a missing one falls back to the default
+ *
+ * @param {Object} preferences - Device choices
+ * @returns {MediaStreamConstraints}
+ */
+export const buildMediaConstraints = ({ videoInputId, audioInputId }) => ({
+  video: videoInputId ? { deviceId: { ideal: videoInputId } } : true,
+  audio: audioInputId ? { deviceId: { ideal: audioInputId } } : true
+});
+
+/**
+ * Whether <audio>/<video> elements can play to a chosen speaker (HTMLMediaElement.setSinkId)
+ */
+export const supportsAudioOutputSelection = () => (
+  typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype
+);
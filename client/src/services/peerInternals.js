@@ -0,0 +1,51 @@
+/**
+ * simple-peer Internals
+ *
+ * simple-peer has no public way to reach its RTCPeerConnection, and it destroys
+ * the peer as soon as ICE (or the connection) reaches 'failed'. Two features
+ * need more than that:
+ * - Reconnection (see services/callReconnection) listens to the connection's
+ *   ICE state, makes ICE restart offers, and must get the call through 'failed'
+ * - Video quality control (see services/videoQuality) reads getStats() and
+ *   changes the video sender's parameters
+ *
+ * Every use of simple-peer's internals is in this file. It relies on:
+ * - peer._pc being the RTCPeerConnection
+ * - simple-peer reacting to state changes through pc.oniceconnectionstatechange
+ *   and pc.onconnectionstatechange (and destroying the peer there on 'failed')
+ *
+ * This is why client/package.json pins simple-peer to an exact version: check
+ * this file against the new version's source before upgrading.
+ */
+
+/**
+ * @param {Peer} peer - A simple-peer instance (or null)
+ * @returns {RTCPeerConnection|null} Its connection
+ */
+export const getPeerConnection = (peer) => peer?._pc || null;
+
+/**
+ * Keep simple-peer from destroying the peer when ICE or the connection fails
+ *
+ * 'failed' is then just a state: an ICE restart can still bring the connection
+ * back, and whoever called this decides when to give up (and destroy the peer).
+ *
+ * @param {Peer} peer - A simple-peer instance
+ */
+export const keepPeerAliveOnFailure = (peer) => {
+  const pc = getPeerConnection(peer);
+
+  const skipFailed = (handlerName, stateName) => {
+    const handler = pc[handlerName];
+    if (!handler) {
+      return;
+    }
+    pc[handlerName] = (event) => {
+      if (pc[stateName] !== 'failed') {
+        handler.call(pc, event);
+      }
+    };
+  };
+  skipFailed('oniceconnectionstatechange', 'iceConnectionState');
+  skipFailed('onconnectionstatechange', 'connectionState');
+};
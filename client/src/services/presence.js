@@ -0,0 +1,56 @@
+/**
+ * Presence
+ *
+ * Online statuses as the server sends them (see api/services/presence).
+ * Users pick available, busy or do-not-disturb; 'in-call' is set by the
+ * server while someone is ringing or talking.
+ */
+
+export const PRESENCE_STATUS = Object.freeze({
+  AVAILABLE: 'available',
+  BUSY: 'busy',
+  DO_NOT_DISTURB: 'do-not-disturb',
+  IN_CALL: 'in-call',
+  OFFLINE: 'offline'
+});
+
+// Statuses the user can choose for themselves
+export const SELECTABLE_STATUSES = [PRESENCE_STATUS.AVAILABLE, PRESENCE_STATUS.BUSY, PRESENCE_STATUS.DO_NOT_DISTURB];
+
+export const PRESENCE_LABELS = {
+  [PRESENCE_STATUS.AVAILABLE]: 'Available',
+  [PRESENCE_STATUS.BUSY]: 'Busy',
+  [PRESENCE_STATUS.DO_NOT_DISTURB]: 'Do not disturb',
+  [PRESENCE_STATUS.IN_CALL]: 'In a call',
+  [PRESENCE_STATUS.OFFLINE]: 'Offline'
+};
+
+export const PRESENCE_COLORS = {
+  [PRESENCE_STATUS.AVAILABLE]: '#4caf50',
+  [PRESENCE_STATUS.BUSY]: '#ff9800',
+  [PRESENCE_STATUS.DO_NOT_DISTURB]: '#f44336',
+  [PRESENCE_STATUS.IN_CALL]: '#2196f3',
+  [PRESENCE_STATUS.OFFLINE]: '#9e9e9e'
+};
+
+/**
+ * Whether a call to a user with this status would ring
+ * (do-not-disturb is refused by the server, in-call gets a busy signal)
+ */
+export const canBeCalled = (status) => status === PRESENCE_STATUS.AVAILABLE || status === PRESENCE_STATUS.BUSY;
+
+/**
+ * Apply a 'presenceUpdate' to the online list
+ *
+ * @param {Array<Object>} users - Current list [{ handle, name, status }], sorted by handle
+ * @param {Object} update - { handle, name, status }
+ * @returns {Array<Object>} New list (offline users are removed)
+ */
+export const applyPresenceUpdate = (users, update) => {
+  const key = update.handle.toLowerCase();
+  const others = users.filter((user) => user.handle.toLowerCase() !== key);
+  if (update.status === PRESENCE_STATUS.OFFLINE) {
+    return others;
+  }
+  return [...others, update].sort((a, b) => a.handle.localeCompare(b.handle));
+};
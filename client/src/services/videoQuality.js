@@ -0,0 +1,189 @@
+/**
+ * Adaptive Outgoing Video Quality
+ *
+ * Limits the video we send with RTCRtpSender.setParameters(), so a call on a
+ * poor network steps down (lower bitrate, resolution and frame rate) instead
+ * of freezing - and steps back up once the network recovers.
+ *
+ * Presets:
+ * - 'auto'        watch the outbound stats every few seconds and move along QUALITY_LEVELS
+ * - 'dataSaver'   fixed low quality (mobile data)
+ * - 'highQuality' fixed best quality (good networks)
+ *
+ * Signals used in 'auto' (from the video sender's getStats()):
+ * - 'remote-inbound-rtp' fractionLost / roundTripTime   what the receiver reports back
+ * - 'outbound-rtp' qualityLimitationReason              'bandwidth' when the browser is already holding back
+ * - 'candidate-pair' availableOutgoingBitrate           the browser's bandwidth estimate
+ *
+ * Changing parameters needs no renegotiation - the encoder just adapts.
+ */
+
+export const VIDEO_QUALITY_PRESETS = Object.freeze({
+  AUTO: 'auto',
+  DATA_SAVER: 'dataSaver',
+  HIGH_QUALITY: 'highQuality'
+});
+
+// Outgoing video encodings, best first
+export const QUALITY_LEVELS = Object.freeze([
+  { maxBitrate: 2500000, scaleResolutionDownBy: 1, maxFramerate: 30 },
+  { maxBitrate: 1200000, scaleResolutionDownBy: 1, maxFramerate: 30 },
+  { maxBitrate: 600000, scaleResolutionDownBy: 1.5, maxFramerate: 24 },
+  { maxBitrate: 300000, scaleResolutionDownBy: 2, maxFramerate: 15 },
+  { maxBitrate: 150000, scaleResolutionDownBy: 4, maxFramerate: 10 }
+]);
+
+// Level used by each preset (auto starts here and adapts)
+const PRESET_LEVELS = {
+  [VIDEO_QUALITY_PRESETS.AUTO]: 1,
+  [VIDEO_QUALITY_PRESETS.DATA_SAVER]: 3,
+  [VIDEO_QUALITY_PRESETS.HIGH_QUALITY]: 0
+};
+
+// How often 'auto' looks at the stats
+const CHECK_INTERVAL_MS = 2000;
+
+// Step down above this packet loss (fraction) or round-trip time
+const LOSS_STEP_DOWN = 0.08;
+const RTT_STEP_DOWN_MS = 400;
+
+// Step up after this many checks in a row with loss below LOSS_STEP_UP
+// (slower than stepping down, so quality does not flap)
+const LOSS_STEP_UP = 0.02;
+const GOOD_CHECKS_BEFORE_STEP_UP = 5;
+
+/**
+ * Pull the congestion signals out of a sender's stats
+ */
+const readCongestionSignals = (report) => {
+  const signals = { fractionLost: 0, rttMs: 0, limitedByBandwidth: false, availableBitrate: null };
+  report.forEach((stat) => {
+    if (stat.type === 'remote-inbound-rtp') {
+      signals.fractionLost = Math.max(signals.fractionLost, stat.fractionLost || 0);
+      signals.rttMs = Math.max(signals.rttMs, (stat.roundTripTime || 0) * 1000);
+    }
+    if (stat.type === 'outbound-rtp' && stat.qualityLimitationReason === 'bandwidth') {
+      signals.limitedByBandwidth = true;
+    }
+    if (stat.type === 'candidate-pair' && stat.nominated && typeof stat.availableOutgoingBitrate === 'number') {
+      signals.availableBitrate = stat.availableOutgoingBitrate;
+    }
+  });
+  return signals;
+};
+
+/**
+ * Create the quality controller for the 1:1 call
+ *
+ * @param {Object} options
+ * @param {Function} options.getPeerConnection - Returns the call's RTCPeerConnection (or null)
+ * @param {Function} options.onChange - Called with { preset, level, maxBitrate, scaleResolutionDownBy, maxFramerate }
+ */
+export const createVideoQualityController = ({ getPeerConnection, onChange }) => {
+  let preset = VIDEO_QUALITY_PRESETS.AUTO;
+  let level = PRESET_LEVELS[preset];
+  let goodChecks = 0;
+  let interval = null;
+
+  const getVideoSender = () => getPeerConnection()?.getSenders().find((sender) => sender.track?.kind === 'video') || null;
+
+  const notify = () => onChange({ preset, level, ...QUALITY_LEVELS[level] });
+
+  /**
+   * Apply the current level to the video sender
+   */
+  const apply = async () => {
+    const sender = getVideoSender();
+    if (!sender) {
+      return;
+    }
+    try {
+      const parameters = sender.getParameters();
+      // Encodings exist once the connection is negotiated
+      if (!parameters.encodings || parameters.encodings.length === 0) {
+        return;
+      }
+      parameters.encodings[0] = { ...parameters.encodings[0], ...QUALITY_LEVELS[level] };
+      await sender.setParameters(parameters);
+      console.log('[VIDEO QUALITY] Sending at level', level, QUALITY_LEVELS[level]);
+      notify();
+    } catch (error) {
+      console.warn('[VIDEO QUALITY] Could not apply video parameters:', error.message);
+    }
+  };
+
+  /**
+   * 'auto': step down on congestion, step up after a while without it
+   */
+  const check = async () => {
+    const sender = getVideoSender();
+    if (preset !== VIDEO_QUALITY_PRESETS.AUTO || !sender) {
+      return;
+    }
+
+    let signals;
+    try {
+      signals = readCongestionSignals(await sender.getStats());
+    } catch (error) {
+      return; // The connection may be closing
+    }
+
+    const belowEstimate = signals.limitedByBandwidth && signals.availableBitrate !== null &&
+      signals.availableBitrate < QUALITY_LEVELS[level].maxBitrate * 0.8;
+    const congested = signals.fractionLost > LOSS_STEP_DOWN || signals.rttMs > RTT_STEP_DOWN_MS || belowEstimate;
+
+    if (congested) {
+      goodChecks = 0;
+      if (level < QUALITY_LEVELS.length - 1) {
+        level += 1;
+        await apply();
+      }
+      return;
+    }
+
+    if (signals.fractionLost < LOSS_STEP_UP && !signals.limitedByBandwidth) {
+      goodChecks += 1;
+      if (goodChecks >= GOOD_CHECKS_BEFORE_STEP_UP && level > 0) {
+        goodChecks = 0;
+        level -= 1;
+        await apply();
+      }
+    } else {
+      goodChecks = 0;
+    }
+  };
+
+  const stop = () => {
+    clearInterval(interval);
+    interval = null;
+  };
+
+  return {
+    /**
+     * Start controlling the call's video (once the peer is connected)
+     */
+    start: () => {
+      stop();
+      level = PRESET_LEVELS[preset];
+      goodChecks = 0;
+      apply();
+      interval = setInterval(check, CHECK_INTERVAL_MS);
+    },
+
+    stop,
+
+    /**
+     * @param {string} name - One of VIDEO_QUALITY_PRESETS
+     */
+    setPreset: (name) => {
+      if (!(name in PRESET_LEVELS)) {
+        return;
+      }
+      preset = name;
+      level = PRESET_LEVELS[name];
+      goodChecks = 0;
+      notify();
+      apply();
+    }
+  };
+};